@@ -0,0 +1,34 @@
+// AIO Launcher Functions (aio:*)
+// Only the parts that touch the emulated launcher state: the theme colors and
+// the task list behind aio:add_todo().
+import chalk from 'chalk';
+import { upsertItem } from './tasks.js';
+
+// aio:colors() for the default dark theme
+const THEME_COLORS = {
+    primary_text: '#FFFFFF',
+    secondary_text: '#9E9E9E',
+    button: '#424242',
+    button_text: '#FFFFFF',
+    accent: '#2196F3',
+    progress: '#2196F3',
+    progress_good: '#4CAF50',
+    progress_bad: '#F44336',
+    primary_color: '#212121',
+    secondary_color: '#2C2C2C',
+    bg: '#000000'
+};
+
+export const aio = {
+    colors: function() {
+        return { ...THEME_COLORS };
+    },
+
+    // Adds a task with a Font Awesome icon to the launcher's list
+    add_todo: function(icon, text) {
+        const task = upsertItem('tasks', { text: text || '', icon: icon || undefined });
+        console.log(chalk.cyan(`📝 Todo added: ${icon ? `[${icon}] ` : ''}"${task.text}"`));
+    }
+};
+
+export default aio;
@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import { apps } from './apps.js';
 
 // Mock Android data that can be customized
 let mockData = {
@@ -124,6 +125,12 @@ export const android = {
         console.log(chalk.blue('📱 Android: Getting OS version'));
         return mockData.device.osVersion;
     },
+
+    // Installed apps, the list apps:apps() returns
+    apps: function(sortBy) {
+        console.log(chalk.blue('📱 Android: Getting installed apps'));
+        return apps.apps(sortBy);
+    },
     
     getScreenSize: function() {
         console.log(chalk.blue('📱 Android: Getting screen size'));
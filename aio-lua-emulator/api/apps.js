@@ -0,0 +1,298 @@
+// Apps API Emulation for AIO Launcher
+// apps:* over the installed apps of an AIO Launcher backup (appsV2.db, with the
+// custom categories of categories.db next to it) or a JSON fixture; the repo's
+// "AIO Backup" is loaded at start. apps:launch() opens nothing: launches are
+// logged and counted like on the device. Installing, removing or reloading
+// apps from the web UI / CLI runs on_apps_changed(), and so does editing or
+// replacing the loaded fixture on disk: it is watched and reloaded.
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { virtualNow } from './clock.js';
+import { readTable } from './sqlite.js';
+
+export const DEFAULT_APPS_FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'AIO Backup', 'appsV2.db');
+
+// The launcher's own categories, as the backup's apps use them; ids above
+// 1000 are the user's (categories.db)
+const BUILTIN_CATEGORIES = [
+    { id: 0, name: 'Games', icon: 'fa:gamepad', color: '#F44336' },
+    { id: 1, name: 'Music', icon: 'fa:music', color: '#E91E63' },
+    { id: 2, name: 'Video', icon: 'fa:film', color: '#9C27B0' },
+    { id: 3, name: 'Photo', icon: 'fa:camera', color: '#3F51B5' },
+    { id: 4, name: 'Social', icon: 'fa:comments', color: '#2196F3' },
+    { id: 5, name: 'News', icon: 'fa:newspaper', color: '#009688' },
+    { id: 6, name: 'Maps', icon: 'fa:map', color: '#4CAF50' },
+    { id: 7, name: 'Other', icon: 'fa:grip', color: '#9E9E9E' }
+].map(category => ({ ...category, hidden: false }));
+
+const WATCH_DEBOUNCE = 250;  // Writers and copies touch a file several times
+
+export const SORT_OPTIONS = ['abc', 'launch_count', 'launch_time', 'install_time',
+    'category_abc', 'category_launch_count', 'category_launch_time', 'category_install_time'];
+
+let installedApps = [];  // { pkg, name, color, hidden, suspended, category_id, badge, icon, launch_count, last_launch_time, install_time }
+let categories = [];
+let appsSource = null;
+let launches = [];      // Every apps:launch(), oldest first
+let appActions = [];    // Launches and edit dialogs of the last callback
+let watcher = null;     // { file, handle } watching the folder of appsSource
+let reloadTimer = null;
+const changeListeners = [];  // onAppsFileChanged()
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+// Android colors are signed ARGB integers
+function colorToHex(value) {
+    if (typeof value === 'string') return value;
+    return `#${((Number(value) || 0) >>> 0 & 0xffffff).toString(16).padStart(6, '0').toUpperCase()}`;
+}
+
+// Fields of apps:app(); `install_time` keeps the fixture's order when it has none
+function normalizeApp(data, idx) {
+    const pkg = String(data.pkg);
+    return {
+        pkg,
+        name: String(data.name || pkg),
+        color: colorToHex(data.color !== undefined ? data.color : '#9E9E9E'),
+        hidden: data.hidden === true,
+        suspended: data.suspended === true,
+        category_id: Number.isInteger(data.category_id) ? data.category_id : 7,
+        badge: Number(data.badge) || 0,
+        icon: `app:${pkg}`,
+        launch_count: Number(data.launch_count) || 0,
+        last_launch_time: Number(data.last_launch_time) || 0,
+        install_time: Number(data.install_time) || idx + 1
+    };
+}
+
+// App2 rows of appsV2.db; times there are in milliseconds
+function appsFromBackup(file) {
+    return readTable(file, 'App2').map(row => ({
+        pkg: row.pkg,
+        name: row.customName || row.name,
+        color: row.customColorSet ? row.customColor : row.color,
+        hidden: row.hidden === 1,
+        suspended: row.disabled === 1,
+        category_id: row.extra2 === '' || row.extra2 === null ? undefined : Number(row.extra2),
+        launch_count: row.launchCount,
+        last_launch_time: Math.floor((row.lastLaunchTime || 0) / 1000)
+    }));
+}
+
+function categoriesFromBackup(file) {
+    if (!fs.existsSync(file)) return [];
+    return readTable(file, 'Category').map(row => ({
+        id: row.id,
+        name: row.name,
+        icon: row.faIcon,
+        color: row.color,
+        hidden: row.hidden === 1
+    }));
+}
+
+// A backup's appsV2.db (categories.db next to it), or
+// { "apps": [...], "categories": [...] } / a plain array of apps
+export function loadAppsFixture(file, { quiet = false } = {}) {
+    let appList;
+    let customCategories;
+    try {
+        if (path.extname(file).toLowerCase() === '.json') {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            appList = Array.isArray(data) ? data : data.apps;
+            customCategories = Array.isArray(data) ? [] : data.categories || [];
+            if (!Array.isArray(appList)) {
+                throw new Error('expected { "apps": [...] } or an array');
+            }
+        } else {
+            appList = appsFromBackup(file);
+            customCategories = categoriesFromBackup(path.join(path.dirname(file), 'categories.db'));
+        }
+        if (appList.some(app => !app || !app.pkg)) {
+            throw new Error('every app needs a pkg');
+        }
+    } catch (err) {
+        console.log(chalk.red(`✗ Failed to load apps ${file}: ${err.message}`));
+        return false;
+    }
+
+    installedApps = appList.map(normalizeApp);
+    categories = BUILTIN_CATEGORIES.concat(customCategories.map(category => ({
+        id: Number(category.id),
+        name: String(category.name || ''),
+        icon: String(category.icon || ''),
+        color: colorToHex(category.color),
+        hidden: category.hidden === true
+    })));
+    appsSource = path.resolve(file);
+    watchAppsSource();
+    if (quiet) return true;
+    console.log(chalk.cyan(`📱 Apps: ${installedApps.length} from ${path.basename(file)}`));
+    return true;
+}
+
+// The folder is watched rather than the file, so replacing the file (a new
+// backup copied over it) is seen too. The watch does not keep the CLI running.
+function watchAppsSource() {
+    if (watcher && watcher.file === appsSource) return;
+    if (watcher) watcher.handle.close();
+    watcher = null;
+    const names = [path.basename(appsSource), 'categories.db'];
+    try {
+        const handle = fs.watch(path.dirname(appsSource), { persistent: false }, (event, name) => {
+            if (name && !names.includes(name)) return;
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(reloadAppsSource, WATCH_DEBOUNCE);
+            reloadTimer.unref();
+        });
+        handle.on('error', () => {});
+        watcher = { file: appsSource, handle };
+    } catch (err) {
+        console.log(chalk.yellow(`[Apps] Not watching ${appsSource}: ${err.message}`));
+    }
+}
+
+function reloadAppsSource() {
+    // A file being replaced may be missing for a moment; its new copy fires again
+    if (!fs.existsSync(appsSource)) return;
+    console.log(chalk.magenta(`\n📱 ${path.basename(appsSource)} changed on disk`));
+    if (loadAppsFixture(appsSource)) {
+        changeListeners.forEach(listener => listener());
+    }
+}
+
+// Run `listener` after the watched apps file was reloaded; the CLI and the
+// server run on_apps_changed() from it, each in its own execution
+export function onAppsFileChanged(listener) {
+    changeListeners.push(listener);
+}
+
+export function resetApps(options) {
+    return loadAppsFixture(DEFAULT_APPS_FIXTURE, options);
+}
+
+// An app being installed or updated (web UI / CLI); the caller runs on_apps_changed()
+export function installApp(data) {
+    const previous = findApp(data.pkg);
+    const app = normalizeApp({ install_time: Math.floor(virtualNow() / 1000), ...previous, ...data }, installedApps.length);
+    installedApps = installedApps.filter(a => a !== previous).concat(app);
+    console.log(chalk.magenta(`\n📱 ${previous ? 'Updated' : 'Installed'}: ${app.name} (${app.pkg})`));
+    return app;
+}
+
+// false for unknown packages
+export function uninstallApp(pkg) {
+    const app = findApp(pkg);
+    if (!app) return false;
+    installedApps = installedApps.filter(a => a !== app);
+    console.log(chalk.cyan(`📱 Removed: ${app.name} (${app.pkg})`));
+    return true;
+}
+
+export function getApps() {
+    return { source: appsSource, apps: sortApps('abc'), categories };
+}
+
+export function getLaunches() {
+    return [...launches];
+}
+
+export function clearLaunches() {
+    launches = [];
+}
+
+// Return and clear what the last callback launched or opened
+export function takeAppActions() {
+    const actions = appActions;
+    appActions = [];
+    return actions;
+}
+
+// ============================================================================
+// apps:*
+// ============================================================================
+
+// Scripts pass a package or an app table
+function findApp(pkg) {
+    const wanted = pkg && typeof pkg === 'object' ? pkg.pkg : pkg;
+    return installedApps.find(app => app.pkg === String(wanted)) || null;
+}
+
+const SORTERS = {
+    abc: (a, b) => a.name.localeCompare(b.name),
+    launch_count: (a, b) => b.launch_count - a.launch_count,
+    launch_time: (a, b) => b.last_launch_time - a.last_launch_time,
+    install_time: (a, b) => b.install_time - a.install_time
+};
+
+function sortApps(sortBy) {
+    const [byCategory, key] = sortBy.startsWith('category_') ? [true, sortBy.slice(9)] : [false, sortBy];
+    const sorter = SORTERS[key] || SORTERS.abc;
+    return [...installedApps].sort((a, b) => (byCategory ? a.category_id - b.category_id : 0)
+        || sorter(a, b)
+        || SORTERS.abc(a, b));
+}
+
+export const apps = {
+    apps: function(sortBy) {
+        if (sortBy !== undefined && sortBy !== null && typeof sortBy !== 'string') {
+            console.log(chalk.yellow('[Apps] apps: sort_by must be a string, using abc'));
+            sortBy = null;
+        }
+        if (sortBy && !SORT_OPTIONS.includes(sortBy)) {
+            console.log(chalk.yellow(`[Apps] Unknown sort "${sortBy}" (${SORT_OPTIONS.join(', ')}), using abc`));
+        }
+        return sortApps(sortBy || 'abc').map(app => ({ ...app }));
+    },
+
+    app: function(pkg) {
+        const app = findApp(pkg);
+        return app ? { ...app } : null;
+    },
+
+    launch: function(pkg) {
+        const app = findApp(pkg);
+        if (!app) {
+            console.log(chalk.yellow(`[Apps] launch: ${typeof pkg === 'object' && pkg ? pkg.pkg : pkg} is not installed`));
+            return false;
+        }
+        app.launch_count += 1;
+        app.last_launch_time = Math.floor(virtualNow() / 1000);
+        const launch = { pkg: app.pkg, name: app.name, time: new Date(virtualNow()).toISOString() };
+        launches.push(launch);
+        appActions.push({ type: 'launch', ...launch });
+        console.log(chalk.magenta(`\n🚀 Launch: ${app.name} (${app.pkg})`));
+        return true;
+    },
+
+    get_name: function(pkg) {
+        const app = findApp(pkg);
+        return app ? app.name : null;
+    },
+
+    get_color: function(pkg) {
+        const app = findApp(pkg);
+        return app ? app.color : null;
+    },
+
+    show_edit_dialog: function(pkg) {
+        const app = findApp(pkg);
+        if (!app) {
+            console.log(chalk.yellow(`[Apps] show_edit_dialog: ${pkg} is not installed`));
+            return;
+        }
+        appActions.push({ type: 'edit_dialog', pkg: app.pkg, name: app.name });
+        console.log(chalk.magenta(`\n📱 Edit dialog: ${app.name} (${app.pkg})`));
+    },
+
+    categories: function() {
+        return categories.map(category => ({ ...category }));
+    }
+};
+
+resetApps({ quiet: true });
+
+export default apps;
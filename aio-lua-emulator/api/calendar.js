@@ -0,0 +1,561 @@
+// Calendar API Emulation for AIO Launcher
+// calendar:* over calendars loaded from .ics files (each VCALENDAR block is
+// one calendar) or a JSON fixture; fixtures/calendar.ics is loaded at start.
+// Recurring events (RRULE with FREQ, INTERVAL, COUNT, UNTIL, BYDAY,
+// BYMONTHDAY; EXDATE) are expanded into instances for the requested range.
+// Without a range events() covers today and the next 30 days on the virtual
+// clock. While the calendar permission is denied events() and calendars()
+// return "permission_error". A calendar with X-AIO-RELATIVE-TO (relative_to in
+// JSON) keeps its one-off and bounded events that far ahead of the virtual
+// clock: they move by whole weeks, so the fixture never runs out of dates.
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { virtualNow } from './clock.js';
+import { hasPermission, requestPermission } from './permissions.js';
+
+export const DEFAULT_CALENDAR_FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'calendar.ics');
+
+const DAY = 86400000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_PERIODS = 50000;  // Recurrence periods expanded per event and query
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+let calendars = [];  // { id, name, color, account_name, account_type, is_primary, enabled, holidays }
+let events = [];     // { id, calendar_id, title, ..., begin/end in ms, all_day, rrule, exdates, relativeTo }
+let calendarSources = [];
+let calendarActions = [];  // Dialogs and system calendar calls from the last callback
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+function unescapeText(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// NAME;PARAM=value;...:value
+function parseProperty(line) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!match) return null;
+    const params = {};
+    match[2].split(';').filter(Boolean).forEach(param => {
+        const [key, value = ''] = param.split('=');
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    });
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+// 20260101 (all day, local midnight), 20260101T090000 (local) or ...Z (UTC)
+function parseIcsTime(value) {
+    const date = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (date) {
+        return { time: new Date(+date[1], date[2] - 1, +date[3]).getTime(), allDay: true };
+    }
+    const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+    if (!dateTime) return null;
+    const [, y, mo, d, h, mi, s, utc] = dateTime;
+    const time = utc
+        ? Date.UTC(+y, mo - 1, +d, +h, +mi, +s)
+        : new Date(+y, mo - 1, +d, +h, +mi, +s).getTime();
+    return { time, allDay: false };
+}
+
+// P1D, PT1H30M, P2W
+function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = (((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60000 + +seconds * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+// FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,-1FR;COUNT=5;UNTIL=20261231T235959Z
+function parseRrule(value) {
+    const parts = Object.fromEntries(value.split(';').map(part => part.split('=')).map(([k, v]) => [k.toUpperCase(), v || '']));
+    if (!FREQUENCIES.includes(parts.FREQ)) return null;
+    const until = parts.UNTIL ? parseIcsTime(parts.UNTIL) : null;
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+        count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+        // A date-only UNTIL includes that whole day
+        until: until ? until.time + (until.allDay ? DAY - 1 : 0) : null,
+        byDay: parts.BYDAY ? parts.BYDAY.split(',').map(day => {
+            const match = day.match(/^([+-]?\d+)?([A-Z]{2})$/);
+            return match && WEEKDAYS.includes(match[2]) ? { n: parseInt(match[1], 10) || 0, day: WEEKDAYS.indexOf(match[2]) } : null;
+        }).filter(Boolean) : null,
+        byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number).filter(Boolean) : null
+    };
+}
+
+function icsEvent(props) {
+    const start = props.DTSTART && parseIcsTime(props.DTSTART.value);
+    if (!start) return null;
+    const end = props.DTEND && parseIcsTime(props.DTEND.value);
+    const duration = props.DURATION && parseDuration(props.DURATION.value);
+    const text = name => (props[name] ? unescapeText(props[name].value) : '');
+    return {
+        uid: text('UID'),
+        title: text('SUMMARY'),
+        description: text('DESCRIPTION'),
+        location: text('LOCATION'),
+        status: text('STATUS').toLowerCase(),
+        color: props.COLOR ? props.COLOR.value : null,
+        begin: start.time,
+        end: end ? end.time : start.time + (duration !== null && duration !== undefined ? duration : (start.allDay ? DAY : 0)),
+        all_day: start.allDay,
+        rrule: props.RRULE ? parseRrule(props.RRULE.value) : null,
+        exdates: (props.EXDATE || []).flatMap(prop => prop.value.split(',')).map(parseIcsTime).filter(Boolean).map(t => t.time)
+    };
+}
+
+// One { name, color, account, holidays, events } per VCALENDAR block
+function parseIcs(text, fallbackName) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const result = [];
+    let calendar = null;
+    let props = null;   // Properties of the VEVENT being read
+    let nested = 0;     // Depth inside VALARM, VTIMEZONE... (ignored)
+
+    for (const line of lines) {
+        const prop = parseProperty(line);
+        if (!prop) continue;
+        if (prop.name === 'BEGIN') {
+            if (prop.value === 'VCALENDAR') {
+                calendar = { name: null, color: null, account: null, holidays: false, relativeTo: null, events: [] };
+            } else if (prop.value === 'VEVENT' && calendar && !props && nested === 0) {
+                props = {};
+            } else {
+                nested++;
+            }
+        } else if (prop.name === 'END') {
+            if (nested > 0) {
+                nested--;
+            } else if (prop.value === 'VEVENT' && props) {
+                const event = icsEvent(props);
+                if (event) calendar.events.push(event);
+                props = null;
+            } else if (prop.value === 'VCALENDAR' && calendar) {
+                result.push(calendar);
+                calendar = null;
+            }
+        } else if (nested > 0) {
+            continue;
+        } else if (props) {
+            if (prop.name === 'EXDATE') {
+                (props.EXDATE = props.EXDATE || []).push(prop);
+            } else {
+                props[prop.name] = prop;
+            }
+        } else if (calendar) {
+            if (prop.name === 'X-WR-CALNAME' || prop.name === 'NAME') calendar.name = unescapeText(prop.value);
+            if (prop.name === 'X-APPLE-CALENDAR-COLOR' || prop.name === 'COLOR') calendar.color = prop.value;
+            if (prop.name === 'X-AIO-ACCOUNT') calendar.account = prop.value;
+            if (prop.name === 'X-AIO-HOLIDAYS') calendar.holidays = prop.value.toUpperCase() === 'TRUE';
+            if (prop.name === 'X-AIO-RELATIVE-TO') {
+                const day = parseIcsTime(prop.value);
+                calendar.relativeTo = day ? day.time : null;
+            }
+        }
+    }
+    result.forEach((cal, idx) => {
+        cal.name = cal.name || (result.length > 1 ? `${fallbackName} ${idx + 1}` : fallbackName);
+    });
+    return result;
+}
+
+// Seconds, or anything Date parses; "2026-10-20" is local midnight
+function parseJsonTime(value) {
+    if (typeof value === 'number') return value * 1000;
+    const date = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (date) return new Date(+date[1], date[2] - 1, +date[3]).getTime();
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+// { calendars: [{ id, name, color, account_name, holidays, enabled }],
+//   events: [{ calendar_id, title, begin, end, all_day, rrule, exdates, ... }] }
+function parseJsonFixture(data, fallbackName) {
+    return (data.calendars || []).map((cal, idx) => ({
+        name: cal.name || `${fallbackName} ${idx + 1}`,
+        color: cal.color || null,
+        account: cal.account_name || null,
+        holidays: !!cal.holidays,
+        enabled: cal.enabled !== false,
+        relativeTo: cal.relative_to ? parseJsonTime(cal.relative_to) : null,
+        events: (data.events || [])
+            .filter(event => String(event.calendar_id) === String(cal.id !== undefined ? cal.id : idx + 1))
+            .map(event => {
+                const begin = parseJsonTime(event.begin);
+                if (begin === null) return null;
+                const allDay = !!(event.all_day || event.allDay);
+                const end = event.end !== undefined ? parseJsonTime(event.end) : null;
+                return {
+                    uid: String(event.id || ''),
+                    title: String(event.title || ''),
+                    description: String(event.description || ''),
+                    location: String(event.location || ''),
+                    status: String(event.status || ''),
+                    color: event.color || null,
+                    begin,
+                    end: end !== null ? end : begin + (allDay ? DAY : 3600000),
+                    all_day: allDay,
+                    rrule: event.rrule ? parseRrule(event.rrule) : null,
+                    exdates: (event.exdates || []).map(parseJsonTime).filter(time => time !== null)
+                };
+            })
+            .filter(Boolean)
+    }));
+}
+
+const PALETTE = ['#4CAF50', '#2196F3', '#F44336', '#FF9800', '#9C27B0', '#009688'];
+
+// Replace the calendars with the ones in these .ics / .json files.
+// Returns false (keeping the current data) when a file can't be read.
+export function loadCalendarFiles(files, { quiet = false } = {}) {
+    const parsed = [];
+    for (const file of files) {
+        try {
+            const text = fs.readFileSync(file, 'utf8');
+            const name = path.basename(file, path.extname(file));
+            parsed.push(...(path.extname(file).toLowerCase() === '.json'
+                ? parseJsonFixture(JSON.parse(text), name)
+                : parseIcs(text, name)));
+        } catch (err) {
+            console.log(chalk.red(`✗ Failed to load calendar ${file}: ${err.message}`));
+            return false;
+        }
+    }
+
+    calendars = [];
+    events = [];
+    parsed.forEach((cal, idx) => {
+        const id = idx + 1;
+        calendars.push({
+            id,
+            name: cal.name,
+            color: cal.color || PALETTE[idx % PALETTE.length],
+            account_name: cal.account || 'Local',
+            account_type: cal.account ? 'com.google' : 'LOCAL',
+            is_primary: idx === 0,
+            enabled: cal.enabled !== false,
+            holidays: cal.holidays
+        });
+        cal.events.forEach(event => events.push({
+            ...event,
+            id: events.length + 1,
+            calendar_id: id,
+            // Events that repeat forever never run out, and keep their dates
+            relativeTo: cal.relativeTo && (!event.rrule || event.rrule.count !== null || event.rrule.until !== null) ? cal.relativeTo : null
+        }));
+    });
+    calendarSources = files.map(file => path.resolve(file));
+    if (quiet) return true;
+    console.log(chalk.cyan(`📅 Calendar: ${calendars.length} calendar(s), ${events.length} event(s) from ${files.map(f => path.basename(f)).join(', ')}`));
+    return true;
+}
+
+export function resetCalendar(options) {
+    return loadCalendarFiles([DEFAULT_CALENDAR_FIXTURE], options);
+}
+
+// ============================================================================
+// Recurrence
+// ============================================================================
+
+function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+// Start times (ms, ascending) of one recurrence period: the n-th day, week,
+// month or year after the first occurrence, at its time of day
+function periodStarts(rule, first, period) {
+    const at = (year, month, day) => new Date(year, month, day, first.getHours(), first.getMinutes(), first.getSeconds()).getTime();
+    const step = period * rule.interval;
+    const year = first.getFullYear();
+    const month = first.getMonth();
+    const day = first.getDate();
+
+    switch (rule.freq) {
+        case 'DAILY':
+            return [at(year, month, day + step)];
+        case 'WEEKLY': {
+            // Weeks start on Monday (WKST=MO)
+            const monday = day - ((first.getDay() + 6) % 7) + step * 7;
+            const days = rule.byDay ? rule.byDay.map(d => d.day) : [first.getDay()];
+            return [...new Set(days)].map(d => at(year, month, monday + ((d + 6) % 7))).sort((a, b) => a - b);
+        }
+        case 'MONTHLY': {
+            const target = new Date(year, month + step, 1);
+            const [y, m] = [target.getFullYear(), target.getMonth()];
+            const last = daysInMonth(y, m);
+            let days;
+            if (rule.byDay) {
+                const firstDow = target.getDay();
+                days = rule.byDay.flatMap(({ n, day: dow }) => {
+                    const firstMatch = 1 + ((dow - firstDow + 7) % 7);
+                    const all = [];
+                    for (let d = firstMatch; d <= last; d += 7) all.push(d);
+                    if (n === 0) return all;
+                    return n > 0 ? [all[n - 1]] : [all[all.length + n]];
+                });
+            } else {
+                days = (rule.byMonthDay || [day]).map(d => (d < 0 ? last + d + 1 : d));
+            }
+            return [...new Set(days)].filter(d => d >= 1 && d <= last).sort((a, b) => a - b).map(d => at(y, m, d));
+        }
+        case 'YEARLY':
+            // Feb 29 only recurs in leap years
+            return day <= daysInMonth(year + step, month) ? [at(year + step, month, day)] : [];
+        default:
+            return [];
+    }
+}
+
+// Start times of an event's instances up to `to` (ms)
+function instanceStarts(event, to) {
+    const rule = event.rrule;
+    if (!rule) return [event.begin];
+
+    const first = new Date(event.begin);
+    const starts = [];
+    let generated = 0;
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        for (const time of periodStarts(rule, first, period)) {
+            if (time < event.begin) continue;
+            if (time > to || (rule.until !== null && time > rule.until) || (rule.count !== null && generated >= rule.count)) {
+                return starts;
+            }
+            generated++;  // COUNT includes excluded dates
+            if (!event.exdates.includes(time)) starts.push(time);
+        }
+    }
+    return starts;
+}
+
+function shiftDays(time, days) {
+    const date = new Date(time);
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+}
+
+// A relative event as of the virtual clock: its fixture's day maps to this
+// week, on the same weekday and wall-clock time
+function onVirtualClock(event) {
+    if (!event.relativeTo) return event;
+    const today = new Date(virtualNow());
+    today.setHours(0, 0, 0, 0);
+    const days = Math.round((today.getTime() - event.relativeTo) / (7 * DAY)) * 7;
+    if (days === 0) return event;
+    return {
+        ...event,
+        begin: shiftDays(event.begin, days),
+        end: shiftDays(event.end, days),
+        exdates: event.exdates.map(time => shiftDays(time, days)),
+        rrule: event.rrule && event.rrule.until !== null ? { ...event.rrule, until: shiftDays(event.rrule.until, days) } : event.rrule
+    };
+}
+
+function findCalendar(id) {
+    return calendars.find(cal => String(cal.id) === String(id)) || null;
+}
+
+// Event table as AIO returns it (times in seconds)
+function describeInstance(event, begin) {
+    const calendar = findCalendar(event.calendar_id);
+    return {
+        id: event.id,
+        calendar_id: event.calendar_id,
+        title: event.title,
+        description: event.description,
+        color: event.color || (calendar ? calendar.color : '#2196F3'),
+        status: event.status,
+        location: event.location,
+        begin: Math.floor(begin / 1000),
+        end: Math.floor((begin + event.end - event.begin) / 1000),
+        all_day: event.all_day
+    };
+}
+
+// Instances overlapping [from, to] (ms), by start time
+function instancesBetween(from, to, calendarIds = null) {
+    const ids = calendarIds ? calendarIds.map(String) : null;
+    const result = [];
+    events
+        .map(onVirtualClock)
+        .filter(event => !ids || ids.includes(String(event.calendar_id)))
+        .forEach(event => {
+            const length = event.end - event.begin;
+            instanceStarts(event, to).forEach(begin => {
+                const end = begin + length;
+                if (begin <= to && (end > from || begin >= from)) {
+                    result.push(describeInstance(event, begin));
+                }
+            });
+        });
+    return result.sort((a, b) => a.begin - b.begin || a.id - b.id);
+}
+
+// An event id or event table; recurring events resolve to the instance that
+// was passed, or the next one
+function resolveEvent(idOrEvent) {
+    const id = idOrEvent && typeof idOrEvent === 'object' ? idOrEvent.id : idOrEvent;
+    const found = events.find(e => String(e.id) === String(id));
+    if (!found) return null;
+    const event = onVirtualClock(found);
+    if (idOrEvent && typeof idOrEvent === 'object' && Number(idOrEvent.begin) > 0) {
+        return describeInstance(event, Number(idOrEvent.begin) * 1000);
+    }
+    const now = virtualNow();
+    const upcoming = instanceStarts(event, now + 366 * DAY).find(begin => begin + event.end - event.begin >= now);
+    return describeInstance(event, upcoming !== undefined ? upcoming : event.begin);
+}
+
+function withCalendarName(instance) {
+    const calendar = findCalendar(instance.calendar_id);
+    return { ...instance, calendar_name: calendar ? calendar.name : '' };
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') return Object.values(value);
+    return null;
+}
+
+function formatTime(seconds) {
+    return new Date(seconds * 1000).toLocaleString();
+}
+
+function logEvent(instance) {
+    console.log(chalk.magenta(`\n📅 ${instance.title}`));
+    console.log(chalk.gray(`   ${instance.all_day ? `${new Date(instance.begin * 1000).toLocaleDateString()} (all day)` : `${formatTime(instance.begin)} - ${formatTime(instance.end)}`}`));
+    if (instance.location) console.log(chalk.gray(`   📍 ${instance.location}`));
+    if (instance.description) console.log(chalk.gray(`   ${instance.description}`));
+    if (instance.calendar_name) console.log(chalk.gray(`   Calendar: ${instance.calendar_name}`));
+}
+
+export const calendar = {
+    // (start, end) in seconds; cal_table: calendar ids to include
+    events: function(start, end, calendarIds) {
+        if (!hasPermission('calendar')) return 'permission_error';
+        const from = start !== null && start !== undefined ? Number(start) * 1000 : (() => {
+            const today = new Date(virtualNow());
+            return new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime();
+        })();
+        const to = end !== null && end !== undefined ? Number(end) * 1000 : from + DEFAULT_RANGE_DAYS * DAY;
+        return instancesBetween(from, to, toList(calendarIds));
+    },
+
+    calendars: function() {
+        if (!hasPermission('calendar')) return 'permission_error';
+        return calendars.map(({ id, name, color, account_name, account_type, is_primary }) => ({
+            id, name, color, account_name, account_type, is_primary
+        }));
+    },
+
+    request_permission: function() {
+        requestPermission('calendar');
+    },
+
+    // The launcher's own event dialog (no on_dialog_action)
+    show_event_dialog: function(idOrEvent) {
+        const instance = resolveEvent(idOrEvent);
+        if (!instance) {
+            console.log(chalk.yellow(`[Calendar] show_event_dialog: no event ${JSON.stringify(idOrEvent)}`));
+            return;
+        }
+        const event = withCalendarName(instance);
+        calendarActions.push({ type: 'event_dialog', event });
+        logEvent(event);
+    },
+
+    open_event: function(idOrEvent) {
+        const instance = resolveEvent(idOrEvent);
+        if (!instance) {
+            console.log(chalk.yellow(`[Calendar] open_event: no event ${JSON.stringify(idOrEvent)}`));
+            return;
+        }
+        calendarActions.push({ type: 'open_event', event: withCalendarName(instance) });
+        console.log(chalk.cyan(`📅 Opening "${instance.title}" in the calendar app`));
+    },
+
+    open_new_event: function(start, end) {
+        const begin = Number(start) > 0 ? Number(start) : Math.floor(virtualNow() / 1000);
+        const finish = Number(end) > 0 ? Number(end) : begin + 3600;
+        calendarActions.push({ type: 'new_event', begin, end: finish });
+        console.log(chalk.cyan(`📅 New event in the calendar app: ${formatTime(begin)} - ${formatTime(finish)}`));
+    },
+
+    // { calendar_id, title, description, location, color, begin, end, all_day / allDay }
+    add_event: function(table) {
+        if (!hasPermission('calendar')) return false;
+        const data = table || {};
+        const cal = findCalendar(data.calendar_id);
+        const begin = Number(data.begin);
+        if (!cal || !(begin > 0)) {
+            console.log(chalk.yellow(`[Calendar] add_event: ${cal ? 'begin is required' : `no calendar ${data.calendar_id}`}`));
+            return false;
+        }
+        const allDay = !!(data.all_day || data.allDay);
+        const end = Number(data.end) > begin ? Number(data.end) : begin + (allDay ? 86400 : 3600);
+        const event = {
+            id: events.reduce((max, e) => Math.max(max, e.id), 0) + 1,
+            calendar_id: cal.id,
+            uid: '',
+            title: String(data.title || ''),
+            description: String(data.description || ''),
+            location: String(data.location || ''),
+            status: '',
+            color: data.color || null,
+            begin: begin * 1000,
+            end: end * 1000,
+            all_day: allDay,
+            rrule: null,
+            exdates: []
+        };
+        events.push(event);
+        calendarActions.push({ type: 'add_event', event: withCalendarName(describeInstance(event, event.begin)) });
+        console.log(chalk.cyan(`📅 Event added to ${cal.name}: "${event.title}" at ${formatTime(begin)}`));
+        return true;
+    },
+
+    // ids of the calendars shown by the built-in Calendar widget
+    enabled_calendar_ids: function() {
+        return calendars.filter(cal => cal.enabled).map(cal => cal.id);
+    },
+
+    // True when a holiday calendar has an event on that (local) day
+    is_holiday: function(date) {
+        const day = new Date((Number(date) || 0) * 1000);
+        const from = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+        const ids = calendars.filter(cal => cal.holidays).map(cal => cal.id);
+        return ids.length > 0 && instancesBetween(from, from + DAY - 1, ids).length > 0;
+    }
+};
+
+// Return and clear the dialogs and calendar app calls of the last callback
+export function takeCalendarActions() {
+    const actions = calendarActions;
+    calendarActions = [];
+    return actions;
+}
+
+// Loaded calendars and events (with their recurrence rules) for the UI
+export function getCalendarData() {
+    return {
+        sources: calendarSources,
+        calendars,
+        events: events.map(onVirtualClock).map(event => ({
+            ...event,
+            begin: new Date(event.begin).toISOString(),
+            end: new Date(event.end).toISOString()
+        }))
+    };
+}
+
+resetCalendar({ quiet: true });
+
+export default calendar;
@@ -0,0 +1,157 @@
+// Virtual Clock and Timer Callbacks
+// The time scripts see through os.time() / os.date(), and what drives AIO's
+// timer callbacks: on_tick(n) every second while the widget is on screen and
+// on_alarm() every 30 minutes. The clock runs in real time, accelerated
+// (`speed` virtual seconds per second) or paused, and step() moves it by hand.
+import chalk from 'chalk';
+
+export const CLOCK_MODES = ['realtime', 'accelerated', 'paused'];
+export const TICK_INTERVAL = 1000;
+export const ALARM_INTERVAL = 30 * 60 * 1000;
+export const MAX_SPEED = 3600;
+// Catching up on more ticks than this at once (high speeds, long steps)
+// runs only the latest ones; n still counts the skipped ticks
+export const MAX_TICKS_PER_RUN = 120;
+
+let clockMode = 'realtime';
+let clockSpeed = 60;  // Used in accelerated mode
+let anchorVirtual = Date.now();  // Virtual time at anchorReal
+let anchorReal = Date.now();
+
+function rate() {
+    if (clockMode === 'paused') return 0;
+    return clockMode === 'accelerated' ? clockSpeed : 1;
+}
+
+// Virtual time in ms
+export function virtualNow() {
+    return Math.floor(anchorVirtual + (Date.now() - anchorReal) * rate());
+}
+
+function reanchor(virtualTime = virtualNow()) {
+    anchorVirtual = virtualTime;
+    anchorReal = Date.now();
+}
+
+// Returns false for unknown modes or speeds out of range
+export function setClockMode(mode, speed) {
+    const hasSpeed = speed !== undefined && speed !== null;
+    if (!CLOCK_MODES.includes(mode) || (hasSpeed && !(Number(speed) > 0 && Number(speed) <= MAX_SPEED))) {
+        return false;
+    }
+    reanchor();
+    clockMode = mode;
+    if (hasSpeed) {
+        clockSpeed = Number(speed);
+    }
+    console.log(chalk.cyan(`🕐 Clock: ${describeClock()}`));
+    return true;
+}
+
+// Jump to a time (ms or anything Date parses); false when invalid
+export function setClockTime(time) {
+    const value = typeof time === 'number' ? time : Date.parse(time);
+    if (!Number.isFinite(value)) return false;
+    reanchor(value);
+    console.log(chalk.cyan(`🕐 Clock set to ${new Date(value).toLocaleString()}`));
+    return true;
+}
+
+export function stepClock(ms) {
+    const value = Number(ms);
+    if (!(value > 0)) return false;
+    reanchor(virtualNow() + value);
+    return true;
+}
+
+// Back to real time
+export function resetClock() {
+    clockMode = 'realtime';
+    reanchor(Date.now());
+}
+
+function describeClock() {
+    return clockMode === 'accelerated' ? `accelerated ×${clockSpeed}` : clockMode;
+}
+
+export function getClockState() {
+    const now = virtualNow();
+    return {
+        mode: clockMode,
+        speed: clockSpeed,
+        time: now,
+        iso: new Date(now).toISOString(),
+        offset: now - Date.now()
+    };
+}
+
+// Timer bookkeeping for one running script: ticks so far, when the next one
+// is due and when on_alarm last ran (null: never, so the first resume runs it)
+export function createTimers() {
+    return { ticks: 0, nextTick: virtualNow() + TICK_INTERVAL, lastAlarm: null };
+}
+
+// The tick numbers and alarm that fell due since the last call, in order
+export function takeDueTimers(timers) {
+    const now = virtualNow();
+    const due = { ticks: [], skipped: 0, alarm: false };
+
+    // The clock was set back: start counting from here
+    if (timers.nextTick - now > TICK_INTERVAL) {
+        timers.nextTick = now + TICK_INTERVAL;
+    }
+    if (now >= timers.nextTick) {
+        const count = Math.floor((now - timers.nextTick) / TICK_INTERVAL) + 1;
+        due.skipped = Math.max(0, count - MAX_TICKS_PER_RUN);
+        for (let i = due.skipped + 1; i <= count; i++) {
+            due.ticks.push(timers.ticks + i);
+        }
+        timers.ticks += count;
+        timers.nextTick += count * TICK_INTERVAL;
+    }
+
+    if (timers.lastAlarm !== null && now - timers.lastAlarm >= ALARM_INTERVAL) {
+        due.alarm = true;
+        timers.lastAlarm = now;
+    }
+    return due;
+}
+
+// AIO also runs on_alarm() when the widget comes back on screen, at most
+// once every 30 minutes. Marks the alarm as run when it is due.
+export function takeResumeAlarm(timers) {
+    const now = virtualNow();
+    if (timers.lastAlarm !== null && now - timers.lastAlarm < ALARM_INTERVAL && now >= timers.lastAlarm) {
+        return false;
+    }
+    timers.lastAlarm = now;
+    return true;
+}
+
+export function markAlarm(timers) {
+    timers.lastAlarm = virtualNow();
+}
+
+// Lua side: __clock_backend is swapped into os.time() / os.date()
+export const clock = {
+    now: function() {
+        return Math.floor(virtualNow() / 1000);
+    }
+};
+
+export const CLOCK_BOOTSTRAP = `
+local backend = __clock_backend
+__clock_backend = nil
+local time, date = os.time, os.date
+os.time = function(t)
+    if t == nil then
+        return backend:now()
+    end
+    return time(t)
+end
+os.date = function(format, t)
+    return date(format, t or backend:now())
+end
+`;
+
+export default { clock, virtualNow, setClockMode, setClockTime, stepClock, getClockState };
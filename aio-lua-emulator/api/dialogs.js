@@ -0,0 +1,136 @@
+// Dialogs API Emulation for AIO Launcher
+// Every dialog is modal: the script gets the user's choice later through
+// on_dialog_action(value), or -1 when the dialog is cancelled.
+import chalk from 'chalk';
+
+let activeDialog = null;  // Dialog opened during the last callback
+let nextDialogId = 1;
+
+function openDialog(type, fields) {
+    activeDialog = { id: nextDialogId++, type, ...fields };
+    console.log(chalk.magenta(`\n💬 Dialog (${type}): ${activeDialog.title || ''}`));
+    (activeDialog.buttons || activeDialog.lines || []).forEach((line, idx) => {
+        console.log(chalk.gray(`   ${idx + 1}. ${line}`));
+    });
+    return activeDialog;
+}
+
+function toList(lines) {
+    if (Array.isArray(lines)) return lines.map(line => String(line));
+    if (lines && typeof lines === 'object') return Object.values(lines).map(line => String(line));
+    return [];
+}
+
+export const dialogs = {
+    show_dialog: function(title, text, button1, button2) {
+        const buttons = [button1, button2].filter(b => b !== null && b !== undefined);
+        openDialog('dialog', {
+            title: title || '',
+            text: text || '',
+            buttons: buttons.length > 0 ? buttons.map(String) : ['OK']
+        });
+    },
+
+    show_edit_dialog: function(title, text, defaultText) {
+        openDialog('edit', {
+            title: title || '',
+            text: text || '',
+            defaultText: defaultText !== null && defaultText !== undefined ? String(defaultText) : ''
+        });
+    },
+
+    show_radio_dialog: function(title, lines, index) {
+        openDialog('radio', {
+            title: title || '',
+            lines: toList(lines),
+            index: Number(index) > 0 ? Number(index) : 0
+        });
+    },
+
+    show_checkbox_dialog: function(title, lines, checked) {
+        openDialog('checkbox', {
+            title: title || '',
+            lines: toList(lines),
+            checked: toList(checked).map(Number).filter(n => n > 0)
+        });
+    },
+
+    // Takes a table: { title, lines, search = true, zebra = true, split_symbol }
+    show_list_dialog: function(options) {
+        const opts = options || {};
+        openDialog('list', {
+            title: opts.title || '',
+            lines: toList(opts.lines),
+            search: opts.search !== false,
+            zebra: opts.zebra !== false,
+            splitSymbol: opts.split_symbol || null
+        });
+    },
+
+    // Takes a table: { text, new = true, colors, color, due_date, checkboxes }
+    show_rich_editor: function(options) {
+        const opts = options || {};
+        const checkboxes = Array.isArray(opts.checkboxes) ? opts.checkboxes : [];
+        openDialog('rich_editor', {
+            title: opts.title || '',
+            text: opts.text || '',
+            isNew: opts.new !== false,
+            colors: toList(opts.colors),
+            color: Number(opts.color) > 0 ? Number(opts.color) : 0,
+            dueDate: Number(opts.due_date) > 0 ? Number(opts.due_date) : 0,
+            checkboxes: checkboxes.map(c => ({ name: String(c.name || ''), checked: !!c.checked }))
+        });
+    }
+};
+
+// Methods also exposed on the ui module (ui:show_dialog etc.)
+export const UI_DIALOG_METHODS = Object.keys(dialogs);
+
+// Return and clear the dialog opened during the last callback
+export function takeDialog() {
+    const dialog = activeDialog;
+    activeDialog = null;
+    return dialog;
+}
+
+// Convert a raw answer from the web UI / CLI into the value AIO passes to
+// on_dialog_action. `null`, `undefined` or -1 mean the dialog was cancelled.
+export function dialogActionValue(dialog, answer) {
+    if (!dialog || answer === null || answer === undefined || answer === -1) {
+        return -1;
+    }
+
+    switch (dialog.type) {
+        case 'dialog':
+        case 'radio':
+        case 'list': {
+            const index = Number(answer);
+            return Number.isInteger(index) && index > 0 ? index : -1;
+        }
+        case 'edit':
+            return String(answer);
+        case 'checkbox':
+            return toList(answer).map(Number).filter(n => n > 0).sort((a, b) => a - b);
+        case 'rich_editor': {
+            const result = { text: String(answer.text ?? dialog.text) };
+            if (dialog.colors.length > 0) {
+                result.color = Number(answer.color) || dialog.color || 1;
+            }
+            if (dialog.dueDate > 0 || Number(answer.due_date) > 0) {
+                result.due_date = Number(answer.due_date) || dialog.dueDate;
+            }
+            if (dialog.checkboxes.length > 0) {
+                result.checkboxes = Array.isArray(answer.checkboxes) ? answer.checkboxes : dialog.checkboxes;
+            }
+            return result;
+        }
+        default:
+            return -1;
+    }
+}
+
+export function describeDialogValue(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+export default dialogs;
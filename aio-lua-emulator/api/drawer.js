@@ -0,0 +1,109 @@
+// Drawer API Emulation for AIO Launcher
+// Drawer scripts (`-- type = "drawer"`) fill the side menu from on_drawer_open();
+// item taps call on_click(idx) / on_long_click(idx), bottom buttons on_button_click(idx).
+import chalk from 'chalk';
+
+function emptyDrawer() {
+    return {
+        open: false,
+        mode: null,        // 'list', 'ext_list' or 'view'
+        items: [],
+        icons: [],
+        badges: [],
+        alphabet: false,
+        maxLines: 0,
+        view: null,        // Built-in view set by drawer:change_view()
+        buttons: [],
+        activeButton: 0
+    };
+}
+
+let drawerState = emptyDrawer();
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') return Object.values(value);
+    return [];
+}
+
+function printDrawer() {
+    console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    console.log(chalk.bold.cyan(`Drawer (${drawerState.mode}):`));
+    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    drawerState.items.forEach((item, idx) => {
+        const badge = drawerState.badges[idx] ? chalk.yellow(` [${drawerState.badges[idx]}]`) : '';
+        console.log(`${idx + 1}. ${String(item).replace(/<[^>]*>/g, '')}${badge}`);
+    });
+    if (drawerState.buttons.length > 0) {
+        console.log(chalk.gray(drawerState.buttons.map((b, idx) =>
+            idx + 1 === drawerState.activeButton ? `(${b})` : b).join('  ')));
+    }
+    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+}
+
+export const drawer = {
+    show_list: function(lines, icons, badges, showAlphabet) {
+        Object.assign(drawerState, {
+            open: true,
+            mode: 'list',
+            items: toList(lines).map(String),
+            icons: toList(icons).map(String),
+            badges: toList(badges).map(String),
+            alphabet: !!showAlphabet,
+            maxLines: 0,
+            view: null
+        });
+        printDrawer();
+    },
+
+    show_ext_list: function(lines, maxLines) {
+        Object.assign(drawerState, {
+            open: true,
+            mode: 'ext_list',
+            items: toList(lines).map(String),
+            icons: [],
+            badges: [],
+            alphabet: false,
+            maxLines: Number(maxLines) || 0,
+            view: null
+        });
+        printDrawer();
+    },
+
+    // Switch the drawer to one of AIO's built-in views (appbox, categories, ...)
+    change_view: function(name) {
+        Object.assign(drawerState, { open: true, mode: 'view', view: String(name), items: [], icons: [], badges: [] });
+        console.log(chalk.magenta(`\n🗂️  Drawer view changed to "${name}"`));
+    },
+
+    add_buttons: function(icons, active) {
+        drawerState.buttons = toList(icons).map(String);
+        drawerState.activeButton = Number(active) || 0;
+        console.log(chalk.gray(`[Drawer buttons: ${drawerState.buttons.join(', ')}]`));
+    },
+
+    items: function() {
+        return [...drawerState.items];
+    },
+
+    close: function() {
+        drawerState.open = false;
+        console.log(chalk.magenta('\n🗂️  Drawer closed'));
+    }
+};
+
+// Drawer state lives with the script (one per server session)
+export function getDrawerState() {
+    return { ...drawerState };
+}
+
+export function setDrawerState(state) {
+    drawerState = state ? { ...emptyDrawer(), ...state } : emptyDrawer();
+}
+
+// Mark the drawer open before on_drawer_open() runs, as the launcher does
+export function openDrawer() {
+    drawerState.open = true;
+}
+
+export default drawer;
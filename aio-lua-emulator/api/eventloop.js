@@ -0,0 +1,143 @@
+// Event Loop for the Emulated Launcher
+// Tracks every pending async operation (HTTP callback, queued callback, dialog)
+// so a run can wait for its work to settle, and delivers the callbacks the
+// launcher calls asynchronously (on_tasks_loaded, on_notifications_updated,
+// ...). Used by api/http.js and the non-network modules alike.
+import chalk from 'chalk';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const DEFAULT_ASYNC_TIMEOUT = 5000;
+const pendingOps = new Map();
+let nextPendingId = 1;
+let drainListeners = [];  // { execution, listener }
+const expiredExecutions = new Set();  // Their last waitForPending() gave up
+const queuedBroadcasts = new Set();  // `${execution}:${name}` not yet delivered
+let networkDispatcher = null;  // Calls global on_* functions in the script's Lua state
+
+// Which run an operation belongs to. Work started inside runInExecution()
+// (and the callbacks that work delivers) keeps its key across awaits,
+// timers and responses; the CLI runs everything under the default key.
+const executionContext = new AsyncLocalStorage();
+const DEFAULT_EXECUTION = 'default';
+
+export function runInExecution(execution, fn) {
+    return executionContext.run(execution, fn);
+}
+
+export function currentExecution() {
+    return executionContext.getStore() || DEFAULT_EXECUTION;
+}
+
+// Register a pending operation; returns a function to call once it has settled
+export function trackPending(kind, description) {
+    const id = nextPendingId++;
+    const execution = currentExecution();
+    pendingOps.set(id, { id, kind, description, execution, startedAt: Date.now() });
+
+    return function done() {
+        if (pendingOps.delete(id) && !hasPending(execution)) {
+            expiredExecutions.delete(execution);
+            const listeners = drainListeners.filter(l => l.execution === execution);
+            drainListeners = drainListeners.filter(l => l.execution !== execution);
+            listeners.forEach(l => l.listener());
+        }
+    };
+}
+
+function hasPending(execution) {
+    for (const op of pendingOps.values()) {
+        if (op.execution === execution) return true;
+    }
+    return false;
+}
+
+// Whether the execution's last waitForPending() gave up before its work settled
+export function executionExpired(execution = currentExecution()) {
+    return expiredExecutions.has(execution);
+}
+
+// Snapshot of an execution's operations that have not settled yet
+export function getPendingOps(execution = currentExecution()) {
+    const now = Date.now();
+    return [...pendingOps.values()].filter(op => op.execution === execution).map(op => ({
+        kind: op.kind,
+        description: op.description,
+        elapsed: now - op.startedAt
+    }));
+}
+
+// Resolve when the current execution's operations drain or the deadline
+// passes, whichever is first; work of other executions is not waited for
+export function waitForPending(timeout = DEFAULT_ASYNC_TIMEOUT) {
+    const execution = currentExecution();
+    expiredExecutions.delete(execution);
+    return new Promise(resolve => {
+        if (!hasPending(execution)) {
+            resolve({ drained: true, pending: [] });
+            return;
+        }
+
+        const entry = {
+            execution,
+            listener: () => {
+                clearTimeout(timer);
+                resolve({ drained: true, pending: [] });
+            }
+        };
+        const timer = setTimeout(() => {
+            drainListeners = drainListeners.filter(l => l !== entry);
+            expiredExecutions.add(execution);
+            resolve({ drained: false, pending: getPendingOps(execution) });
+        }, Math.max(0, timeout));
+        drainListeners.push(entry);
+    });
+}
+
+// Set how global callbacks are invoked: dispatcher(name, ...args) runs the
+// Lua global `name` and returns false when the script does not define it.
+// Requests keep the dispatcher that was current when they were made.
+export function setNetworkDispatcher(dispatcher) {
+    networkDispatcher = dispatcher;
+}
+
+export function getNetworkDispatcher() {
+    return networkDispatcher;
+}
+
+// Call a Lua global once the current callback has returned, as the launcher
+// does for results it delivers asynchronously (on_tasks_loaded, ...)
+export function queueCallback(name, ...args) {
+    scheduleCallback(name, args, true);
+}
+
+// Same for broadcasts a script may ignore (on_notifications_updated). Changes
+// made before the broadcast is delivered share it, as one update.
+export function queueOptionalCallback(name, ...args) {
+    const key = `${currentExecution()}:${name}`;
+    if (queuedBroadcasts.has(key)) return;
+    queuedBroadcasts.add(key);
+    scheduleCallback(name, args, false, () => queuedBroadcasts.delete(key));
+}
+
+// Callbacks still queued when their execution's deadline has passed are
+// dropped, so a callback that keeps queueing itself ends with the run
+function scheduleCallback(name, args, required, onSettled = null) {
+    const dispatch = networkDispatcher;
+    const execution = currentExecution();
+    const done = trackPending('callback', `${name}()`);
+    setImmediate(() => {
+        try {
+            if (onSettled) onSettled();
+            if (executionExpired(execution)) {
+                console.log(chalk.gray(`   ${name}() dropped: still queued at the deadline`));
+                return;
+            }
+            const delivered = dispatch && dispatch(name, ...args);
+            if (!delivered && required) {
+                console.log(chalk.yellow(`   ⚠ ${name}() is not defined, result dropped`));
+            }
+        } finally {
+            done();
+        }
+    });
+}
@@ -0,0 +1,197 @@
+// Fault Injection for the HTTP Emulation
+// A fault spec describes how requests misbehave. It can be set globally (a
+// preset name or a custom spec) or per mock rule / response with `fault`:
+//
+//   latency      ms, { ms, jitter } or { min, max }: delay before the answer
+//   timeout      true or ms: no answer, on_network_error after the wait
+//   reset        true: the connection is reset, on_network_error
+//   truncate     true (half), a fraction (0.3) or a length in characters (120)
+//   invalidJson  true: the body no longer parses as JSON
+//   contentType  replaces the Content-Type response header
+//   rateLimit    true or { retryAfter, limit }: 429 with Retry-After after
+//                `limit` requests (0 by default)
+//   errorBurst   { status, length, every }: the first `length` of every
+//                `every` requests answer `status` (5xx)
+//   probability  0..1: chance that the fault hits a request (latency always applies)
+
+export const FAULT_KEYS = ['latency', 'timeout', 'reset', 'truncate', 'invalidJson', 'contentType', 'rateLimit', 'errorBurst', 'probability'];
+
+export const DEFAULT_FAULT_TIMEOUT = 3000;
+
+export const FAULT_PRESETS = {
+    none: { description: 'No faults', fault: null },
+    slow: { description: 'Slow network: 1.5s ± 1s latency', fault: { latency: { ms: 1500, jitter: 1000 } } },
+    timeout: { description: 'Every request times out', fault: { timeout: true } },
+    flaky: { description: '30% of requests are reset', fault: { reset: true, probability: 0.3 } },
+    reset: { description: 'Every connection is reset', fault: { reset: true } },
+    truncated: { description: 'Bodies are cut in half', fault: { truncate: true } },
+    'invalid-json': { description: 'Bodies are not valid JSON', fault: { invalidJson: true } },
+    'wrong-content-type': { description: 'Responses claim to be text/html', fault: { contentType: 'text/html; charset=utf-8' } },
+    'rate-limited': { description: 'HTTP 429 with Retry-After: 30', fault: { rateLimit: { retryAfter: 30 } } },
+    'server-errors': { description: '5xx bursts: 3 of every 5 requests get 503', fault: { errorBurst: { status: 503, length: 3, every: 5 } } }
+};
+
+let faultProfile = null;      // Active global spec, null for none
+let faultProfileName = 'none';
+let counters = new WeakMap();  // Requests seen per spec (rate limits, bursts)
+
+// Problems with a spec, as readable strings (empty when it is fine)
+export function validateFault(fault) {
+    if (fault === null || fault === undefined) return [];
+    if (typeof fault !== 'object' || Array.isArray(fault)) return ['fault must be an object'];
+
+    const problems = Object.keys(fault)
+        .filter(key => !FAULT_KEYS.includes(key))
+        .map(key => `unknown fault "${key}"`);
+    if (fault.probability !== undefined && !(Number(fault.probability) >= 0 && Number(fault.probability) <= 1)) {
+        problems.push('probability must be between 0 and 1');
+    }
+    if (fault.errorBurst !== undefined && !(Number(fault.errorBurst.length) > 0)) {
+        problems.push('errorBurst needs a length');
+    }
+    return problems;
+}
+
+function latencyMs(latency) {
+    if (typeof latency === 'number') return Math.max(0, latency);
+    if (latency && typeof latency === 'object') {
+        if (latency.min !== undefined || latency.max !== undefined) {
+            const min = Number(latency.min) || 0;
+            const max = Math.max(min, Number(latency.max) || min);
+            return Math.round(min + Math.random() * (max - min));
+        }
+        const ms = Number(latency.ms) || 0;
+        const jitter = Number(latency.jitter) || 0;
+        return Math.max(0, Math.round(ms + (Math.random() * 2 - 1) * jitter));
+    }
+    return null;
+}
+
+function truncateBody(body, truncate) {
+    const amount = Number(truncate);
+    const length = truncate === true || !(amount > 0)
+        ? Math.floor(body.length / 2)
+        : amount < 1 ? Math.floor(body.length * amount) : Math.min(body.length, Math.floor(amount));
+    return body.substring(0, length);
+}
+
+// A trailing comma before the closing bracket: looks like JSON, does not parse
+function breakJson(body) {
+    const trimmed = body.trimEnd();
+    return trimmed.length > 1 ? `${trimmed.slice(0, -1)},${trimmed.slice(-1)}` : '{';
+}
+
+// Decide what happens to one request. Returns
+//   { latency, error, override, rewrite, labels }
+// latency: ms to wait (null: the caller's default); error: { message, code }
+// to fail with instead of answering; override: a synthetic { status, body,
+// headers } answered without a real request; rewrite(response): body and
+// header changes for a real or mocked answer; labels: what was injected.
+export function planFault(fault) {
+    const plan = { latency: null, error: null, override: null, rewrite: null, labels: [] };
+    if (!fault) return plan;
+
+    plan.latency = latencyMs(fault.latency);
+    if (plan.latency !== null) {
+        plan.labels.push(`latency ${plan.latency}ms`);
+    }
+
+    const count = (counters.get(fault) || 0) + 1;
+    counters.set(fault, count);
+
+    const probability = fault.probability === undefined ? 1 : Number(fault.probability);
+    if (Math.random() >= probability) {
+        return plan;
+    }
+
+    if (fault.timeout) {
+        const wait = fault.timeout === true ? DEFAULT_FAULT_TIMEOUT : Number(fault.timeout) || DEFAULT_FAULT_TIMEOUT;
+        plan.latency = wait;
+        plan.error = { message: 'timeout', code: 'ETIMEDOUT', name: 'AbortError' };
+        plan.labels.push(`timeout after ${wait}ms`);
+        return plan;
+    }
+    if (fault.reset) {
+        plan.error = { message: 'Connection reset', code: 'ECONNRESET' };
+        plan.labels.push('connection reset');
+        return plan;
+    }
+
+    if (fault.rateLimit) {
+        const limit = Number(fault.rateLimit.limit) || 0;
+        if (count > limit) {
+            const retryAfter = fault.rateLimit.retryAfter === undefined ? 30 : fault.rateLimit.retryAfter;
+            plan.override = {
+                status: 429,
+                body: JSON.stringify({ error: 'Too Many Requests', retry_after: retryAfter }),
+                headers: { 'content-type': 'application/json', 'retry-after': String(retryAfter) }
+            };
+            plan.labels.push(`429 (Retry-After: ${retryAfter})`);
+        }
+    }
+
+    if (!plan.override && fault.errorBurst) {
+        const length = Number(fault.errorBurst.length) || 1;
+        const every = Math.max(length, Number(fault.errorBurst.every) || length * 2);
+        if ((count - 1) % every < length) {
+            const status = Number(fault.errorBurst.status) || 503;
+            plan.override = {
+                status,
+                body: JSON.stringify({ error: `HTTP ${status}` }),
+                headers: { 'content-type': 'application/json' }
+            };
+            plan.labels.push(`${status} burst (${(count - 1) % every + 1}/${length})`);
+        }
+    }
+
+    if (fault.truncate || fault.invalidJson || fault.contentType) {
+        plan.rewrite = response => {
+            let body = response.body === null || response.body === undefined ? '' : String(response.body);
+            if (fault.invalidJson) body = breakJson(body);
+            if (fault.truncate) body = truncateBody(body, fault.truncate);
+            const headers = { ...response.headers };
+            if (fault.contentType) {
+                Object.keys(headers).filter(key => key.toLowerCase() === 'content-type').forEach(key => delete headers[key]);
+                headers['content-type'] = String(fault.contentType);
+            }
+            return { ...response, body, headers };
+        };
+        if (fault.invalidJson) plan.labels.push('invalid JSON');
+        if (fault.truncate) plan.labels.push('truncated body');
+        if (fault.contentType) plan.labels.push(`content-type ${fault.contentType}`);
+    }
+
+    return plan;
+}
+
+// Set the global profile: a preset name or a custom spec. Returns false for
+// unknown presets or invalid specs. Counters start over.
+export function setFaultProfile(profile) {
+    if (typeof profile === 'string' || profile === null || profile === undefined) {
+        const name = profile || 'none';
+        if (!FAULT_PRESETS[name]) return false;
+        faultProfile = FAULT_PRESETS[name].fault;
+        faultProfileName = name;
+    } else {
+        if (validateFault(profile).length > 0) return false;
+        faultProfile = profile;
+        faultProfileName = 'custom';
+    }
+    counters = new WeakMap();
+    return true;
+}
+
+export function getFaultProfile() {
+    return { name: faultProfileName, fault: faultProfile };
+}
+
+// The spec for a request: the mock rule's own fault replaces the global profile
+export function effectiveFault(ruleFault) {
+    return ruleFault || faultProfile;
+}
+
+export function listFaultPresets() {
+    return Object.entries(FAULT_PRESETS).map(([name, preset]) => ({ name, ...preset }));
+}
+
+export default planFault;
@@ -0,0 +1,148 @@
+// Rich GUI Emulation for AIO Launcher
+// `gui{...}` describes a layout as a list of {type, value, options} elements,
+// `ui:build{...}` as a list of "type args" strings. Both render into a layout
+// tree that the web preview draws and that routes clicks back as on_click(idx).
+import chalk from 'chalk';
+import { showLayout } from './ui.js';
+
+const GUI_TYPES = ['text', 'button', 'icon', 'spacer', 'new_line', 'progress'];
+
+function parseGravity(gravity) {
+    return gravity ? String(gravity).split('|').map(g => g.trim()).filter(Boolean) : [];
+}
+
+function stripHtml(text) {
+    return String(text).replace(/<[^>]*>/g, '');
+}
+
+// Turn a gui{} element list into rows. `index` is the element's position in
+// the original list, which is what AIO passes to on_click(idx).
+export function buildGuiLayout(elements) {
+    const list = Array.isArray(elements) ? elements : Object.values(elements || {});
+    const rows = [{ gap: 0, elements: [] }];
+
+    list.forEach((element, i) => {
+        const [type, value, options] = Array.isArray(element) ? element : [];
+        const opts = options && typeof options === 'object' ? options : {};
+        const index = i + 1;
+
+        if (!GUI_TYPES.includes(type)) {
+            console.log(chalk.yellow(`[GUI] Unknown element "${type}" at ${index}`));
+            return;
+        }
+
+        if (type === 'new_line') {
+            rows.push({ gap: Number(value) || 0, elements: [] });
+            return;
+        }
+
+        const node = { index, type, gravity: parseGravity(opts.gravity) };
+        if (type === 'spacer') {
+            node.width = Number(value) || 1;
+        } else {
+            node.value = value === null || value === undefined ? '' : String(value);
+            if (opts.size !== undefined) node.size = Number(opts.size);
+            if (opts.color) node.color = String(opts.color);
+            if (opts.expand) node.expand = true;
+            if (type === 'progress') {
+                node.progress = Math.min(100, Math.max(0, Number(opts.progress) || 0));
+            }
+        }
+        rows[rows.length - 1].elements.push(node);
+    });
+
+    return { source: 'gui', rows };
+}
+
+// Turn ui:build{} strings into rows: "text ..." lines, "space N" gaps and
+// built-in widget elements ("battery", "notes 2", "worldclock new_york ...")
+export function buildUiLayout(lines) {
+    const list = Array.isArray(lines) ? lines : Object.values(lines || {});
+    const rows = [];
+    let gap = 0;
+
+    list.forEach(line => {
+        const str = String(line).trim();
+        const space = str.indexOf(' ');
+        const type = space === -1 ? str : str.slice(0, space);
+        const rest = space === -1 ? '' : str.slice(space + 1).trim();
+
+        if (type === 'space') {
+            gap += Number(rest) || 1;
+            return;
+        }
+
+        const node = type === 'text'
+            ? { index: null, type: 'text', value: rest, gravity: [] }
+            : { index: null, type: 'builtin', name: type, args: rest ? rest.split(/\s+/) : [], gravity: [] };
+        rows.push({ gap, elements: [node] });
+        gap = 0;
+    });
+
+    return { source: 'build', rows };
+}
+
+// Plain-text version of a layout for the terminal and the output buffer
+export function layoutToLines(layout) {
+    return layout.rows.map(row => row.elements.map(node => {
+        switch (node.type) {
+            case 'text':
+                return stripHtml(node.value);
+            case 'button':
+                return `[ ${node.value} ]`;
+            case 'icon':
+                return node.value.startsWith('fa:') ? `(${node.value.slice(3)})` : '(icon)';
+            case 'spacer':
+                return ' '.repeat(node.width);
+            case 'progress': {
+                const filled = Math.round(node.progress / 10);
+                return `${stripHtml(node.value)} [${'█'.repeat(filled)}${'░'.repeat(10 - filled)}] ${node.progress}%`;
+            }
+            case 'builtin':
+                return `<${node.name}${node.args.length ? ' ' + node.args.join(' ') : ''}>`;
+            default:
+                return '';
+        }
+    }).join(' ').trimEnd());
+}
+
+function render(layout) {
+    const lines = layoutToLines(layout);
+    showLayout(layout, lines);
+
+    console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    console.log(chalk.bold.cyan(layout.source === 'gui' ? 'Widget GUI:' : 'Widget UI (build):'));
+    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    lines.forEach(line => console.log(line));
+    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+}
+
+// Backend for the Lua gui{} constructor (see GUI_BOOTSTRAP)
+export const gui = {
+    render: function(elements) {
+        render(buildGuiLayout(elements));
+    }
+};
+
+// ui:build{...}
+export function build(lines) {
+    render(buildUiLayout(lines));
+}
+
+// Lua side of gui{}: the returned object keeps its element list in `ui`, so
+// scripts can edit my_gui.ui[idx] and call my_gui.render() again.
+// Expects the backend registered as the global __gui_backend.
+export const GUI_BOOTSTRAP = `
+local backend = __gui_backend
+__gui_backend = nil
+function gui(elements)
+    local self = { ui = elements or {} }
+    self.render = function()
+        backend:render(self.ui)
+        return self
+    end
+    return self
+end
+`;
+
+export default gui;
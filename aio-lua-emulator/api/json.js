@@ -31,3 +31,20 @@ export const json = {
     }
 };
 
+// Lua side of the json module. Scripts call both json.decode(s) and
+// json:decode(s), so the self argument is dropped only when it is the module.
+// Expects the backend registered as the global __json_backend.
+export const JSON_BOOTSTRAP = `
+local backend = __json_backend
+__json_backend = nil
+local function method(name)
+    return function(first, ...)
+        if first == json then
+            return backend[name](backend, ...)
+        end
+        return backend[name](backend, first, ...)
+    end
+end
+json = { decode = method("decode"), encode = method("encode") }
+`;
+
@@ -0,0 +1,97 @@
+// Script Metadata Parser for AIO Launcher
+// Scripts start with a comment header of `-- key = "value"` lines that tells
+// the launcher what the script is (widget, search, drawer...) and how to run it.
+
+export const SCRIPT_TYPES = ['widget', 'search', 'drawer', 'module'];
+
+// Keys AIO Launcher understands; anything else is kept but not interpreted
+export const KNOWN_KEYS = [
+    'name', 'name_id', 'type', 'description', 'author', 'version', 'aio_version',
+    'data_source', 'foldable', 'on_resume_when_folding', 'prefix', 'arguments_help',
+    'arguments_default', 'lang', 'testing', 'uses_app', 'requires_plugin', 'root',
+    'icon', 'private_mode'
+];
+
+export const REQUIRED_KEYS = ['name', 'type'];
+
+const BOOLEAN_KEYS = ['foldable', 'on_resume_when_folding', 'testing', 'root', 'private_mode'];
+
+// Callback the launcher runs first for each script type
+const ENTRY_CALLBACKS = {
+    widget: 'on_resume',
+    search: null,        // Waits for a query: on_search(query)
+    drawer: 'on_drawer_open',
+    module: null         // Only loaded with require
+};
+
+const HEADER_LINE = /^--\s*([a-z_]+)\s*=\s*(["'])(.*)\2\s*$/;
+const LOOSE_LINE = /^--\s*([a-z_]+)\s*([:=])\s*(.*?)\s*$/;
+
+function warning(line, message) {
+    return line ? `line ${line}: ${message}` : message;
+}
+
+// Parse the leading comment block. Returns the raw values, normalized flags
+// and warnings about missing or malformed keys.
+export function parseMetadata(source) {
+    const values = {};
+    const warnings = [];
+    const lines = String(source || '').split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line === '') continue;
+        if (!line.startsWith('--')) break;  // Header ends at the first line of code
+
+        const strict = line.match(HEADER_LINE);
+        if (strict) {
+            const [, key, , value] = strict;
+            if (key in values) {
+                warnings.push(warning(i + 1, `duplicate key "${key}", using the last value`));
+            }
+            values[key] = value;
+            continue;
+        }
+
+        // `-- foldable = true` or `-- uses_app: "..."`: accept, but the launcher may not
+        const loose = line.match(LOOSE_LINE);
+        if (loose && (KNOWN_KEYS.includes(loose[1]) || loose[2] === '=')) {
+            const [, key, , raw] = loose;
+            values[key] = raw.replace(/^["']|["']$/g, '');
+            warnings.push(warning(i + 1, `malformed header "${line}", expected -- ${key} = "value"`));
+        }
+    }
+
+    REQUIRED_KEYS.forEach(key => {
+        if (!(key in values)) {
+            warnings.push(key === 'type'
+                ? 'missing required key "type", assuming "widget"'
+                : `missing required key "${key}"`);
+        }
+    });
+
+    if (values.type !== undefined && !SCRIPT_TYPES.includes(values.type)) {
+        warnings.push(`unknown type "${values.type}", expected one of ${SCRIPT_TYPES.join(', ')}`);
+    }
+
+    BOOLEAN_KEYS.forEach(key => {
+        if (values[key] !== undefined && !['true', 'false'].includes(values[key])) {
+            warnings.push(`"${key}" should be "true" or "false", got "${values[key]}"`);
+        }
+    });
+
+    const type = SCRIPT_TYPES.includes(values.type) ? values.type : 'widget';
+    return {
+        values,
+        name: values.name || null,
+        type,
+        // Widgets fold unless the header says otherwise
+        foldable: values.foldable !== 'false',
+        onResumeWhenFolding: values.on_resume_when_folding === 'true',
+        prefixes: values.prefix ? values.prefix.split('|').filter(Boolean) : [],
+        entry: ENTRY_CALLBACKS[type],
+        warnings
+    };
+}
+
+export default parseMetadata;
@@ -0,0 +1,502 @@
+// Mock Rules for the HTTP Emulation
+// Two file formats are understood:
+//
+//   Legacy (version 1): { "<url>": { status, body, headers } }
+//     Keys are full URLs, paths ("/rest/system/resource") or "METHOD <url>".
+//
+//   Version 2: { "version": 2, "rules": [ { name, priority, match, response } ] }
+//     match: method, host, path ("/items/:id", "/api/*", "/files/**"), pathRegex,
+//            query, headers and body constraints.
+//
+// Legacy keys are converted to version 2 rules, so both formats are matched
+// the same way. Rules are tried by priority, then specificity, then file order.
+//
+// Version 2 files can also be stateful:
+//   responses + sequence   A list answered one per call ("stick" to the last
+//                          entry or "cycle"); `repeat` answers an entry n times
+//   state                  Variables rules can match on (match.state) and
+//                          responses change (set, increment, toggle) and read
+//                          in templates ("{{state.count}}", "{{params.id}}", "{{call}}")
+//   scenarios              Named sets of rules and state, tried before the
+//                          top-level rules while active
+//   fault                  On a rule or a response: latency, timeouts, resets,
+//                          broken bodies... (see api/faults.js)
+
+import { validateFault } from './faults.js';
+
+export const MOCK_FORMAT_VERSION = 2;
+
+const METHOD_KEY = /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+(\S.*)$/i;
+const MATCH_KEYS = ['method', 'host', 'path', 'pathRegex', 'query', 'headers', 'body', 'state'];
+const SEQUENCES = ['stick', 'cycle'];
+const VALUE_MATCHERS = ['equals', 'regex', 'prefix', 'contains', 'present', 'oneOf'];
+const BODY_MATCHERS = ['json', 'equals', 'regex', 'contains'];
+
+function escapeRegex(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "*.example.com" → /^[^.]*\.example\.com$/i, "*" stays within one label
+function hostGlobToRegex(glob) {
+    return new RegExp(`^${glob.split('*').map(escapeRegex).join('[^.]*')}$`, 'i');
+}
+
+// "/items/:id/**" → regex with named params; "**" matches the rest of the path
+function compilePathPattern(pattern) {
+    const params = [];
+    const source = pattern.split('/').map(segment => {
+        if (segment === '**') {
+            params.push('rest');
+            return '(.*)';
+        }
+        if (segment.startsWith(':')) {
+            params.push(segment.slice(1));
+            return '([^/]+)';
+        }
+        return segment.split('*').map(escapeRegex).join('[^/]*');
+    }).join('/').replace(/\/\(\.\*\)$/, '(?:/(.*))?');
+    return { regex: new RegExp(`^${source}$`), params };
+}
+
+// A value constraint: a literal (string/number/boolean), a list of allowed
+// literals, or { equals | regex | prefix | contains | present | oneOf }
+function compileValueMatcher(spec, where, warnings) {
+    if (Array.isArray(spec)) {
+        return compileValueMatcher({ oneOf: spec }, where, warnings);
+    }
+    if (spec === null || typeof spec !== 'object') {
+        return value => value !== null && value === String(spec);
+    }
+
+    const unknown = Object.keys(spec).filter(key => !VALUE_MATCHERS.includes(key));
+    if (unknown.length > 0) {
+        warnings.push(`${where}: unknown matcher ${unknown.join(', ')}`);
+    }
+
+    let regex = null;
+    if (spec.regex !== undefined) {
+        try {
+            regex = new RegExp(spec.regex);
+        } catch (e) {
+            warnings.push(`${where}: invalid regex ${spec.regex} (${e.message})`);
+            return () => false;
+        }
+    }
+
+    return value => {
+        if (spec.present !== undefined && (value !== null) !== !!spec.present) return false;
+        if (value === null) return spec.present === false;
+        if (spec.equals !== undefined && value !== String(spec.equals)) return false;
+        if (spec.prefix !== undefined && !value.startsWith(String(spec.prefix))) return false;
+        if (spec.contains !== undefined && !value.includes(String(spec.contains))) return false;
+        if (spec.oneOf !== undefined && !spec.oneOf.map(String).includes(value)) return false;
+        if (regex && !regex.test(value)) return false;
+        return true;
+    };
+}
+
+// Every key of `expected` must be in `actual` with a matching value; arrays
+// match element by element with the same length
+function jsonSubset(expected, actual) {
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && actual.length === expected.length &&
+            expected.every((item, idx) => jsonSubset(item, actual[idx]));
+    }
+    if (expected !== null && typeof expected === 'object') {
+        return actual !== null && typeof actual === 'object' &&
+            Object.entries(expected).every(([key, value]) => jsonSubset(value, actual[key]));
+    }
+    return expected === actual;
+}
+
+function compileBodyMatcher(spec, where, warnings) {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        return compileBodyMatcher({ equals: spec }, where, warnings);
+    }
+
+    const unknown = Object.keys(spec).filter(key => !BODY_MATCHERS.includes(key));
+    if (unknown.length > 0) {
+        warnings.push(`${where}: unknown body matcher ${unknown.join(', ')}`);
+    }
+    const text = compileValueMatcher(
+        Object.fromEntries(Object.entries(spec).filter(([key]) => key !== 'json')), where, warnings);
+
+    return body => {
+        if (!text(body)) return false;
+        if (spec.json === undefined) return true;
+        try {
+            return jsonSubset(spec.json, JSON.parse(body));
+        } catch {
+            return false;
+        }
+    };
+}
+
+// Turn a rule's `match` block into a test function and a specificity score.
+// `exactPath` turns off patterns for legacy keys ("/rest/ip/firewall/filter/*1").
+function compileMatch(match, where, warnings, exactPath = false) {
+    const tests = [];
+    let score = 0;
+
+    const unknown = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+    if (unknown.length > 0) {
+        warnings.push(`${where}: unknown match field ${unknown.join(', ')}`);
+    }
+
+    if (match.method !== undefined) {
+        const methods = [].concat(match.method).map(m => String(m).toUpperCase());
+        tests.push(req => methods.includes(req.method));
+        score += 1;
+    }
+
+    if (match.host !== undefined) {
+        const host = String(match.host);
+        const hostRegex = hostGlobToRegex(host);
+        // "10.1.1.1" matches any port, "192.168.1.100:5000" only that one
+        tests.push(req => hostRegex.test(host.includes(':') ? req.url.host : req.url.hostname));
+        score += host.includes('*') ? 2 : 4;
+    }
+
+    const params = [];
+    if (match.path !== undefined) {
+        const path = String(match.path);
+        if (!exactPath && (path.includes(':') || path.includes('*'))) {
+            const compiled = compilePathPattern(path);
+            params.push(compiled);
+            score += path.includes(':') ? 6 : 4;
+        } else {
+            tests.push(req => req.url.pathname === path);
+            score += 8;
+        }
+    }
+
+    if (match.pathRegex !== undefined) {
+        try {
+            params.push({ regex: new RegExp(match.pathRegex), params: [] });
+            score += 3;
+        } catch (e) {
+            warnings.push(`${where}: invalid pathRegex ${match.pathRegex} (${e.message})`);
+            tests.push(() => false);
+        }
+    }
+
+    Object.entries(match.query || {}).forEach(([name, spec]) => {
+        const test = compileValueMatcher(spec, `${where} query "${name}"`, warnings);
+        tests.push(req => test(req.url.searchParams.has(name) ? req.url.searchParams.get(name) : null));
+        score += 2;
+    });
+
+    Object.entries(match.headers || {}).forEach(([name, spec]) => {
+        const test = compileValueMatcher(spec, `${where} header "${name}"`, warnings);
+        const key = name.toLowerCase();
+        tests.push(req => test(key in req.headers ? req.headers[key] : null));
+        score += 2;
+    });
+
+    if (match.body !== undefined) {
+        const test = compileBodyMatcher(match.body, `${where} body`, warnings);
+        tests.push(req => test(req.body));
+        score += 3;
+    }
+
+    Object.entries(match.state || {}).forEach(([name, spec]) => {
+        const test = compileValueMatcher(spec, `${where} state "${name}"`, warnings);
+        tests.push(req => test(req.state[name] === undefined || req.state[name] === null ? null : String(req.state[name])));
+        score += 2;
+    });
+
+    // Returns the captured path params, or null when the request does not match
+    const matches = req => {
+        if (!tests.every(test => test(req))) return null;
+        const captured = {};
+        for (const { regex, params: names } of params) {
+            const result = regex.exec(req.url.pathname);
+            if (!result) return null;
+            names.forEach((name, idx) => {
+                if (result[idx + 1] !== undefined) captured[name] = decodeURIComponent(result[idx + 1]);
+            });
+        }
+        return captured;
+    };
+
+    return { matches, score };
+}
+
+// Legacy key → version 2 `match` block. Query params in the key must be
+// present with the same value; other params are allowed.
+function legacyKeyToMatch(key) {
+    const methodMatch = key.match(METHOD_KEY);
+    const target = methodMatch ? methodMatch[2] : key;
+    const url = new URL(target.includes('://') ? target : target.startsWith('/') ? `http://localhost${target}` : `http://${target}`);
+
+    const match = { path: url.pathname };
+    if (methodMatch) {
+        match.method = methodMatch[1].toUpperCase();
+    }
+    if (!target.startsWith('/')) {
+        match.host = url.host;
+    }
+    if ([...url.searchParams.keys()].length > 0) {
+        match.query = Object.fromEntries(url.searchParams.entries());
+    }
+    return match;
+}
+
+// Parse a mock file (either format) into sorted, compiled rules
+export function compileMockRules(data) {
+    const warnings = [];
+    let version = 1;
+    let rawRules;
+    const isV2 = !!data && (Array.isArray(data.rules) || !!data.scenarios || data.version !== undefined);
+
+    if (isV2) {
+        version = data.version === undefined ? MOCK_FORMAT_VERSION : Number(data.version);
+        if (data.version === undefined) {
+            warnings.push(`"version" missing, assuming ${MOCK_FORMAT_VERSION}`);
+        } else if (version > MOCK_FORMAT_VERSION) {
+            warnings.push(`version ${version} is newer than supported (${MOCK_FORMAT_VERSION}), unknown fields are ignored`);
+        }
+        rawRules = Array.isArray(data.rules) ? data.rules : [];
+    } else {
+        rawRules = Object.entries(data || {}).flatMap(([key, response]) => {
+            let match;
+            try {
+                match = legacyKeyToMatch(key);
+            } catch (e) {
+                warnings.push(`"${key}": not a URL or path, ignored`);
+                return [];
+            }
+            const rule = { name: key, match, response, legacy: true };
+            if (!match.query) {
+                return [rule];
+            }
+            // Old files relied on a key answering for its path with any query
+            // ("?symbol=BTCUSDT" answering "?symbols=[...]"), so keep that as a last resort
+            const { query, ...pathOnly } = match;
+            return [rule, { name: `${key} (any query)`, match: pathOnly, response, legacy: true, priority: -1 }];
+        });
+    }
+
+    const rules = compileRuleList(rawRules, '', warnings);
+    const state = isV2 && data.state && typeof data.state === 'object' ? { ...data.state } : {};
+
+    const scenarios = {};
+    Object.entries((isV2 && data.scenarios) || {}).forEach(([name, scenario]) => {
+        scenarios[name] = {
+            description: scenario.description || '',
+            state: { ...(scenario.state || {}) },
+            rules: compileRuleList(Array.isArray(scenario.rules) ? scenario.rules : [], `scenario "${name}": `, warnings)
+        };
+    });
+
+    let scenario = isV2 && data.scenario !== undefined ? String(data.scenario) : null;
+    if (scenario !== null && !scenarios[scenario]) {
+        warnings.push(`default scenario "${scenario}" is not defined`);
+        scenario = null;
+    }
+
+    return { version, rules, state, scenarios, scenario, warnings };
+}
+
+function compileRuleList(rawRules, prefix, warnings) {
+    const rules = rawRules.map((rule, index) => {
+        const name = rule.name || `${prefix}rule ${index + 1}`;
+        const responses = compileResponses(rule, name, warnings);
+        const { matches, score } = compileMatch(rule.match || {}, name, warnings, !!rule.legacy);
+
+        new Set([rule.fault, ...responses.map(response => response.fault)]).forEach(fault => {
+            validateFault(fault).forEach(problem => warnings.push(`${name}: ${problem}`));
+        });
+
+        const sequence = rule.sequence === undefined ? 'stick' : String(rule.sequence);
+        if (!SEQUENCES.includes(sequence)) {
+            warnings.push(`${name}: unknown sequence "${sequence}", expected ${SEQUENCES.join(' or ')}`);
+        }
+        return {
+            name,
+            index,
+            priority: Number(rule.priority) || 0,
+            score,
+            matches,
+            responses,
+            sequence: sequence === 'cycle' ? 'cycle' : 'stick',
+            fault: rule.fault || null
+        };
+    });
+
+    rules.sort((a, b) => b.priority - a.priority || b.score - a.score || a.index - b.index);
+    return rules;
+}
+
+// `response` or `responses`, flattened so entry n answers call n + 1
+function compileResponses(rule, name, warnings) {
+    if (Array.isArray(rule.responses) && rule.responses.length > 0) {
+        return rule.responses.flatMap(response => {
+            const times = response && response.repeat !== undefined ? Math.max(0, Math.floor(Number(response.repeat)) || 0) : 1;
+            return Array(times).fill(response || {});
+        });
+    }
+    if (!rule.response || typeof rule.response !== 'object') {
+        warnings.push(`${name}: missing "response", answering 200 with an empty body`);
+    }
+    return [rule.response || {}];
+}
+
+// First rule matching the request: { rule, params } or null.
+// `request` is { method, url, headers, body }.
+export function findMockRule(rules, request) {
+    let url;
+    try {
+        url = new URL(request.url);
+    } catch {
+        return null;
+    }
+
+    const headers = {};
+    Object.entries(request.headers || {}).forEach(([key, value]) => {
+        headers[key.toLowerCase()] = String(value);
+    });
+    const req = {
+        method: String(request.method || 'GET').toUpperCase(),
+        url,
+        headers,
+        body: request.body === null || request.body === undefined ? null : String(request.body),
+        state: request.state || {}
+    };
+
+    for (const rule of rules) {
+        const params = rule.matches(req);
+        if (params) {
+            return { rule, params };
+        }
+    }
+    return null;
+}
+
+// Response for the nth call (1-based) of a rule
+export function selectResponse(rule, call) {
+    const count = rule.responses.length;
+    if (count === 0) return {};
+    const idx = rule.sequence === 'cycle' ? (call - 1) % count : Math.min(call, count) - 1;
+    return rule.responses[idx];
+}
+
+// Apply a response's `set`, `increment` and `toggle` to the state
+export function applyStateChanges(response, state) {
+    Object.entries(response.set || {}).forEach(([key, value]) => {
+        state[key] = value;
+    });
+    Object.entries(response.increment || {}).forEach(([key, step]) => {
+        state[key] = (Number(state[key]) || 0) + (Number(step) || 0);
+    });
+    [].concat(response.toggle || []).forEach(key => {
+        state[key] = !state[key];
+    });
+    return state;
+}
+
+const TEMPLATE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+// Fill "{{state.x}}", "{{params.id}}" and "{{call}}" in strings of a body or
+// header value. A string that is a single placeholder keeps the value's type.
+export function renderTemplate(value, context) {
+    if (typeof value === 'string') {
+        const single = value.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+        if (single) {
+            const found = lookup(context, single[1]);
+            return found === undefined ? value : found;
+        }
+        return value.replace(TEMPLATE, (placeholder, path) => {
+            const found = lookup(context, path);
+            if (found === undefined) return placeholder;
+            return typeof found === 'object' ? JSON.stringify(found) : String(found);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderTemplate(item, context));
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, context)]));
+    }
+    return value;
+}
+
+// ============================================================================
+// Mock Runtime
+// ============================================================================
+// The loaded file, the active scenario, state variables and per-rule call
+// counts. Switching scenario or reloading the file starts over.
+
+let mockSet = { version: 1, rules: [], state: {}, scenarios: {}, scenario: null, warnings: [] };
+let activeScenario = null;
+let mockState = {};
+let callCounts = new Map();
+
+export function useMockSet(compiled) {
+    mockSet = compiled;
+    return setMockScenario(compiled.scenario);
+}
+
+// Rules in the order they are tried: the active scenario's first
+export function getActiveRules() {
+    const scenario = activeScenario ? mockSet.scenarios[activeScenario] : null;
+    return scenario ? [...scenario.rules, ...mockSet.rules] : mockSet.rules;
+}
+
+// Switch scenario (null for none); resets state and sequences.
+// Returns false if the scenario does not exist.
+export function setMockScenario(name) {
+    if (name !== null && name !== undefined && !mockSet.scenarios[name]) {
+        return false;
+    }
+    activeScenario = name === undefined ? null : name;
+    resetMockState();
+    return true;
+}
+
+export function resetMockState() {
+    const scenario = activeScenario ? mockSet.scenarios[activeScenario] : null;
+    mockState = JSON.parse(JSON.stringify({ ...mockSet.state, ...(scenario ? scenario.state : {}) }));
+    callCounts = new Map();
+}
+
+export function getMockScenarios() {
+    return {
+        active: activeScenario,
+        scenarios: Object.entries(mockSet.scenarios).map(([name, scenario]) => ({
+            name,
+            description: scenario.description
+        })),
+        state: { ...mockState }
+    };
+}
+
+// Answer a request from the loaded rules: { rule, params, call, response }
+// with the state changes applied and templates filled, or null
+export function resolveMock(request) {
+    const found = findMockRule(getActiveRules(), { ...request, state: mockState });
+    if (!found) {
+        return null;
+    }
+
+    const call = (callCounts.get(found.rule) || 0) + 1;
+    callCounts.set(found.rule, call);
+
+    const template = selectResponse(found.rule, call);
+    applyStateChanges(template, mockState);
+
+    const context = { state: mockState, params: found.params, call };
+    const response = {
+        status: template.status,
+        body: renderTemplate(template.body, context),
+        headers: template.headers ? renderTemplate(template.headers, context) : undefined,
+        fault: template.fault || found.rule.fault
+    };
+    return { ...found, call, response };
+}
+
+export default compileMockRules;
@@ -0,0 +1,80 @@
+// require() Support for AIO Launcher Scripts
+// AIO ships a set of pure Lua libraries (json, date, fun, utf8, url, fmt, ...)
+// that scripts load with require. Fengari's default searchers only look in
+// system paths, so a searcher is added that resolves modules from the bundled
+// library folder first and then from the script's own directory.
+import { readFileSync, existsSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { lua, lauxlib, to_luastring } from 'fengari';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Widgets/default/lib next to the emulator, overridable with AIO_LUA_LIB
+export const DEFAULT_LIB_PATH = process.env.AIO_LUA_LIB
+    ? resolve(process.env.AIO_LUA_LIB)
+    : resolve(__dirname, '..', '..', 'Widgets', 'default', 'lib');
+
+function isFile(path) {
+    try {
+        return existsSync(path) && statSync(path).isFile();
+    } catch {
+        return false;
+    }
+}
+
+// Candidate files for a module name: "a.b" → a/b.lua, a/b/init.lua in each directory
+export function moduleCandidates(name, dirs) {
+    const relative = name.replace(/\./g, '/');
+    return dirs.flatMap(dir => [join(dir, `${relative}.lua`), join(dir, relative, 'init.lua')]);
+}
+
+export function resolveModule(name, dirs) {
+    return moduleCandidates(name, dirs).find(isFile) || null;
+}
+
+// package.searchers entry: returns a loader plus the file name, or a
+// "no file" message that require() appends to its error. Chunks are named
+// after the file, so load and runtime errors read "date.lua:42: ...".
+function createSearcher(dirs) {
+    return function(L) {
+        const name = lua.lua_tojsstring(L, 1);
+        const path = resolveModule(name, dirs);
+
+        if (!path) {
+            const tried = moduleCandidates(name, dirs).map(file => `\n\tno file '${file}'`).join('');
+            lua.lua_pushstring(L, to_luastring(tried));
+            return 1;
+        }
+
+        const source = readFileSync(path, 'utf8');
+        const status = lauxlib.luaL_loadbuffer(L, to_luastring(source), null, to_luastring(`@${path}`));
+        if (status !== lua.LUA_OK) {
+            const error = lua.lua_tojsstring(L, -1);
+            lua.lua_pushstring(L, to_luastring(`error loading module '${name}' from file '${path}':\n\t${error}`));
+            return lua.lua_error(L);
+        }
+
+        lua.lua_pushstring(L, to_luastring(path));
+        return 2;
+    };
+}
+
+// Lua side: put the searcher right after package.preload, ahead of the
+// default file searchers. Expects it registered as the global __lib_searcher.
+const SEARCHER_BOOTSTRAP = `
+table.insert(package.searchers, 2, __lib_searcher)
+__lib_searcher = nil
+`;
+
+// Install the searcher in a Lua state. `scriptDir` is the directory of the
+// running script, when known.
+export function installModuleSearcher(L, { libPath = DEFAULT_LIB_PATH, scriptDir = null } = {}) {
+    const dirs = [libPath, scriptDir].filter(Boolean).map(dir => resolve(dir));
+    lua.lua_pushcfunction(L, createSearcher([...new Set(dirs)]));
+    lua.lua_setglobal(L, to_luastring('__lib_searcher'));
+    lauxlib.luaL_dostring(L, to_luastring(SEARCHER_BOOTSTRAP));
+    return dirs;
+}
+
+export default installModuleSearcher;
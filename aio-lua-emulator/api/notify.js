@@ -0,0 +1,233 @@
+// Notification API Emulation for AIO Launcher
+// notify:* reads the status bar: notifications from
+// fixtures/notifications.json (or --notifications) plus ones injected through
+// the web UI / CLI. A script posts one notification of its own with
+// system:show_notify{message, silent, action1..3}; it sits in the same tray
+// and its buttons call on_notify_action(idx, action). notify:close() reaches
+// on_notifications_updated() like any other change; the script's own
+// show_notify / cancel_notify are not sent back to it.
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { virtualNow } from './clock.js';
+import { queueOptionalCallback } from './eventloop.js';
+
+export const DEFAULT_NOTIFICATIONS_FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'notifications.json');
+
+const AIO_PACKAGE = 'ru.execbit.aiolauncher';
+const SCRIPT_NOTIFICATION_KEY = `0|${AIO_PACKAGE}|script|null|10000`;
+const RELATIVE_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+let notifications = [];  // Newest first, as notify:list() returns them
+let notificationSource = null;
+let nextNotificationId = 1;
+let notifyEvents = [];  // Opened notifications and performed actions of the last callback
+
+function nowSeconds() {
+    return Math.floor(virtualNow() / 1000);
+}
+
+// Unix seconds, an ISO date, or relative to now ("-5m", "-2h", "-1d")
+function parseTime(value) {
+    if (typeof value === 'number') return Math.floor(value);
+    const relative = typeof value === 'string' && value.match(/^-(\d+)([smhd])$/);
+    if (relative) {
+        return nowSeconds() - Number(relative[1]) * RELATIVE_UNITS[relative[2]];
+    }
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? Math.floor(date.getTime() / 1000) : nowSeconds();
+}
+
+// Fields of notify:list(); actions may be given as plain titles
+function normalizeNotification(data, id) {
+    const pkg = String(data.package || 'com.example.app');
+    return {
+        key: String(data.key || `0|${pkg}|${id}|null|10${String(id).padStart(3, '0')}`),
+        time: parseTime(data.time),
+        package: pkg,
+        number: Number(data.number) || 0,
+        importance: Number.isInteger(data.importance) ? data.importance : 3,
+        category: String(data.category || ''),
+        title: String(data.title || ''),
+        text: String(data.text || ''),
+        sub_text: String(data.sub_text || ''),
+        big_text: String(data.big_text || data.text || ''),
+        is_clearable: data.is_clearable !== false,
+        group_id: String(data.group_id || ''),
+        messages: (Array.isArray(data.messages) ? data.messages : []).map(message => ({
+            sender: String(message.sender || ''),
+            text: String(message.text || ''),
+            time: parseTime(message.time)
+        })),
+        actions: (Array.isArray(data.actions) ? data.actions : []).map((action, idx) => ({
+            id: idx + 1,
+            title: String(typeof action === 'string' ? action : action.title || ''),
+            have_input: typeof action === 'object' && action !== null && action.have_input === true
+        }))
+    };
+}
+
+function sortNotifications() {
+    notifications.sort((a, b) => b.time - a.time);
+}
+
+function findNotification(key) {
+    return notifications.find(n => n.key === String(key)) || null;
+}
+
+function isScriptNotification(notification) {
+    return notification.key === SCRIPT_NOTIFICATION_KEY;
+}
+
+// `{ notifications: [...] }` or a plain array
+export function loadNotificationFile(file, { quiet = false } = {}) {
+    let list;
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        list = Array.isArray(data) ? data : data.notifications;
+        if (!Array.isArray(list)) {
+            throw new Error('expected { "notifications": [...] } or an array');
+        }
+    } catch (err) {
+        console.log(chalk.red(`✗ Failed to load notifications ${file}: ${err.message}`));
+        return false;
+    }
+
+    nextNotificationId = 1;
+    notifications = list.map(data => normalizeNotification(data, nextNotificationId++));
+    sortNotifications();
+    notificationSource = path.resolve(file);
+    if (quiet) return true;
+    console.log(chalk.cyan(`🔔 Notifications: ${notifications.length} from ${path.basename(file)}`));
+    return true;
+}
+
+export function resetNotifications(options) {
+    return loadNotificationFile(DEFAULT_NOTIFICATIONS_FIXTURE, options);
+}
+
+// A notification arriving from another app (web UI / CLI); the caller runs
+// on_notifications_updated(). A known key replaces that notification.
+export function postNotification(data) {
+    const notification = normalizeNotification({ time: nowSeconds(), ...data }, nextNotificationId++);
+    notifications = notifications.filter(n => n.key !== notification.key);
+    notifications.push(notification);
+    sortNotifications();
+    console.log(chalk.magenta(`\n🔔 Notification from ${notification.package}: ${notification.title}${notification.text ? ` - ${notification.text}` : ''}`));
+    return notification;
+}
+
+// Swiping a notification away; false for unknown keys
+export function dismissNotification(key) {
+    const notification = findNotification(key);
+    if (!notification) return false;
+    notifications = notifications.filter(n => n !== notification);
+    console.log(chalk.cyan(`🔔 Notification dismissed: ${notification.title}`));
+    return true;
+}
+
+export function clearNotifications() {
+    notifications = [];
+}
+
+// The tray for the UI: script-posted notifications are marked `own`
+export function getNotifications() {
+    return {
+        source: notificationSource,
+        notifications: notifications.map(n => ({ ...n, own: isScriptNotification(n) }))
+    };
+}
+
+export function getScriptNotification() {
+    return notifications.find(isScriptNotification) || null;
+}
+
+// Return and clear what the last callback opened or triggered
+export function takeNotifyEvents() {
+    const events = notifyEvents;
+    notifyEvents = [];
+    return events;
+}
+
+// system:show_notify{message, silent, action1, action2, action3}; showing it
+// again updates the same notification
+export function showScriptNotification(table) {
+    const options = table || {};
+    const previous = getScriptNotification();
+    const notification = normalizeNotification({
+        key: SCRIPT_NOTIFICATION_KEY,
+        package: AIO_PACKAGE,
+        title: 'AIO Launcher',
+        text: options.message,
+        category: 'status',
+        importance: options.silent ? 2 : 3,
+        actions: [options.action1, options.action2, options.action3].filter(Boolean)
+    }, 0);
+    notifications = notifications.filter(n => !isScriptNotification(n));
+    notifications.push(notification);
+    sortNotifications();
+    notifyEvents.push({ type: previous ? 'updated' : 'posted', notification, silent: options.silent === true });
+
+    const actions = notification.actions.map(action => `[${action.title}]`).join(' ');
+    console.log(chalk.magenta(`\n🔔 ${previous ? 'Notification updated' : 'Notification'}: ${notification.text}${actions ? ` ${actions}` : ''}${options.silent ? chalk.gray(' (silent)') : ''}`));
+}
+
+export function cancelScriptNotification() {
+    const notification = getScriptNotification();
+    if (!notification) {
+        console.log(chalk.gray('[Notify] No notification to cancel'));
+        return;
+    }
+    notifications = notifications.filter(n => n !== notification);
+    notifyEvents.push({ type: 'cancelled', notification });
+    console.log(chalk.cyan('🔔 Notification cancelled'));
+}
+
+export const notify = {
+    list: function() {
+        return notifications.map(n => ({ ...n }));
+    },
+
+    // Runs the notification's content intent, i.e. opens the app
+    open: function(key) {
+        const notification = findNotification(key);
+        if (!notification) {
+            console.log(chalk.yellow(`[Notify] open: no notification with key ${key}`));
+            return false;
+        }
+        notifyEvents.push({ type: 'open', notification });
+        console.log(chalk.magenta(`\n🔔 Would open ${notification.package}: ${notification.title}`));
+        return true;
+    },
+
+    close: function(key) {
+        const notification = findNotification(key);
+        if (!notification || !notification.is_clearable) {
+            console.log(chalk.yellow(`[Notify] close: no clearable notification with key ${key}`));
+            return false;
+        }
+        notifications = notifications.filter(n => n !== notification);
+        notifyEvents.push({ type: 'close', notification });
+        console.log(chalk.cyan(`🔔 Notification closed: ${notification.title}`));
+        queueOptionalCallback('on_notifications_updated');
+        return true;
+    },
+
+    // Actions with have_input (replies) ask for the text in the UI
+    do_action: function(key, id) {
+        const notification = findNotification(key);
+        const action = notification && notification.actions.find(a => a.id === Number(id));
+        if (!action) {
+            console.log(chalk.yellow(`[Notify] do_action: no action ${id} for key ${key}`));
+            return false;
+        }
+        notifyEvents.push({ type: 'action', notification, action });
+        console.log(chalk.magenta(`\n🔔 ${notification.package}: "${action.title}"${action.have_input ? chalk.gray(' (asks for text)') : ''}`));
+        return true;
+    }
+};
+
+resetNotifications({ quiet: true });
+
+export default notify;
@@ -0,0 +1,65 @@
+// Android Runtime Permissions
+// Modules behind a permission (calendar, contacts) check hasPermission() and
+// answer "permission_error" while it is denied. <module>:request_permission()
+// asks the user through the web UI / CLI; on_permission_granted() runs when
+// they allow it. Everything starts granted.
+import chalk from 'chalk';
+
+export const PERMISSIONS = ['calendar', 'contacts'];
+
+const granted = new Set(PERMISSIONS);
+let permissionRequest = null;  // Asked for during the last callback
+const grantListeners = {};     // Follow-ups of an allowed request, by permission
+
+export function hasPermission(name) {
+    return granted.has(name);
+}
+
+// Returns false for unknown permissions
+export function setPermission(name, allow) {
+    if (!PERMISSIONS.includes(name)) return false;
+    if (allow) {
+        granted.add(name);
+    } else {
+        granted.delete(name);
+    }
+    console.log(chalk.cyan(`🔐 Permission ${name}: ${allow ? 'granted' : 'denied'}`));
+    return true;
+}
+
+export function getPermissions() {
+    return Object.fromEntries(PERMISSIONS.map(name => [name, granted.has(name)]));
+}
+
+// Already granted: nothing to ask, as on Android
+export function requestPermission(name) {
+    if (granted.has(name)) {
+        console.log(chalk.gray(`[Permissions] ${name} already granted`));
+        return;
+    }
+    permissionRequest = { permission: name };
+    console.log(chalk.magenta(`\n🔐 Permission requested: ${name}`));
+}
+
+// Run `listener` whenever a request for `name` is allowed; callbacks it
+// queues run after on_permission_granted() (phone: on_contacts_loaded)
+export function onPermissionGranted(name, listener) {
+    (grantListeners[name] = grantListeners[name] || []).push(listener);
+}
+
+// The user's answer to a request; the caller runs on_permission_granted()
+export function answerPermissionRequest(request, allow) {
+    setPermission(request.permission, allow);
+    if (allow) {
+        (grantListeners[request.permission] || []).forEach(listener => listener());
+    }
+}
+
+// Return and clear the request made during the last callback
+export function takePermissionRequest() {
+    const request = permissionRequest;
+    permissionRequest = null;
+    return request;
+}
+
+export default { hasPermission, setPermission, getPermissions, requestPermission, answerPermissionRequest };
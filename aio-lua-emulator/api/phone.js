@@ -0,0 +1,267 @@
+// Phone API Emulation for AIO Launcher
+// phone:* over contacts from .vcf files (vCard 2.1 - 4.0) or a JSON fixture;
+// fixtures/contacts.vcf is loaded at start. Calls and SMS are not placed:
+// they go to an outbox (GET /api/phone/outbox, --outbox <file>). While the
+// contacts permission is denied contacts() returns "permission_error";
+// allowing a request runs on_permission_granted() and then
+// on_contacts_loaded(), which also follows a reload of the contacts.
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { virtualNow } from './clock.js';
+import { queueOptionalCallback } from './eventloop.js';
+import { hasPermission, requestPermission, onPermissionGranted } from './permissions.js';
+
+export const DEFAULT_CONTACTS_FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'contacts.vcf');
+
+// Which number a contact shows: the preferred one, else by type
+const NUMBER_TYPES = ['CELL', 'MOBILE', 'HOME', 'WORK', 'OTHER'];
+
+let contacts = [];  // { id, lookup_key, name, icon, number, numbers, emails, organization, birthday, note }
+let contactSources = [];
+let outbox = [];         // Calls and SMS, oldest first
+let phoneActions = [];   // Contact dialogs opened during the last callback
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+// [group.]NAME;PARAM=value;TYPE=a,b:value (vCard 2.1 also has bare ;CELL)
+function parseVcardLine(line) {
+    const match = line.match(/^(?:[A-Za-z0-9-]+\.)?([A-Za-z0-9-]+)((?:;[^:;]*)*):(.*)$/);
+    if (!match) return null;
+    const types = [];
+    const params = {};
+    match[2].split(';').filter(Boolean).forEach(param => {
+        const [key, value] = param.split('=');
+        if (value === undefined) {
+            types.push(key.toUpperCase());
+        } else if (key.toUpperCase() === 'TYPE') {
+            types.push(...value.replace(/^"|"$/g, '').toUpperCase().split(','));
+        } else {
+            params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        }
+    });
+    if (params.PREF) types.push('PREF');
+    return { name: match[1].toUpperCase(), types, params, value: match[3] };
+}
+
+function unescapeValue(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// 1990-10-21, 19901021 or --12-02 (no year) → { month, day, year }
+function parseBirthday(value) {
+    const match = String(value || '').match(/^(?:(\d{4})|--)-?(\d{2})-?(\d{2})/);
+    if (!match) return null;
+    return { year: match[1] ? Number(match[1]) : null, month: Number(match[2]), day: Number(match[3]) };
+}
+
+function parseVcf(text) {
+    const cards = [];
+    let card = null;
+    for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+        const prop = parseVcardLine(line.trim());
+        if (!prop) continue;
+        if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VCARD') {
+            card = { numbers: [], emails: [] };
+        } else if (prop.name === 'END' && card) {
+            cards.push(card);
+            card = null;
+        } else if (card) {
+            const value = unescapeValue(prop.value);
+            switch (prop.name) {
+                case 'FN': card.name = value; break;
+                case 'N':
+                    card.structuredName = value.split(';').slice(0, 2).reverse().filter(Boolean).join(' ');
+                    break;
+                case 'TEL':
+                    card.numbers.push({ number: value.replace(/^tel:/i, ''), types: prop.types });
+                    break;
+                case 'EMAIL': card.emails.push(value); break;
+                case 'ORG': card.organization = value.split(';')[0]; break;
+                case 'BDAY': card.birthday = parseBirthday(value); break;
+                case 'NOTE': card.note = value; break;
+                case 'UID': card.uid = value; break;
+                case 'PHOTO':
+                    if (prop.params.ENCODING && /^(b|base64)$/i.test(prop.params.ENCODING)) {
+                        card.icon = value;
+                    } else if (value.startsWith('data:')) {
+                        card.icon = value.replace(/^data:[^,]*,/, '');
+                    }
+                    break;
+            }
+        }
+    }
+    return cards.map(c => ({ ...c, name: c.name || c.structuredName || (c.numbers[0] && c.numbers[0].number) || '' }));
+}
+
+// { "contacts": [{ name, number | numbers: [{ number, type }], email(s), birthday, ... }] }
+function parseJsonContacts(data) {
+    const list = Array.isArray(data) ? data : data.contacts;
+    if (!Array.isArray(list)) {
+        throw new Error('expected { "contacts": [...] } or an array');
+    }
+    return list.map(c => ({
+        uid: c.lookup_key || null,
+        name: String(c.name || ''),
+        numbers: (c.numbers || (c.number ? [c.number] : [])).map(n => typeof n === 'object'
+            ? { number: String(n.number), types: n.type ? [String(n.type).toUpperCase()] : [] }
+            : { number: String(n), types: [] }),
+        emails: c.emails || (c.email ? [c.email] : []),
+        organization: c.organization || null,
+        birthday: parseBirthday(c.birthday),
+        note: c.note || null,
+        icon: c.icon || null
+    }));
+}
+
+function primaryNumber(numbers) {
+    const preferred = numbers.find(n => n.types.includes('PREF'));
+    if (preferred) return preferred.number;
+    for (const type of NUMBER_TYPES) {
+        const match = numbers.find(n => n.types.includes(type));
+        if (match) return match.number;
+    }
+    return numbers.length > 0 ? numbers[0].number : '';
+}
+
+export function loadContactFiles(files, { quiet = false } = {}) {
+    const parsed = [];
+    for (const file of files) {
+        try {
+            const text = fs.readFileSync(file, 'utf8');
+            parsed.push(...(path.extname(file).toLowerCase() === '.json'
+                ? parseJsonContacts(JSON.parse(text))
+                : parseVcf(text)));
+        } catch (err) {
+            console.log(chalk.red(`✗ Failed to load contacts ${file}: ${err.message}`));
+            return false;
+        }
+    }
+
+    contacts = parsed.map((card, idx) => ({
+        id: String(idx + 1),
+        lookup_key: card.uid || `0r${idx + 1}-${Buffer.from(card.name).toString('hex').slice(0, 8).toUpperCase()}`,
+        name: card.name,
+        icon: card.icon || null,
+        number: primaryNumber(card.numbers),
+        numbers: card.numbers.map(n => ({ number: n.number, type: n.types.filter(t => t !== 'PREF' && t !== 'VOICE')[0] || 'OTHER' })),
+        emails: card.emails,
+        organization: card.organization || null,
+        birthday: card.birthday || null,
+        note: card.note || null
+    }));
+    contactSources = files.map(file => path.resolve(file));
+    if (quiet) return true;
+    console.log(chalk.cyan(`👤 Contacts: ${contacts.length} from ${files.map(f => path.basename(f)).join(', ')}`));
+    return true;
+}
+
+export function resetContacts(options) {
+    return loadContactFiles([DEFAULT_CONTACTS_FIXTURE], options);
+}
+
+// ============================================================================
+// Outbox
+// ============================================================================
+
+function digits(number) {
+    return String(number || '').replace(/[^\d+]/g, '');
+}
+
+function contactForNumber(number) {
+    const wanted = digits(number);
+    return wanted ? contacts.find(c => c.numbers.some(n => digits(n.number) === wanted)) || null : null;
+}
+
+function sendToOutbox(entry) {
+    const contact = contactForNumber(entry.number);
+    const item = {
+        ...entry,
+        number: String(entry.number),
+        contact: contact ? contact.name : null,
+        time: new Date(virtualNow()).toISOString()
+    };
+    outbox.push(item);
+    return item;
+}
+
+export function getOutbox() {
+    return [...outbox];
+}
+
+export function clearOutbox() {
+    outbox = [];
+}
+
+// Return and clear the contact dialogs of the last callback
+export function takePhoneActions() {
+    const actions = phoneActions;
+    phoneActions = [];
+    return actions;
+}
+
+// Loaded contacts with every number, email and birthday, for the UI
+export function getContactData() {
+    return { sources: contactSources, contacts };
+}
+
+// Contact object of phone:contacts() (docs/PLUGINS.md)
+function describeContact(contact) {
+    return {
+        id: contact.id,
+        lookup_key: contact.lookup_key,
+        name: contact.name,
+        icon: contact.icon,
+        number: contact.number
+    };
+}
+
+export const phone = {
+    contacts: function() {
+        if (!hasPermission('contacts')) {
+            return 'permission_error';
+        }
+        return contacts.map(describeContact);
+    },
+
+    get_contacts: function() {
+        return phone.contacts();
+    },
+
+    request_permission: function() {
+        requestPermission('contacts');
+    },
+
+    make_call: function(number) {
+        const item = sendToOutbox({ type: 'call', number: number || '' });
+        console.log(chalk.magenta(`\n📞 Call: ${item.number}${item.contact ? ` (${item.contact})` : ''}`));
+    },
+
+    send_sms: function(number, text) {
+        const item = sendToOutbox({ type: 'sms', number: number || '', text: String(text || '') });
+        console.log(chalk.magenta(`\n✉️  SMS to ${item.number}${item.contact ? ` (${item.contact})` : ''}: "${item.text}"`));
+    },
+
+    // By id or lookup_key
+    show_contact_dialog: function(id) {
+        const contact = contacts.find(c => c.id === String(id) || c.lookup_key === String(id));
+        if (!contact) {
+            console.log(chalk.yellow(`[Phone] show_contact_dialog: no contact ${id}`));
+            return;
+        }
+        phoneActions.push({ type: 'contact_dialog', contact });
+        console.log(chalk.magenta(`\n👤 ${contact.name}`));
+        contact.numbers.forEach(n => console.log(chalk.gray(`   ${n.type.toLowerCase()}: ${n.number}`)));
+        contact.emails.forEach(email => console.log(chalk.gray(`   email: ${email}`)));
+        if (contact.organization) console.log(chalk.gray(`   ${contact.organization}`));
+    }
+};
+
+onPermissionGranted('contacts', () => queueOptionalCallback('on_contacts_loaded'));
+
+resetContacts({ quiet: true });
+
+export default phone;
@@ -0,0 +1,164 @@
+// Prefs & Settings API Emulation for AIO Launcher
+// `prefs` is a persistent key/value table per widget (require "prefs"),
+// `settings` is the legacy argument list edited through the settings dialog.
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+const STORAGE_DIR = path.join(process.cwd(), '.widget-storage');
+const PREFS_FILE = path.join(STORAGE_DIR, 'prefs.json');
+
+// { [widget]: { prefs: {...}, settings: [...] } }
+let prefsCache = {};
+let currentScope = 'default';
+let dialogRequest = null;  // Pending prefs:show_dialog() / settings:show_dialog()
+
+function initPrefs() {
+    try {
+        if (fs.existsSync(PREFS_FILE)) {
+            prefsCache = JSON.parse(fs.readFileSync(PREFS_FILE, 'utf8'));
+        }
+    } catch (err) {
+        console.log(chalk.yellow('[Prefs] Initialized with empty cache'));
+        prefsCache = {};
+    }
+}
+
+function savePrefs() {
+    try {
+        if (!fs.existsSync(STORAGE_DIR)) {
+            fs.mkdirSync(STORAGE_DIR, { recursive: true });
+        }
+        fs.writeFileSync(PREFS_FILE, JSON.stringify(prefsCache, null, 2));
+    } catch (err) {
+        console.log(chalk.red('[Prefs] Failed to save: ' + err.message));
+    }
+}
+
+function scopeData(scope = currentScope) {
+    if (!prefsCache[scope]) {
+        prefsCache[scope] = { prefs: {}, settings: [] };
+    }
+    return prefsCache[scope];
+}
+
+// Fields shown by prefs:show_dialog(): string, number or boolean values
+// whose key does not start with an underscore
+function dialogFields(values) {
+    return Object.entries(values)
+        .filter(([key, value]) => !key.startsWith('_') &&
+            ['string', 'number', 'boolean'].includes(typeof value))
+        .map(([key, value]) => ({ key, type: typeof value, value }));
+}
+
+initPrefs();
+
+// Select which widget's prefs the Lua API reads and writes
+export function setPrefsScope(scope) {
+    currentScope = scope || 'default';
+}
+
+export const prefs = {
+    get: function(key) {
+        const value = scopeData().prefs[key];
+        return value !== undefined ? value : null;
+    },
+
+    set: function(key, value) {
+        const data = scopeData();
+        if (value === null || value === undefined) {
+            delete data.prefs[key];
+        } else {
+            data.prefs[key] = value;
+        }
+        savePrefs();
+        console.log(chalk.gray(`[Prefs] ${key} = ${JSON.stringify(value)}`));
+    },
+
+    all: function() {
+        return { ...scopeData().prefs };
+    },
+
+    show_dialog: function() {
+        dialogRequest = { type: 'prefs', fields: dialogFields(scopeData().prefs) };
+        console.log(chalk.magenta('\n⚙️  Prefs dialog requested'));
+        dialogRequest.fields.forEach(f => {
+            console.log(chalk.gray(`   ${f.key} (${f.type}) = ${JSON.stringify(f.value)}`));
+        });
+    }
+};
+
+// Legacy settings: a flat list of string arguments
+export const settings = {
+    get: function() {
+        return [...scopeData().settings];
+    },
+
+    set: function(args) {
+        const list = Array.isArray(args) ? args : Object.values(args || {});
+        scopeData().settings = list.map(v => String(v));
+        savePrefs();
+        console.log(chalk.gray(`[Settings] set ${JSON.stringify(scopeData().settings)}`));
+        return true;
+    },
+
+    show_dialog: function() {
+        dialogRequest = { type: 'settings', args: [...scopeData().settings] };
+        console.log(chalk.magenta('\n⚙️  Settings dialog requested'));
+        console.log(chalk.gray(`   Current arguments: ${scopeData().settings.join(' ') || '(none)'}`));
+    }
+};
+
+// Return and clear the dialog requested during the last callback
+export function takeSettingsDialog() {
+    const request = dialogRequest;
+    dialogRequest = null;
+    return request;
+}
+
+export function getWidgetPrefs(scope) {
+    const data = scopeData(scope);
+    return {
+        prefs: { ...data.prefs },
+        settings: [...data.settings],
+        fields: dialogFields(data.prefs)
+    };
+}
+
+// Apply values from the settings dialog/panel
+export function updateWidgetPrefs(scope, { prefs: values, settings: args } = {}) {
+    const data = scopeData(scope);
+    if (values && typeof values === 'object') {
+        data.prefs = { ...data.prefs, ...values };
+    }
+    if (Array.isArray(args)) {
+        data.settings = args.map(v => String(v));
+    }
+    savePrefs();
+    console.log(chalk.cyan(`⚙️  Prefs updated for ${scope}`));
+    return getWidgetPrefs(scope);
+}
+
+// Lua side of the prefs module: a proxy table backed by the JS store above.
+// Expects the backend registered as the global __prefs_backend.
+export const PREFS_BOOTSTRAP = `
+local backend = __prefs_backend
+__prefs_backend = nil
+prefs = setmetatable({}, {
+    __index = function(_, key)
+        if key == "show_dialog" then
+            return function() backend:show_dialog() end
+        end
+        return backend:get(key)
+    end,
+    __newindex = function(_, key, value)
+        backend:set(key, value)
+    end,
+    __pairs = function()
+        return next, backend:all(), nil
+    end
+})
+package.loaded.prefs = prefs
+`;
+
+export default { prefs, settings };
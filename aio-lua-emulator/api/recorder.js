@@ -0,0 +1,276 @@
+// Record Real HTTP Traffic into Mock Files
+// In record mode every real request/response is written to a version 2 mock
+// file (see api/mocks.js), so fixtures captured once on the LAN replay
+// anywhere. Before anything is written:
+//   - credentials in URLs are dropped, secret query parameters only have to
+//     be present and secret JSON keys are left out of body matchers
+//   - secret JSON keys in response bodies become "[REDACTED]", and so do the
+//     request's secret values wherever the response repeats them
+//   - cookies, auth and transport headers are not recorded
+//   - LAN hosts are left out of the match, so the fixture answers whatever
+//     address the script is configured with
+//   - `replace` substitutes literal strings (serial numbers, hostnames...)
+// A request recorded again with another answer is added to the rule's
+// `responses`, so replay answers in the same order.
+import chalk from 'chalk';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { MOCK_FORMAT_VERSION } from './mocks.js';
+
+export const DEFAULT_REDACTION = {
+    // Query parameters and JSON keys holding secrets (case-insensitive)
+    secrets: [
+        'password', 'passwd', 'pass', 'pwd', 'passphrase', 'token', 'access_token', 'refresh_token',
+        'id_token', 'api_key', 'apikey', 'key', 'secret', 'client_secret', 'sid', '_sid', 'auth',
+        'session', 'signature', 'otp_code'
+    ],
+    // Response headers that are not recorded
+    headers: [
+        'set-cookie', 'cookie', 'authorization', 'www-authenticate', 'proxy-authenticate', 'x-api-key',
+        'date', 'age', 'expires', 'etag', 'last-modified', 'content-length', 'content-encoding',
+        'transfer-encoding', 'connection', 'keep-alive', 'vary', 'server'
+    ],
+    // Hosts (globs, * matches anything) left out of the match: loopback, the
+    // private ranges (172.16.0.0/12 is 172.16.* to 172.31.*) and LAN names
+    anyHost: [
+        'localhost', '127.*', '10.*', '192.168.*',
+        ...Array.from({ length: 16 }, (_, idx) => `172.${16 + idx}.*`),
+        '*.local', '*.lan', '*.home'
+    ],
+    // Literal replacements in recorded bodies and headers: { "from": "to" }
+    replace: {}
+};
+
+const REDACTED = '[REDACTED]';
+const MIN_SECRET_LENGTH = 4;  // Shorter values ("1", "on") are too common to replace
+
+let recording = null;  // { file, data, redaction, rulesByKey, count }
+
+function globToRegex(glob) {
+    return new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+}
+
+// Defaults merged with the caller's rules; lists are added to, not replaced
+export function resolveRedaction(rules = {}) {
+    return {
+        secrets: [...DEFAULT_REDACTION.secrets, ...(rules.secrets || [])].map(s => s.toLowerCase()),
+        headers: [...DEFAULT_REDACTION.headers, ...(rules.headers || [])].map(h => h.toLowerCase()),
+        anyHost: rules.anyHost === false ? [] : [...DEFAULT_REDACTION.anyHost, ...(rules.anyHost || [])].map(globToRegex),
+        replace: { ...DEFAULT_REDACTION.replace, ...(rules.replace || {}) }
+    };
+}
+
+function isSecret(redaction, key) {
+    return redaction.secrets.includes(String(key).toLowerCase());
+}
+
+function replaceLiterals(redaction, text, secretValues = []) {
+    const withoutSecrets = secretValues.reduce((result, value) => result.split(value).join(REDACTED), text);
+    return Object.entries(redaction.replace).reduce((result, [from, to]) => result.split(from).join(to), withoutSecrets);
+}
+
+// Values of the request's secrets (URL password, secret query parameters and
+// JSON or form keys), to be replaced wherever the response repeats them
+export function collectSecretValues(redaction, url, body) {
+    const values = [decodeURIComponent(url.password)];
+    url.searchParams.forEach((value, name) => {
+        if (isSecret(redaction, name)) values.push(value);
+    });
+
+    if (body) {
+        const parsed = parseJson(body);
+        const visit = value => {
+            if (value === null || typeof value !== 'object') return;
+            Object.entries(value).forEach(([key, item]) => {
+                if (isSecret(redaction, key) && (typeof item === 'string' || typeof item === 'number')) {
+                    values.push(String(item));
+                } else {
+                    visit(item);
+                }
+            });
+        };
+        if (parsed.ok) {
+            visit(parsed.value);
+        } else {
+            new URLSearchParams(body).forEach((value, name) => {
+                if (isSecret(redaction, name)) values.push(value);
+            });
+        }
+    }
+    return [...new Set(values)].filter(value => value.length >= MIN_SECRET_LENGTH);
+}
+
+// Copy of a JSON value without secret keys (for matchers) or with them
+// masked (for recorded responses)
+function scrubJson(redaction, value, mask) {
+    if (Array.isArray(value)) {
+        return value.map(item => scrubJson(redaction, item, mask));
+    }
+    if (value !== null && typeof value === 'object') {
+        const result = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (!isSecret(redaction, key)) {
+                result[key] = scrubJson(redaction, item, mask);
+            } else if (mask) {
+                result[key] = REDACTED;
+            }
+        });
+        return result;
+    }
+    return value;
+}
+
+function parseJson(text) {
+    try {
+        return { ok: true, value: JSON.parse(text) };
+    } catch {
+        return { ok: false };
+    }
+}
+
+// Match block for a request: method, host (unless it is a LAN address),
+// exact path, query values (secrets only need to be present) and the body
+function buildMatch(redaction, { method, url, body }) {
+    const match = { method, path: url.pathname };
+
+    if (!redaction.anyHost.some(regex => regex.test(url.hostname))) {
+        match.host = url.host;
+    }
+
+    const query = {};
+    url.searchParams.forEach((value, name) => {
+        query[name] = isSecret(redaction, name) ? { present: true } : value;
+    });
+    if (Object.keys(query).length > 0) {
+        match.query = query;
+    }
+
+    if (body !== null && body !== undefined && body !== '') {
+        const parsed = parseJson(body);
+        if (parsed.ok && parsed.value !== null && typeof parsed.value === 'object') {
+            match.body = { json: scrubJson(redaction, parsed.value, false) };
+        } else {
+            // Form bodies with secrets ("user=a&password=b") are not matched on
+            const form = new URLSearchParams(body);
+            const hasSecret = [...form.keys()].some(key => isSecret(redaction, key));
+            if (!hasSecret) {
+                match.body = { equals: body };
+            }
+        }
+    }
+    return match;
+}
+
+function buildResponse(redaction, { status, headers, body }, secretValues) {
+    const recordedHeaders = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+        if (!redaction.headers.includes(name.toLowerCase())) {
+            recordedHeaders[name.toLowerCase()] = replaceLiterals(redaction, String(value), secretValues);
+        }
+    });
+
+    const text = replaceLiterals(redaction, body === null || body === undefined ? '' : String(body), secretValues);
+    const parsed = parseJson(text);
+    return {
+        status,
+        headers: recordedHeaders,
+        body: parsed.ok && parsed.value !== null && typeof parsed.value === 'object'
+            ? scrubJson(redaction, parsed.value, true)
+            : text
+    };
+}
+
+function saveRecording() {
+    mkdirSync(dirname(recording.file), { recursive: true });
+    writeFileSync(recording.file, JSON.stringify(recording.data, null, 2));
+}
+
+// Start writing to `file`. An existing version 2 file is added to; other
+// files are not touched. Returns { file, rules } or throws.
+export function startRecording(file, redactionRules = {}) {
+    let data = { version: MOCK_FORMAT_VERSION, recorded: new Date().toISOString(), rules: [] };
+    if (existsSync(file)) {
+        const existing = JSON.parse(readFileSync(file, 'utf8'));
+        if (!Array.isArray(existing.rules)) {
+            throw new Error(`${file} is not a version 2 mock file, record into a new file`);
+        }
+        data = existing;
+    }
+
+    const rulesByKey = new Map();
+    data.rules.forEach(rule => rulesByKey.set(JSON.stringify(rule.match || {}), rule));
+
+    recording = { file, data, redaction: resolveRedaction(redactionRules), rulesByKey, count: 0 };
+    saveRecording();
+    console.log(chalk.red(`⏺ Recording HTTP traffic to ${file}`));
+    return { file, rules: data.rules.length };
+}
+
+// Stop recording; returns what was written, or null when not recording
+export function stopRecording() {
+    if (!recording) return null;
+    const summary = { file: recording.file, recorded: recording.count, rules: recording.data.rules.length };
+    recording = null;
+    console.log(chalk.gray(`⏹ Recorded ${summary.recorded} request(s) to ${summary.file}`));
+    return summary;
+}
+
+export function getRecording() {
+    return recording
+        ? { file: recording.file, recorded: recording.count, rules: recording.data.rules.length }
+        : null;
+}
+
+// Add one exchange to a mock file being built ({ data, redaction, rulesByKey })
+function addExchange(target, exchange) {
+    const { redaction, rulesByKey, data } = target;
+    const url = new URL(exchange.url);
+    const secretValues = collectSecretValues(redaction, url, exchange.body);
+    url.username = '';
+    url.password = '';
+
+    const match = buildMatch(redaction, { method: exchange.method, url, body: exchange.body });
+    const response = buildResponse(redaction, {
+        status: exchange.status,
+        headers: exchange.headers,
+        body: exchange.responseBody
+    }, secretValues);
+
+    const key = JSON.stringify(match);
+    const rule = rulesByKey.get(key);
+    if (!rule) {
+        const created = { name: `${exchange.method} ${url.pathname}`, match, response };
+        data.rules.push(created);
+        rulesByKey.set(key, created);
+    } else if (JSON.stringify(rule.response || rule.responses[rule.responses.length - 1]) !== JSON.stringify(response)) {
+        // Same request, new answer: replay answers in the recorded order
+        rule.responses = rule.responses || [rule.response];
+        delete rule.response;
+        rule.responses.push(response);
+    }
+    return url;
+}
+
+// Add one real exchange: { method, url, body, status, headers, responseBody }
+export function recordExchange(exchange) {
+    if (!recording) return;
+
+    const url = addExchange(recording, exchange);
+    recording.count++;
+    saveRecording();
+    console.log(chalk.red(`   ⏺ Recorded ${exchange.method} ${url.pathname} (${exchange.status})`));
+}
+
+// A whole mock file from exchanges captured elsewhere (HAR imports), with
+// the same redaction as recording
+export function buildMockFile(exchanges, redactionRules = {}, extra = {}) {
+    const target = {
+        data: { version: MOCK_FORMAT_VERSION, ...extra, rules: [] },
+        redaction: resolveRedaction(redactionRules),
+        rulesByKey: new Map()
+    };
+    exchanges.forEach(exchange => addExchange(target, exchange));
+    return target.data;
+}
+
+export default recordExchange;
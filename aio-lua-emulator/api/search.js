@@ -0,0 +1,61 @@
+// Search API Emulation for AIO Launcher
+// Search scripts (`-- type = "search"`) get the query in on_search(query) and
+// answer with search:show_*; tapping a result calls on_click(idx).
+import chalk from 'chalk';
+
+let searchResults = null;  // Results shown during the last callback
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') return Object.values(value);
+    return [];
+}
+
+function showResults(type, items, fields = {}) {
+    searchResults = { type, items, ...fields };
+
+    console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    console.log(chalk.bold.cyan(`Search Results (${type}):`));
+    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    items.forEach((item, idx) => {
+        const label = type === 'progress' ? `${item.text} (${item.progress}%)` : String(item);
+        console.log(`${idx + 1}. ${type === 'buttons' ? `[ ${label} ]` : label}`);
+    });
+    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+}
+
+export const search = {
+    show_buttons: function(names, colors, top) {
+        showResults('buttons', toList(names).map(String), { colors: toList(colors), top: !!top });
+    },
+
+    show_lines: function(lines, colors, top) {
+        showResults('lines', toList(lines).map(String), { colors: toList(colors), top: !!top });
+    },
+
+    show_progress: function(names, progresses, colors, top) {
+        const values = toList(progresses);
+        const items = toList(names).map((name, idx) => ({
+            text: String(name),
+            progress: Math.min(100, Math.max(0, Number(values[idx]) || 0))
+        }));
+        showResults('progress', items, { colors: toList(colors), top: !!top });
+    },
+
+    show_chart: function(points, format, title, top) {
+        const items = toList(points).map(point => toList(point).map(Number));
+        showResults('chart', items, { format: format || '', title: title || '', top: !!top });
+    }
+};
+
+// Deprecated alias still used by older scripts
+search.show = search.show_buttons;
+
+// Return and clear the results shown during the last callback
+export function takeSearchResults() {
+    const results = searchResults;
+    searchResults = null;
+    return results;
+}
+
+export default search;
@@ -0,0 +1,26 @@
+// Worker thread for shttp's real requests: fetches, posts the answer back on
+// the request's port, then wakes the blocked main thread through `signal`.
+import { parentPort } from 'worker_threads';
+import fetch from 'node-fetch';
+
+parentPort.on('message', async ({ options, timeout, signal, port }) => {
+    const { url, ...init } = options;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        const headers = {};
+        response.headers.forEach((value, key) => {
+            headers[key] = value;
+        });
+        const data = await response.text();
+        port.postMessage({ data, status: response.status, headers, ok: response.ok });
+    } catch (e) {
+        port.postMessage({ error: { message: e.message, code: e.code, name: e.name, stack: e.stack } });
+    } finally {
+        clearTimeout(timeoutId);
+        port.close();
+        Atomics.store(signal, 0, 1);
+        Atomics.notify(signal, 0);
+    }
+});
@@ -0,0 +1,183 @@
+// Read-only SQLite Table Reader
+// Just enough of the SQLite file format (https://www.sqlite.org/fileformat.html)
+// to read whole tables out of the launcher's backup databases (appsV2.db,
+// categories.db) without a native module: table b-trees, overflow pages and
+// records. UTF-8 databases only; indexes, WAL files and writing are not
+// supported.
+import fs from 'fs';
+
+const HEADER_MAGIC = 'SQLite format 3\0';
+const PAGE_INTERIOR_TABLE = 0x05;
+const PAGE_LEAF_TABLE = 0x0d;
+
+// Big-endian base-128 integer, 1-9 bytes → { value, length }
+function readVarint(buf, offset) {
+    let value = 0n;
+    for (let i = 0; i < 8; i++) {
+        const byte = buf[offset + i];
+        value = (value << 7n) | BigInt(byte & 0x7f);
+        if (byte < 0x80) {
+            return { value: Number(BigInt.asIntN(64, value)), length: i + 1 };
+        }
+    }
+    value = (value << 8n) | BigInt(buf[offset + 8]);
+    return { value: Number(BigInt.asIntN(64, value)), length: 9 };
+}
+
+function readInt(buf, offset, size) {
+    return size === 8 ? Number(buf.readBigInt64BE(offset)) : buf.readIntBE(offset, size);
+}
+
+const INT_SIZES = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 6, 6: 8 };
+
+// Record format: a header of serial types, then the values
+function parseRecord(payload) {
+    const header = readVarint(payload, 0);
+    const types = [];
+    let pos = header.length;
+    while (pos < header.value) {
+        const type = readVarint(payload, pos);
+        types.push(type.value);
+        pos += type.length;
+    }
+
+    let offset = header.value;
+    return types.map(type => {
+        if (type === 0) return null;
+        if (type === 8) return 0;
+        if (type === 9) return 1;
+        if (INT_SIZES[type]) {
+            const value = readInt(payload, offset, INT_SIZES[type]);
+            offset += INT_SIZES[type];
+            return value;
+        }
+        if (type === 7) {
+            const value = payload.readDoubleBE(offset);
+            offset += 8;
+            return value;
+        }
+        const size = Math.floor((type - 12) / 2);
+        const bytes = payload.subarray(offset, offset + size);
+        offset += size;
+        return type % 2 === 0 ? Buffer.from(bytes) : bytes.toString('utf8');
+    });
+}
+
+function openDatabase(file) {
+    const buf = fs.readFileSync(file);
+    if (buf.length < 100 || buf.toString('latin1', 0, 16) !== HEADER_MAGIC) {
+        throw new Error('not a SQLite 3 database');
+    }
+    if (buf.readUInt32BE(56) > 1) {
+        throw new Error('only UTF-8 databases are supported');
+    }
+    const pageSize = buf.readUInt16BE(16) === 1 ? 65536 : buf.readUInt16BE(16);
+    return { buf, pageSize, usableSize: pageSize - buf[20] };
+}
+
+// Payload of a table leaf cell, following its overflow pages if it spilled
+function readPayload(db, start, size) {
+    const { buf, pageSize, usableSize } = db;
+    const maxLocal = usableSize - 35;
+    if (size <= maxLocal) {
+        return buf.subarray(start, start + size);
+    }
+    const minLocal = Math.floor((usableSize - 12) * 32 / 255) - 23;
+    const spill = minLocal + (size - minLocal) % (usableSize - 4);
+    const local = spill <= maxLocal ? spill : minLocal;
+
+    const parts = [buf.subarray(start, start + local)];
+    let remaining = size - local;
+    let page = buf.readUInt32BE(start + local);
+    while (remaining > 0 && page > 0) {
+        const base = (page - 1) * pageSize;
+        const chunk = Math.min(remaining, usableSize - 4);
+        parts.push(buf.subarray(base + 4, base + 4 + chunk));
+        remaining -= chunk;
+        page = buf.readUInt32BE(base);
+    }
+    return Buffer.concat(parts);
+}
+
+// Every row of a table b-tree in rowid order → [{ rowid, values }]
+function readTableTree(db, rootPage) {
+    const rows = [];
+    const visit = page => {
+        const base = (page - 1) * db.pageSize;
+        const header = page === 1 ? base + 100 : base;
+        const type = db.buf[header];
+        const cellCount = db.buf.readUInt16BE(header + 3);
+        const pointers = header + (type === PAGE_INTERIOR_TABLE ? 12 : 8);
+
+        for (let i = 0; i < cellCount; i++) {
+            const cell = base + db.buf.readUInt16BE(pointers + i * 2);
+            if (type === PAGE_INTERIOR_TABLE) {
+                visit(db.buf.readUInt32BE(cell));
+            } else if (type === PAGE_LEAF_TABLE) {
+                const size = readVarint(db.buf, cell);
+                const rowid = readVarint(db.buf, cell + size.length);
+                const payload = readPayload(db, cell + size.length + rowid.length, size.value);
+                rows.push({ rowid: rowid.value, values: parseRecord(payload) });
+            } else {
+                throw new Error(`unexpected page type ${type} on page ${page}`);
+            }
+        }
+        if (type === PAGE_INTERIOR_TABLE) {
+            visit(db.buf.readUInt32BE(header + 8));
+        }
+    };
+    visit(rootPage);
+    return rows;
+}
+
+// Column names from CREATE TABLE; an INTEGER PRIMARY KEY column holds the rowid
+function parseColumns(sql) {
+    const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+    for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            definitions.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    definitions.push(current);
+
+    return definitions
+        .map(definition => definition.trim())
+        .filter(definition => !/^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)\b/i.test(definition))
+        .map(definition => {
+            const name = definition.match(/^(?:"([^"]+)"|`([^`]+)`|\[([^\]]+)\]|(\S+))/);
+            return {
+                name: name[1] || name[2] || name[3] || name[4],
+                rowid: /^\S+\s+INTEGER\s+PRIMARY\s+KEY\b/i.test(definition)
+            };
+        });
+}
+
+// All rows of a table as objects keyed by column name
+export function readTable(file, table) {
+    const db = openDatabase(file);
+    const schema = readTableTree(db, 1)
+        .map(({ values: [type, name, , rootPage, sql] }) => ({ type, name, rootPage, sql }))
+        .find(entry => entry.type === 'table' && entry.name.toLowerCase() === table.toLowerCase());
+    if (!schema) {
+        throw new Error(`no table ${table}`);
+    }
+
+    const columns = parseColumns(schema.sql);
+    return readTableTree(db, schema.rootPage).map(({ rowid, values }) => {
+        const row = {};
+        columns.forEach((column, idx) => {
+            row[column.name] = column.rowid ? rowid : (values[idx] !== undefined ? values[idx] : null);
+        });
+        return row;
+    });
+}
+
+export default { readTable };
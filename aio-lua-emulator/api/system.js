@@ -1,6 +1,7 @@
 // System API Emulation for AIO Launcher
 import chalk from 'chalk';
 import crypto from 'crypto';
+import { showScriptNotification, cancelScriptNotification } from './notify.js';
 
 // Emulated clipboard storage
 let clipboardData = '';
@@ -52,6 +53,11 @@ export const system = {
         return new Date().getTimezoneOffset();
     },
 
+    get_tz_offset: function() {
+        // Return UTC offset in seconds (east of UTC is positive), as AIO does
+        return -new Date().getTimezoneOffset() * 60;
+    },
+
     // HMAC-SHA256 for Tuya API signature generation
     hmac_sha256: function(key, message) {
         try {
@@ -80,6 +86,16 @@ export const system = {
             type: 'wifi',
             ssid: 'EmulatorWiFi'
         };
+    },
+
+    // The script's own notification (api/notify.js); its buttons call
+    // on_notify_action(idx, action)
+    show_notify: function(table) {
+        showScriptNotification(table);
+    },
+
+    cancel_notify: function() {
+        cancelScriptNotification();
     }
 };
 
@@ -0,0 +1,260 @@
+// Tasks & Notes API Emulation for AIO Launcher
+// The launcher's own task and note lists, shared by every widget and saved in
+// .widget-storage/tasks.json and notes.json. tasks:load() / notes:load()
+// answer asynchronously through on_tasks_loaded(list) / on_notes_loaded(list);
+// show_editor() opens the launcher's editor, which saves without calling the
+// script back.
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { queueCallback } from './eventloop.js';
+import { virtualNow } from './clock.js';
+
+const STORAGE_DIR = path.join(process.cwd(), '.widget-storage');
+const HOUR = 3600;
+const DAY = 86400;
+
+// notes:colors(); a note's color is an index into it, 6 is the default
+export const NOTE_COLORS = ['#E57373', '#FFB74D', '#FFF176', '#81C784', '#64B5F6', '#FFFFFF'];
+const DEFAULT_NOTE_COLOR = 6;
+
+export const ORGANIZER_STORES = ['tasks', 'notes'];
+
+const stores = {
+    tasks: { file: path.join(STORAGE_DIR, 'tasks.json'), items: [] },
+    notes: { file: path.join(STORAGE_DIR, 'notes.json'), items: [] }
+};
+let editorRequest = null;  // show_editor() during the last callback
+
+function initStores() {
+    for (const [name, store] of Object.entries(stores)) {
+        try {
+            if (fs.existsSync(store.file)) {
+                store.items = JSON.parse(fs.readFileSync(store.file, 'utf8'));
+            }
+        } catch (err) {
+            console.log(chalk.yellow(`[${name}] Initialized with an empty list`));
+            store.items = [];
+        }
+    }
+}
+
+function saveStore(name) {
+    try {
+        if (!fs.existsSync(STORAGE_DIR)) {
+            fs.mkdirSync(STORAGE_DIR, { recursive: true });
+        }
+        fs.writeFileSync(stores[name].file, JSON.stringify(stores[name].items, null, 2));
+    } catch (err) {
+        console.log(chalk.red(`[${name}] Failed to save: ${err.message}`));
+    }
+}
+
+function nowSeconds() {
+    return Math.floor(virtualNow() / 1000);
+}
+
+// Local day boundaries on the virtual clock
+function startOfDay(seconds) {
+    const date = new Date(seconds * 1000);
+    return Math.floor(new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() / 1000);
+}
+
+function nextId(items) {
+    return items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+}
+
+function findItem(name, id) {
+    return stores[name].items.find(item => String(item.id) === String(id)) || null;
+}
+
+function numberOr(value, fallback) {
+    return value === undefined || value === null || !Number.isFinite(Number(value)) ? fallback : Number(value);
+}
+
+// Tasks without a due date are due at the end of the day they are added
+function normalizeTask(data, previous = {}) {
+    const now = nowSeconds();
+    const task = {
+        id: previous.id,
+        text: String(data.text ?? previous.text ?? ''),
+        date: numberOr(data.date, numberOr(previous.date, now)),
+        due_date: numberOr(data.due_date, numberOr(previous.due_date, startOfDay(now) + DAY - 60)),
+        completed_date: numberOr(data.completed_date, numberOr(previous.completed_date, 0)),
+        high_priority: Boolean(data.high_priority ?? previous.high_priority ?? false),
+        notification: Boolean(data.notification ?? previous.notification ?? false)
+    };
+    const icon = data.icon ?? previous.icon;
+    if (icon) task.icon = String(icon);
+    return task;
+}
+
+function normalizeNote(data, previous = {}) {
+    const color = Math.floor(numberOr(data.color, numberOr(previous.color, DEFAULT_NOTE_COLOR)));
+    return {
+        id: previous.id,
+        text: String(data.text ?? previous.text ?? ''),
+        color: color >= 1 && color <= NOTE_COLORS.length ? color : DEFAULT_NOTE_COLOR,
+        position: numberOr(data.position, numberOr(previous.position, stores.notes.items.length)),
+        date: numberOr(data.date, numberOr(previous.date, nowSeconds()))
+    };
+}
+
+// Notes keep a 0-based position; moving one shifts the others
+function renumberNotes(moved = null) {
+    const items = stores.notes.items.filter(note => note !== moved).sort((a, b) => a.position - b.position);
+    if (moved) {
+        items.splice(Math.max(0, Math.min(items.length, moved.position)), 0, moved);
+    }
+    items.forEach((note, idx) => { note.position = idx; });
+    stores.notes.items = items;
+}
+
+const normalizers = { tasks: normalizeTask, notes: normalizeNote };
+
+// As scripts see them: tasks by due date with is_today, notes by position
+function listItems(name) {
+    if (name === 'notes') {
+        return [...stores.notes.items].sort((a, b) => a.position - b.position).map(note => ({ ...note }));
+    }
+    const today = startOfDay(nowSeconds());
+    return [...stores.tasks.items]
+        .sort((a, b) => a.due_date - b.due_date || a.id - b.id)
+        .map(task => ({ ...task, is_today: task.due_date >= today && task.due_date < today + DAY }));
+}
+
+// Add (no id or an unknown one) or update an item; returns it
+export function upsertItem(name, data) {
+    const store = stores[name];
+    const previous = data && data.id !== undefined && data.id !== null ? findItem(name, data.id) : null;
+    const item = normalizers[name](data || {}, previous || {});
+    if (previous) {
+        Object.keys(previous).forEach(key => delete previous[key]);
+        Object.assign(previous, item);
+    } else {
+        item.id = nextId(store.items);
+        store.items.push(item);
+    }
+    const saved = previous || item;
+    if (name === 'notes') {
+        renumberNotes(saved);
+    }
+    saveStore(name);
+    return { ...saved };
+}
+
+export function removeItem(name, id) {
+    const store = stores[name];
+    const item = findItem(name, id);
+    if (!item) return false;
+    store.items.splice(store.items.indexOf(item), 1);
+    if (name === 'notes') {
+        renumberNotes();
+    }
+    saveStore(name);
+    return true;
+}
+
+export function getItems(name) {
+    return listItems(name);
+}
+
+// Replace a whole list (the web UI's JSON editor / seeding)
+export function replaceItems(name, items) {
+    stores[name].items = [];
+    (Array.isArray(items) ? items : []).forEach(data => {
+        const item = normalizers[name](data || {}, {});
+        item.id = Number(data && data.id) > 0 && !findItem(name, data.id) ? Number(data.id) : nextId(stores[name].items);
+        stores[name].items.push(item);
+    });
+    if (name === 'notes') {
+        renumberNotes();
+    }
+    saveStore(name);
+    console.log(chalk.cyan(`📝 ${name}: ${stores[name].items.length} item(s)`));
+    return listItems(name);
+}
+
+// Sample lists around the virtual clock's "now"
+export function seedItems(name) {
+    const now = nowSeconds();
+    const today = startOfDay(now);
+    if (name === 'tasks') {
+        return replaceItems(name, [
+            { text: 'Pay electricity bill', due_date: today - DAY + 18 * HOUR, high_priority: true },
+            { text: 'Buy milk', due_date: today + 18 * HOUR },
+            { text: 'Call the bank', due_date: today + DAY + 10 * HOUR, notification: true },
+            { text: 'Renew passport', due_date: today + 14 * DAY + 9 * HOUR },
+            { text: 'Send weekly report', due_date: today + 12 * HOUR, completed_date: now - 2 * HOUR }
+        ]);
+    }
+    return replaceItems(name, [
+        { text: 'Wi-Fi\nGuests-5G / welcome2024', color: 5 },
+        { text: 'Shopping list\n- eggs\n- bread\n- coffee', color: 3 },
+        { text: 'Gift ideas: headphones, board game', color: 1 },
+        { text: 'Books to read', color: DEFAULT_NOTE_COLOR }
+    ]);
+}
+
+export function takeEditorRequest() {
+    const request = editorRequest;
+    editorRequest = null;
+    return request;
+}
+
+// tasks:* and notes:* share everything but the callback and colors()
+function createStoreApi(name, callback) {
+    const label = name === 'tasks' ? 'Task' : 'Note';
+    return {
+        load: function() {
+            queueCallback(callback, listItems(name));
+        },
+
+        add: function(table) {
+            const item = upsertItem(name, { ...(table || {}), id: undefined });
+            console.log(chalk.cyan(`📝 ${label} added: "${item.text}"`));
+        },
+
+        save: function(table) {
+            if (!table || !findItem(name, table.id)) {
+                console.log(chalk.yellow(`[${name}] save: no ${label.toLowerCase()} with id ${table && table.id}`));
+                return;
+            }
+            const item = upsertItem(name, table);
+            console.log(chalk.cyan(`📝 ${label} ${item.id} saved: "${item.text}"`));
+        },
+
+        remove: function(id) {
+            if (removeItem(name, id)) {
+                console.log(chalk.cyan(`📝 ${label} ${id} removed`));
+            } else {
+                console.log(chalk.yellow(`[${name}] remove: no ${label.toLowerCase()} with id ${id}`));
+            }
+        },
+
+        // Without an id: a new task / note
+        show_editor: function(id) {
+            const item = id !== undefined && id !== null ? listItems(name).find(i => String(i.id) === String(id)) : null;
+            if (id !== undefined && id !== null && !item) {
+                console.log(chalk.yellow(`[${name}] show_editor: no ${label.toLowerCase()} with id ${id}`));
+                return;
+            }
+            editorRequest = { store: name, item: item || null };
+            console.log(chalk.magenta(`\n📝 ${label} editor: ${item ? `"${item.text}"` : 'new'}`));
+        }
+    };
+}
+
+initStores();
+
+export const tasks = createStoreApi('tasks', 'on_tasks_loaded');
+
+export const notes = {
+    ...createStoreApi('notes', 'on_notes_loaded'),
+
+    colors: function() {
+        return [...NOTE_COLORS];
+    }
+};
+
+export default { tasks, notes };
@@ -2,14 +2,30 @@
 import chalk from 'chalk';
 
 let outputBuffer = [];
+let layout = null;  // Structured layout from gui{} / ui:build, null for plain output
+let foldedText = null;  // Line shown while folded (third argument of show_lines)
 let contextMenuItems = [];
 let contextMenuCallback = null;
 let widgetTitle = 'Widget';
 
+// Fold state of the widget card. `foldable` comes from the script header,
+// `folded` / `expanded` from the launcher, the rest from the script.
+function defaultFoldState() {
+    return { foldable: true, folded: false, expandable: false, expanded: false, foldingFlag: false };
+}
+let foldState = defaultFoldState();
+
+// A new render replaces the previous layout and folded line
+function resetRender() {
+    layout = null;
+    foldedText = null;
+}
+
 export const ui = {
     show_text: function(text) {
         // Replace buffer instead of appending (mimics AIO Launcher behavior)
         outputBuffer = [text];
+        resetRender();
         console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
         console.log(chalk.bold.cyan('Widget Output:'));
         console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
@@ -17,9 +33,14 @@ export const ui = {
         console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
     },
 
-    show_lines: function(lines, senders) {
+    show_lines: function(lines, senders, folded) {
         // Display a list of lines with optional senders (for message-style display)
+        // and an optional line to show while the widget is folded
         outputBuffer = [];
+        resetRender();
+        if (folded !== null && folded !== undefined) {
+            foldedText = String(folded);
+        }
         console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
         console.log(chalk.bold.cyan('Widget Lines:'));
         console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
@@ -38,6 +59,7 @@ export const ui = {
     show_buttons: function(names, colors) {
         // Display a row of buttons with optional colors
         outputBuffer = [];
+        resetRender();
         console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
         console.log(chalk.bold.cyan('Widget Buttons:'));
         console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
@@ -57,6 +79,7 @@ export const ui = {
     show_table: function(data, mainColumn, centering) {
         // Display a formatted table
         outputBuffer = [];
+        resetRender();
         console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
         console.log(chalk.bold.cyan('Widget Table:'));
         console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
@@ -85,6 +108,7 @@ export const ui = {
 
         const output = `${text}\n[${bar}] ${percent.toFixed(1)}%`;
         outputBuffer = [output];
+        resetRender();
 
         console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
         console.log(chalk.bold.cyan('Widget Progress:'));
@@ -96,6 +120,7 @@ export const ui = {
     show_chart: function(points, format, title, showGrid, unused, copyright) {
         // Display a simple ASCII chart
         outputBuffer = [];
+        resetRender();
         console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━'));
         console.log(chalk.bold.cyan('Widget Chart: ' + (title || '')));
         console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━'));
@@ -128,16 +153,30 @@ export const ui = {
         console.log(chalk.gray(`[Widget title set to: ${title}]`));
     },
 
-    set_expandable: function() {
-        console.log(chalk.gray('[Widget set to expandable]'));
+    set_expandable: function(flag) {
+        foldState.expandable = flag !== false;
+        if (!foldState.expandable) {
+            foldState.expanded = false;
+        }
+        console.log(chalk.gray(`[Widget ${foldState.expandable ? 'set to expandable' : 'no longer expandable'}]`));
     },
 
     is_folded: function() {
-        return false;
+        return foldState.folded;
     },
 
     is_expanded: function() {
-        return true;
+        return foldState.expandable && foldState.expanded;
+    },
+
+    // Script-controlled fold arrow, independent of the launcher's fold state
+    set_folding_flag: function(flag) {
+        foldState.foldingFlag = !!flag;
+        console.log(chalk.gray(`[Widget folding flag: ${foldState.foldingFlag}]`));
+    },
+
+    folding_flag: function() {
+        return foldState.foldingFlag;
     },
 
     set_progress: function(value) {
@@ -176,6 +215,48 @@ export function getOutputBuffer() {
 
 export function clearOutput() {
     outputBuffer = [];
+    resetRender();
+}
+
+// Replace the output with a gui{} / ui:build layout and its plain-text lines
+export function showLayout(tree, lines) {
+    resetRender();
+    layout = tree;
+    outputBuffer = [...lines];
+}
+
+export function getLayout() {
+    return layout;
+}
+
+export function getFoldedText() {
+    return foldedText;
+}
+
+// Fold state lives with the widget (one per server session)
+export function getFoldState() {
+    return { ...foldState };
+}
+
+export function setFoldState(state) {
+    foldState = state ? { ...defaultFoldState(), ...state } : defaultFoldState();
+}
+
+// Launcher side: fold/unfold or expand/collapse the widget card.
+// Returns false when the header forbids folding (-- foldable = "false").
+export function setFolded(folded) {
+    if (folded && !foldState.foldable) {
+        return false;
+    }
+    foldState.folded = !!folded;
+    console.log(chalk.gray(`[Widget ${foldState.folded ? 'folded' : 'unfolded'}]`));
+    return true;
+}
+
+export function setExpanded(expanded) {
+    foldState.expanded = foldState.expandable && !!expanded;
+    console.log(chalk.gray(`[Widget ${foldState.expanded ? 'expanded' : 'collapsed'}]`));
+    return foldState.expanded;
 }
 
 export function hasContextMenu() {
@@ -1,18 +1,39 @@
 #!/usr/bin/env node
 
 // Main Lua Emulator for AIO Launcher Scripts
-import { readFileSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join, resolve } from 'path';
+import { dirname, join, resolve, basename } from 'path';
 import { program } from 'commander';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { lua, lauxlib, lualib, to_luastring } from 'fengari';
-import { ui, selectMenuOption, hasContextMenu, getContextMenuItems, clearOutput } from './api/ui.js';
-import { http, loadMocks, isUsingMocks } from './api/http.js';
-import { json } from './api/json.js';
+import { ui, selectMenuOption, hasContextMenu, getContextMenuItems, clearOutput, getLayout, getOutputBuffer, getFoldedText, getFoldState, setFoldState, setFolded, setExpanded } from './api/ui.js';
+import { http, shttp, loadMocks, isUsingMocks, setHttpMode, setHttpLogCallback } from './api/http.js';
+import { setNetworkDispatcher, queueOptionalCallback, waitForPending, DEFAULT_ASYNC_TIMEOUT } from './api/eventloop.js';
+import { json, JSON_BOOTSTRAP } from './api/json.js';
 import { system } from './api/system.js';
+import { android } from './api/android.js';
 import { storage, files } from './api/storage.js';
+import { prefs, settings, setPrefsScope, takeSettingsDialog, updateWidgetPrefs, PREFS_BOOTSTRAP } from './api/prefs.js';
+import { gui, build, GUI_BOOTSTRAP } from './api/gui.js';
+import { search, takeSearchResults } from './api/search.js';
+import { drawer, getDrawerState, openDrawer } from './api/drawer.js';
+import { parseMetadata } from './api/metadata.js';
+import { installModuleSearcher, DEFAULT_LIB_PATH } from './api/modules.js';
+import { getMockScenarios, setMockScenario } from './api/mocks.js';
+import { setFaultProfile, getFaultProfile, validateFault, FAULT_PRESETS } from './api/faults.js';
+import { startRecording, stopRecording } from './api/recorder.js';
+import { logsToHar } from './api/har.js';
+import { clock, CLOCK_BOOTSTRAP, TICK_INTERVAL, createTimers, takeDueTimers, takeResumeAlarm, setClockMode, setClockTime, stepClock, virtualNow } from './api/clock.js';
+import { calendar, loadCalendarFiles } from './api/calendar.js';
+import { PERMISSIONS, setPermission, takePermissionRequest, answerPermissionRequest } from './api/permissions.js';
+import { tasks, notes, upsertItem, takeEditorRequest } from './api/tasks.js';
+import { aio } from './api/aio.js';
+import { phone, loadContactFiles, getOutbox } from './api/phone.js';
+import { apps, loadAppsFixture, onAppsFileChanged, getApps, installApp, uninstallApp } from './api/apps.js';
+import { notify, loadNotificationFile, postNotification, dismissNotification, getNotifications, getScriptNotification } from './api/notify.js';
+import { dialogs, UI_DIALOG_METHODS, takeDialog, dialogActionValue, describeDialogValue } from './api/dialogs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,6 +42,12 @@ const __dirname = dirname(__filename);
 let L;
 let scriptPath = null;
 let interactiveMode = false;
+let asyncTimeout = DEFAULT_ASYNC_TIMEOUT;
+let currentPrefsScope = 'default';
+let scriptMeta = null;       // Parsed `-- key = "value"` header
+let scriptType = 'widget';   // widget, search (-- type = "search" or --search), drawer or module
+let searchResults = null;    // Results of the last on_search()
+let timers = createTimers(); // on_tick / on_alarm bookkeeping on the virtual clock
 
 // Initialize Lua state and APIs
 function initLua() {
@@ -51,40 +78,71 @@ function initLua() {
     lua.lua_setfield(L, -2, to_luastring("is_folded"));
     lua.lua_pushcfunction(L, luaWrapFunction(ui.is_expanded, true));
     lua.lua_setfield(L, -2, to_luastring("is_expanded"));
+    lua.lua_pushcfunction(L, luaWrapFunction(ui.set_folding_flag, true));
+    lua.lua_setfield(L, -2, to_luastring("set_folding_flag"));
+    lua.lua_pushcfunction(L, luaWrapFunction(ui.folding_flag, true));
+    lua.lua_setfield(L, -2, to_luastring("folding_flag"));
     lua.lua_pushcfunction(L, luaWrapFunction(ui.show_context_menu, true));
     lua.lua_setfield(L, -2, to_luastring("show_context_menu"));
+    lua.lua_pushcfunction(L, luaWrapFunction(build, true));
+    lua.lua_setfield(L, -2, to_luastring("build"));
+    for (const key of UI_DIALOG_METHODS) {
+        lua.lua_pushcfunction(L, luaWrapFunction(dialogs[key], true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
     lua.lua_setglobal(L, to_luastring("ui"));
     
     // Create http module
-    lua.lua_createtable(L, 0, 2);
-    lua.lua_pushcfunction(L, luaWrapFunction(http.get, true)); // Skip first arg (module itself)
-    lua.lua_setfield(L, -2, to_luastring("get"));
-    lua.lua_pushcfunction(L, luaWrapFunction(http.post, true)); // Skip first arg (module itself)
-    lua.lua_setfield(L, -2, to_luastring("post"));
+    lua.lua_createtable(L, 0, Object.keys(http).length);
+    for (const [key, value] of Object.entries(http)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true)); // Skip first arg (module itself)
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
     lua.lua_setglobal(L, to_luastring("http"));
+
+    // Create shttp module (blocking requests, results returned as tables)
+    lua.lua_createtable(L, 0, Object.keys(shttp).length);
+    for (const [key, value] of Object.entries(shttp)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("shttp"));
     
-    // Create json module
+    // Create json module (json.decode and json:decode both work)
     lua.lua_createtable(L, 0, 2);
-    lua.lua_pushcfunction(L, luaWrapFunction(json.decode, true)); // Skip first arg (module itself)
-    lua.lua_setfield(L, -2, to_luastring("decode"));
-    lua.lua_pushcfunction(L, luaWrapFunction(json.encode, true)); // Skip first arg (module itself)
-    lua.lua_setfield(L, -2, to_luastring("encode"));
-    lua.lua_setglobal(L, to_luastring("json"));
+    for (const [key, value] of Object.entries(json)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("__json_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(JSON_BOOTSTRAP));
     
     // Create system module
-    lua.lua_createtable(L, 0, 2);
-    lua.lua_pushcfunction(L, luaWrapFunction(system.open_browser));
-    lua.lua_setfield(L, -2, to_luastring("open_browser"));
-    lua.lua_pushcfunction(L, luaWrapFunction(system.toast));
-    lua.lua_setfield(L, -2, to_luastring("toast"));
+    lua.lua_createtable(L, 0, Object.keys(system).length);
+    for (const [key, value] of Object.entries(system)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
     lua.lua_setglobal(L, to_luastring("system"));
 
+    // Create android module (device info mocks, android.apps())
+    lua.lua_createtable(L, 0, Object.keys(android).length);
+    for (const [key, value] of Object.entries(android)) {
+        if (typeof value === 'function') {
+            lua.lua_pushcfunction(L, luaWrapAndroidFunction(value));
+            lua.lua_setfield(L, -2, to_luastring(key));
+        }
+    }
+    lua.lua_setglobal(L, to_luastring("android"));
+
     // Create storage module for persistent data
-    lua.lua_createtable(L, 0, 6);
+    lua.lua_createtable(L, 0, 7);
     lua.lua_pushcfunction(L, luaWrapFunction(storage.get, true));
     lua.lua_setfield(L, -2, to_luastring("get"));
     lua.lua_pushcfunction(L, luaWrapFunction(storage.set, true));
     lua.lua_setfield(L, -2, to_luastring("set"));
+    lua.lua_pushcfunction(L, luaWrapFunction(storage.set, true));
+    lua.lua_setfield(L, -2, to_luastring("put"));  // AIO uses 'put' not 'set'
     lua.lua_pushcfunction(L, luaWrapFunction(storage.delete, true));
     lua.lua_setfield(L, -2, to_luastring("delete"));
     lua.lua_pushcfunction(L, luaWrapFunction(storage.has, true));
@@ -104,6 +162,122 @@ function initLua() {
     lua.lua_pushcfunction(L, luaWrapFunction(files.exists, true));
     lua.lua_setfield(L, -2, to_luastring("exists"));
     lua.lua_setglobal(L, to_luastring("files"));
+
+    // Create settings module (legacy argument list)
+    lua.lua_createtable(L, 0, 3);
+    for (const [key, value] of Object.entries(settings)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("settings"));
+
+    // Create dialogs module (answers arrive through on_dialog_action)
+    lua.lua_createtable(L, 0, 6);
+    for (const [key, value] of Object.entries(dialogs)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("dialogs"));
+
+    // Create search module (results of on_search for search scripts)
+    lua.lua_createtable(L, 0, 5);
+    for (const [key, value] of Object.entries(search)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("search"));
+
+    // Create drawer module (side menu for drawer scripts)
+    lua.lua_createtable(L, 0, 6);
+    for (const [key, value] of Object.entries(drawer)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("drawer"));
+
+    // Create calendar module (fixtures/calendar.ics or --calendar files)
+    lua.lua_createtable(L, 0, Object.keys(calendar).length);
+    for (const [key, value] of Object.entries(calendar)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("calendar"));
+
+    // Create notify module (fixtures/notifications.json or --notifications)
+    lua.lua_createtable(L, 0, Object.keys(notify).length);
+    for (const [key, value] of Object.entries(notify)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("notify"));
+
+    // Create phone module (fixtures/contacts.vcf or --contacts, calls / SMS to the outbox)
+    lua.lua_createtable(L, 0, Object.keys(phone).length);
+    for (const [key, value] of Object.entries(phone)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("phone"));
+
+    // Create apps module (AIO Backup/appsV2.db or --apps, launches are logged)
+    lua.lua_createtable(L, 0, Object.keys(apps).length);
+    for (const [key, value] of Object.entries(apps)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("apps"));
+
+    // Create tasks, notes and aio modules (.widget-storage/tasks.json, notes.json)
+    for (const [name, module] of Object.entries({ tasks, notes, aio })) {
+        lua.lua_createtable(L, 0, Object.keys(module).length);
+        for (const [key, value] of Object.entries(module)) {
+            lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+            lua.lua_setfield(L, -2, to_luastring(key));
+        }
+        lua.lua_setglobal(L, to_luastring(name));
+    }
+
+    // Create prefs module (proxy table built in Lua over a JS backend)
+    lua.lua_createtable(L, 0, 4);
+    for (const [key, value] of Object.entries(prefs)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("__prefs_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(PREFS_BOOTSTRAP));
+
+    // Create gui{} constructor (Lua object over a JS renderer)
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, luaWrapFunction(gui.render, true));
+    lua.lua_setfield(L, -2, to_luastring("render"));
+    lua.lua_setglobal(L, to_luastring("__gui_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(GUI_BOOTSTRAP));
+
+    // Virtual clock behind os.time() / os.date()
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, luaWrapFunction(clock.now, true));
+    lua.lua_setfield(L, -2, to_luastring("now"));
+    lua.lua_setglobal(L, to_luastring("__clock_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(CLOCK_BOOTSTRAP));
+}
+
+// Push a JS value onto the Lua stack (integers stay integers, like on the device)
+function pushLuaValue(L, value) {
+    if (typeof value === 'string') {
+        lua.lua_pushstring(L, to_luastring(value));
+    } else if (typeof value === 'number') {
+        if (Number.isInteger(value)) {
+            lua.lua_pushinteger(L, value);
+        } else {
+            lua.lua_pushnumber(L, value);
+        }
+    } else if (typeof value === 'boolean') {
+        lua.lua_pushboolean(L, value);
+    } else if (typeof value === 'object' && value !== null) {
+        jsToLuaTable(L, value);
+    } else {
+        lua.lua_pushnil(L);
+    }
 }
 
 // Wrap JavaScript function for Lua
@@ -139,18 +313,7 @@ function luaWrapFunction(fn, skipFirst = false) {
             
             // Push result back to Lua stack if any
             if (result !== undefined && result !== null) {
-                if (typeof result === 'string') {
-                    lua.lua_pushstring(L, to_luastring(result));
-                } else if (typeof result === 'number') {
-                    lua.lua_pushnumber(L, result);
-                } else if (typeof result === 'boolean') {
-                    lua.lua_pushboolean(L, result);
-                } else if (typeof result === 'object') {
-                    // Convert JavaScript object/array to Lua table
-                    jsToLuaTable(L, result);
-                } else {
-                    lua.lua_pushnil(L);
-                }
+                pushLuaValue(L, result);
                 return 1;
             }
         } catch (e) {
@@ -163,6 +326,23 @@ function luaWrapFunction(fn, skipFirst = false) {
     };
 }
 
+// android.* is called with a dot (android.apps()); android:apps() passes the
+// table first, which is dropped so both spellings work
+function luaWrapAndroidFunction(fn) {
+    const wrapped = luaWrapFunction(fn, false);
+    return function(L) {
+        if (lua.lua_gettop(L) > 0) {
+            lua.lua_getglobal(L, to_luastring("android"));
+            const isSelf = lua.lua_rawequal(L, 1, -1);
+            lua.lua_pop(L, 1);
+            if (isSelf) {
+                lua.lua_remove(L, 1);
+            }
+        }
+        return wrapped(L);
+    };
+}
+
 // Create Lua callback function
 function createLuaCallback(L, index) {
     // Store the Lua function reference
@@ -175,17 +355,7 @@ function createLuaCallback(L, index) {
         
         // Push arguments
         for (const arg of args) {
-            if (typeof arg === 'string') {
-                lua.lua_pushstring(L, arg);
-            } else if (typeof arg === 'number') {
-                lua.lua_pushnumber(L, arg);
-            } else if (typeof arg === 'boolean') {
-                lua.lua_pushboolean(L, arg);
-            } else if (typeof arg === 'object' && arg !== null) {
-                jsToLuaTable(L, arg);
-            } else {
-                lua.lua_pushnil(L);
-            }
+            pushLuaValue(L, arg);
         }
         
         // Call the Lua function
@@ -197,49 +367,57 @@ function createLuaCallback(L, index) {
     };
 }
 
-// Convert Lua table to JavaScript object
+// Convert Lua table to JavaScript object/array
 function luaTableToJS(L, index) {
+    // Sequences (t[1], t[2], ...) become arrays, everything else an object
+    const len = lua.lua_rawlen(L, index);
+    if (len > 0) {
+        const arr = [];
+        for (let i = 1; i <= len; i++) {
+            lua.lua_rawgeti(L, index, i);
+            arr.push(luaValueToJS(L, lua.lua_gettop(L)));
+            lua.lua_pop(L, 1);
+        }
+        return arr;
+    }
+
     const obj = {};
     lua.lua_pushnil(L);
     while (lua.lua_next(L, index) !== 0) {
-        const key = lua.lua_tojsstring(L, -2);
-        const type = lua.lua_type(L, -1);
-        let value;
-        
-        if (type === lua.LUA_TSTRING) {
-            value = lua.lua_tojsstring(L, -1);
-        } else if (type === lua.LUA_TNUMBER) {
-            value = lua.lua_tonumber(L, -1);
-        } else if (type === lua.LUA_TBOOLEAN) {
-            value = lua.lua_toboolean(L, -1);
-        } else if (type === lua.LUA_TTABLE) {
-            value = luaTableToJS(L, -1);
-        } else {
-            value = null;
-        }
-        
-        obj[key] = value;
+        const key = lua.lua_type(L, -2) === lua.LUA_TNUMBER
+            ? lua.lua_tonumber(L, -2)
+            : lua.lua_tojsstring(L, -2);
+        obj[key] = luaValueToJS(L, lua.lua_gettop(L));
         lua.lua_pop(L, 1);
     }
     return obj;
 }
 
-// Convert JavaScript object to Lua table
+function luaValueToJS(L, index) {
+    const type = lua.lua_type(L, index);
+    if (type === lua.LUA_TSTRING) {
+        return lua.lua_tojsstring(L, index);
+    } else if (type === lua.LUA_TNUMBER) {
+        return lua.lua_tonumber(L, index);
+    } else if (type === lua.LUA_TBOOLEAN) {
+        return lua.lua_toboolean(L, index);
+    } else if (type === lua.LUA_TTABLE) {
+        return luaTableToJS(L, index);
+    }
+    return null;
+}
+
+// Convert JavaScript object to Lua table (arrays become 1-based sequences)
 function jsToLuaTable(L, obj) {
-    lua.lua_createtable(L, 0, Object.keys(obj).length);
+    const isArray = Array.isArray(obj);
+    lua.lua_createtable(L, isArray ? obj.length : 0, isArray ? 0 : Object.keys(obj).length);
     for (const [key, value] of Object.entries(obj)) {
-        lua.lua_pushstring(L, to_luastring(key));
-        if (typeof value === 'string') {
-            lua.lua_pushstring(L, to_luastring(value));
-        } else if (typeof value === 'number') {
-            lua.lua_pushnumber(L, value);
-        } else if (typeof value === 'boolean') {
-            lua.lua_pushboolean(L, value);
-        } else if (typeof value === 'object' && value !== null) {
-            jsToLuaTable(L, value);
+        if (isArray) {
+            lua.lua_pushinteger(L, Number(key) + 1);
         } else {
-            lua.lua_pushnil(L);
+            lua.lua_pushstring(L, to_luastring(key));
         }
+        pushLuaValue(L, value);
         lua.lua_settable(L, -3);
     }
 }
@@ -257,7 +435,7 @@ function loadScript(filePath) {
         if (status !== lua.LUA_OK) {
             let error = 'Unknown error';
             if (lua.lua_type(L, -1) === lua.LUA_TSTRING) {
-                error = lua.lua_tostring(L, -1) || error;
+                error = lua.lua_tojsstring(L, -1) || error;
             }
             lua.lua_pop(L, 1); // Remove error from stack
             throw new Error(`Lua load error: ${error}`);
@@ -268,7 +446,7 @@ function loadScript(filePath) {
         if (result !== lua.LUA_OK) {
             let error = 'Unknown error';
             if (lua.lua_type(L, -1) === lua.LUA_TSTRING) {
-                error = lua.lua_tostring(L, -1) || error;
+                error = lua.lua_tojsstring(L, -1) || error;
             }
             lua.lua_pop(L, 1); // Remove error from stack
             throw new Error(`Lua runtime error: ${error}`);
@@ -290,15 +468,7 @@ function callLuaFunction(name, ...args) {
     if (lua.lua_isfunction(L, -1)) {
         // Push arguments
         for (const arg of args) {
-            if (typeof arg === 'string') {
-                lua.lua_pushstring(L, to_luastring(arg));
-            } else if (typeof arg === 'number') {
-                lua.lua_pushnumber(L, arg);
-            } else if (typeof arg === 'boolean') {
-                lua.lua_pushboolean(L, arg);
-            } else {
-                lua.lua_pushnil(L);
-            }
+            pushLuaValue(L, arg);
         }
         
         // Call function
@@ -316,9 +486,595 @@ function callLuaFunction(name, ...args) {
     }
 }
 
-// Wait for async operations
-function waitForAsync() {
-    return new Promise(resolve => setTimeout(resolve, 1000));
+// Check whether the script defines a global function
+function hasLuaFunction(name) {
+    lua.lua_getglobal(L, to_luastring(name));
+    const exists = lua.lua_isfunction(L, -1);
+    lua.lua_pop(L, 1);
+    return exists;
+}
+
+// Wait for async operations (HTTP callbacks, timers, dialogs) to drain
+async function waitForAsync() {
+    const { drained, pending } = await waitForPending(asyncTimeout);
+    if (!drained) {
+        console.log(chalk.yellow(`\n⏱ Still pending after ${asyncTimeout}ms:`));
+        pending.forEach(op => {
+            console.log(chalk.yellow(`   - [${op.kind}] ${op.description} (${op.elapsed}ms)`));
+        });
+    }
+}
+
+// Ask for new values when the script opened the prefs/settings dialog,
+// then reload the script like AIO Launcher does after saving settings
+async function handleSettingsDialog() {
+    const request = takeSettingsDialog();
+    if (!request) {
+        return;
+    }
+
+    let update;
+    if (request.type === 'prefs') {
+        const answers = await inquirer.prompt(request.fields.map(field => ({
+            type: field.type === 'boolean' ? 'confirm' : (field.type === 'number' ? 'number' : 'input'),
+            name: field.key,
+            message: field.key,
+            default: field.value
+        })));
+        update = { prefs: answers };
+    } else {
+        const { args } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'args',
+                message: 'Arguments (space separated):',
+                default: request.args.join(' ')
+            }
+        ]);
+        update = { settings: args.split(/\s+/).filter(Boolean) };
+    }
+
+    updateWidgetPrefs(currentPrefsScope, update);
+    console.log(chalk.blue('\n▶ Settings saved, reloading script...\n'));
+    initLua();
+    if (loadScript(scriptPath)) {
+        callLuaFunction('on_resume');
+        await waitForAsync();
+    }
+}
+
+// Ask the user to answer one dialog; returns the raw answer or -1 when cancelled
+async function promptDialog(dialog) {
+    if (dialog.text && dialog.type !== 'rich_editor') {
+        console.log(chalk.white(`   ${dialog.text}`));
+    }
+    const cancel = { name: chalk.gray('Cancel'), value: -1 };
+
+    switch (dialog.type) {
+        case 'dialog':
+        case 'radio':
+        case 'list': {
+            const options = dialog.type === 'dialog' ? dialog.buttons : dialog.lines;
+            const { choice } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'choice',
+                    message: dialog.title || 'Dialog',
+                    default: dialog.index ? dialog.index - 1 : 0,
+                    choices: options.map((line, idx) => ({
+                        name: dialog.splitSymbol ? line.split(dialog.splitSymbol).join('  ·  ') : line,
+                        value: idx + 1
+                    })).concat([cancel])
+                }
+            ]);
+            return choice;
+        }
+        case 'edit': {
+            const { text, ok } = await inquirer.prompt([
+                { type: 'input', name: 'text', message: dialog.title || 'Edit', default: dialog.defaultText },
+                { type: 'confirm', name: 'ok', message: 'OK? (No = cancel)', default: true }
+            ]);
+            return ok ? text : -1;
+        }
+        case 'checkbox': {
+            const { checked, ok } = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'checked',
+                    message: dialog.title || 'Select items',
+                    choices: dialog.lines.map((line, idx) => ({
+                        name: line,
+                        value: idx + 1,
+                        checked: dialog.checked.includes(idx + 1)
+                    }))
+                },
+                { type: 'confirm', name: 'ok', message: 'OK? (No = cancel)', default: true }
+            ]);
+            return ok ? checked : -1;
+        }
+        case 'rich_editor': {
+            const questions = [
+                { type: 'input', name: 'text', message: dialog.title || 'Text', default: dialog.text }
+            ];
+            if (dialog.colors.length > 0) {
+                questions.push({
+                    type: 'list',
+                    name: 'color',
+                    message: 'Color',
+                    default: Math.max(0, dialog.color - 1),
+                    choices: dialog.colors.map((color, idx) => ({ name: color, value: idx + 1 }))
+                });
+            }
+            if (dialog.dueDate > 0) {
+                questions.push({
+                    type: 'input',
+                    name: 'due',
+                    message: 'Due date (YYYY-MM-DD)',
+                    default: new Date(dialog.dueDate * 1000).toISOString().slice(0, 10)
+                });
+            }
+            if (dialog.checkboxes.length > 0) {
+                questions.push({
+                    type: 'checkbox',
+                    name: 'checked',
+                    message: 'Checkboxes',
+                    choices: dialog.checkboxes.map((box, idx) => ({ name: box.name, value: idx, checked: box.checked }))
+                });
+            }
+            questions.push({
+                type: 'confirm',
+                name: 'ok',
+                message: dialog.isNew ? 'Save? (No = cancel)' : 'Save? (No = delete)',
+                default: true
+            });
+
+            const answers = await inquirer.prompt(questions);
+            if (!answers.ok) {
+                return -1;
+            }
+            const answer = { text: answers.text, color: answers.color };
+            if (answers.due) {
+                const due = Date.parse(answers.due);
+                answer.due_date = isNaN(due) ? dialog.dueDate : Math.floor(due / 1000);
+            }
+            if (answers.checked) {
+                answer.checkboxes = dialog.checkboxes.map((box, idx) => ({
+                    name: box.name,
+                    checked: answers.checked.includes(idx)
+                }));
+            }
+            return answer;
+        }
+        default:
+            return -1;
+    }
+}
+
+// Run on_search(query) and keep the results for click routing
+async function runSearch(query) {
+    console.log(chalk.blue(`\n▶ Running on_search(${JSON.stringify(query)})...\n`));
+    takeSearchResults();
+    callLuaFunction('on_search', query);
+    await waitForAsync();
+    searchResults = takeSearchResults();
+    if (!searchResults) {
+        console.log(chalk.gray('(no search results)'));
+    }
+}
+
+// Run on_drawer_open() like the launcher does when the side menu opens
+async function runDrawerOpen() {
+    console.log(chalk.blue('\n▶ Running on_drawer_open()...\n'));
+    openDrawer();
+    callLuaFunction('on_drawer_open');
+    await waitForAsync();
+}
+
+// Fold or unfold the widget. The launcher only re-runs on_resume() when the
+// header sets on_resume_when_folding = "true"; otherwise it shows one line.
+async function runFold(folded) {
+    if (!setFolded(folded)) {
+        console.log(chalk.yellow('Widget is not foldable (foldable = "false" in the header)'));
+        return;
+    }
+    if (scriptMeta.onResumeWhenFolding) {
+        console.log(chalk.blue('\n▶ Running on_resume()...\n'));
+        callLuaFunction('on_resume');
+        await waitForAsync();
+    } else if (folded) {
+        printFoldedLine();
+    }
+}
+
+// The single line a folded widget shows: show_lines()'s `folded` argument or the first line
+function printFoldedLine() {
+    const foldedText = getFoldedText();
+    const firstLine = getOutputBuffer().find(line => String(line).trim() !== '') || '';
+    console.log(chalk.cyan(`\n▸ Folded: ${foldedText !== null ? foldedText : firstLine}\n`));
+}
+
+// on_resume(), then on_alarm() when the last one is 30+ minutes old: the
+// launcher runs it on return to the desktop at most once every 30 minutes
+async function runResume() {
+    console.log(chalk.blue('\n▶ Running on_resume()...\n'));
+    callLuaFunction('on_resume');
+    if (takeResumeAlarm(timers) && hasLuaFunction('on_alarm')) {
+        console.log(chalk.blue('\n▶ Running on_alarm()...\n'));
+        callLuaFunction('on_alarm');
+    }
+    await waitForAsync();
+}
+
+// --ticks / interactive: move the clock one second at a time, running
+// on_tick(n) every second and on_alarm() every 30 minutes
+async function runTicks(seconds) {
+    if (seconds <= 0) return;
+    setClockMode('paused');
+    const hasTick = hasLuaFunction('on_tick');
+    for (let i = 0; i < seconds; i++) {
+        stepClock(TICK_INTERVAL);
+        const { ticks, alarm } = takeDueTimers(timers);
+        if (hasTick) {
+            ticks.forEach(n => callLuaFunction('on_tick', n));
+        }
+        if (alarm && hasLuaFunction('on_alarm')) {
+            console.log(chalk.blue(`\n▶ Running on_alarm() at ${new Date(clock.now() * 1000).toLocaleString()}...\n`));
+            callLuaFunction('on_alarm');
+        }
+        await waitForAsync();
+    }
+    if (!hasTick) {
+        console.log(chalk.yellow('on_tick() is not defined in the script'));
+    }
+}
+
+// Expanding or collapsing always re-runs on_resume()
+async function runExpand(expanded) {
+    setExpanded(expanded);
+    console.log(chalk.blue('\n▶ Running on_resume()...\n'));
+    callLuaFunction('on_resume');
+    await waitForAsync();
+}
+
+// --faults: a preset name, an inline JSON spec or a JSON file
+function applyFaultOption(value) {
+    let profile = value;
+    if (!FAULT_PRESETS[value]) {
+        try {
+            profile = JSON.parse(existsSync(value) ? readFileSync(value, 'utf8') : value);
+        } catch (e) {
+            console.log(chalk.red(`✗ --faults: not a preset, JSON or JSON file: ${value}`));
+            return false;
+        }
+    }
+    if (!setFaultProfile(profile)) {
+        const problems = typeof profile === 'object' ? validateFault(profile) : [];
+        console.log(chalk.red(`✗ --faults: ${problems.length > 0 ? problems.join(', ') : 'invalid profile'}`));
+        return false;
+    }
+    console.log(chalk.magenta(`⚡ Fault profile: ${getFaultProfile().name}`));
+    return true;
+}
+
+// --record: real requests, written to a mock file. --redact adds redaction
+// rules (inline JSON or a JSON file) to the defaults in api/recorder.js
+function applyRecordOption(file, redact) {
+    let rules = {};
+    if (redact !== undefined) {
+        try {
+            rules = JSON.parse(existsSync(redact) ? readFileSync(redact, 'utf8') : redact);
+        } catch (e) {
+            console.log(chalk.red(`✗ --redact: not JSON or a JSON file: ${redact}`));
+            return false;
+        }
+    }
+    try {
+        startRecording(resolve(file), rules);
+    } catch (e) {
+        console.log(chalk.red(`✗ --record: ${e.message}`));
+        return false;
+    }
+    setHttpMode('record');
+    process.on('exit', stopRecording);
+    return true;
+}
+
+// --har: the session's HTTP log is written as HAR 1.2 when the emulator exits
+function applyHarOption(file, scriptFile) {
+    const logs = [];
+    setHttpLogCallback((type, details) => {
+        logs.push({ ...details, type, errorType: details.type, timestamp: new Date().toISOString() });
+    });
+    process.on('exit', () => {
+        const har = logsToHar(logs, { comment: basename(scriptFile) });
+        writeFileSync(resolve(file), JSON.stringify(har, null, 2));
+        console.log(chalk.gray(`📄 Wrote ${har.log.entries.length} request(s) to ${file}`));
+    });
+}
+
+// --outbox: calls and SMS of the session are written as JSON when the emulator exits
+function applyOutboxOption(file) {
+    process.on('exit', () => {
+        const outbox = getOutbox();
+        writeFileSync(resolve(file), JSON.stringify({ outbox }, null, 2));
+        console.log(chalk.gray(`📄 Wrote ${outbox.length} call(s) / SMS to ${file}`));
+    });
+}
+
+// Switch the mock file's scenario; sequences and mock state start over
+async function promptMockScenario() {
+    const { active, scenarios } = getMockScenarios();
+    const { name } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'name',
+            message: 'Mock scenario:',
+            default: active,
+            choices: [{ name: '(none)', value: null }].concat(scenarios.map(scenario => ({
+                name: scenario.description ? `${scenario.name} - ${scenario.description}` : scenario.name,
+                value: scenario.name
+            })))
+        }
+    ]);
+    setMockScenario(name);
+    console.log(chalk.magenta(`\n🎬 Mock scenario: ${name === null ? '(none)' : name}`));
+}
+
+// Ask which item was tapped in an open drawer; null when the user backs out
+async function promptDrawerItem(action) {
+    const state = getDrawerState();
+    if (!state.open || state.items.length === 0) {
+        return [];
+    }
+    const { index } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'index',
+            message: `Drawer item to ${action}:`,
+            choices: state.items.map((item, idx) => ({
+                name: `${idx + 1}. ${item.replace(/<[^>]*>/g, '')}`,
+                value: idx + 1
+            })).concat([{ name: chalk.gray('Cancel'), value: null }])
+        }
+    ]);
+    return index === null ? null : [index];
+}
+
+// Ask which element was tapped: a drawer item, a search result, or a gui{} element.
+// Returns [] for plain output, null when the user backs out.
+async function promptLayoutElement(action) {
+    if (scriptType === 'drawer') {
+        return promptDrawerItem(action);
+    }
+
+    if (scriptType === 'search') {
+        if (!searchResults) {
+            return [];
+        }
+        const { index } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'index',
+                message: `Result to ${action}:`,
+                choices: searchResults.items.map((item, idx) => ({
+                    name: `${idx + 1}. ${typeof item === 'object' && !Array.isArray(item) ? item.text : String(item)}`,
+                    value: idx + 1
+                })).concat([{ name: chalk.gray('Cancel'), value: null }])
+            }
+        ]);
+        return index === null ? null : [index];
+    }
+
+    const layout = getLayout();
+    if (!layout || layout.source !== 'gui') {
+        return [];
+    }
+
+    const elements = layout.rows.flatMap(row => row.elements)
+        .filter(node => node.type !== 'spacer');
+    const { index } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'index',
+            message: `Element to ${action}:`,
+            choices: elements.map(node => ({
+                name: `${node.index}. ${node.type} ${node.value.replace(/<[^>]*>/g, '')}`,
+                value: node.index
+            })).concat([{ name: chalk.gray('Cancel'), value: null }])
+        }
+    ]);
+    return index === null ? null : [index];
+}
+
+// Answer dialogs opened by the script; an answer may open the next dialog
+async function handleDialogs() {
+    let dialog;
+    while ((dialog = takeDialog())) {
+        const value = dialogActionValue(dialog, await promptDialog(dialog));
+        console.log(chalk.blue(`\n▶ Running on_dialog_action(${describeDialogValue(value)})...\n`));
+        callLuaFunction('on_dialog_action', value);
+        await waitForAsync();
+    }
+}
+
+// Ask for a permission requested by the script; on_permission_granted()
+// runs when it is allowed
+async function handlePermissionRequest() {
+    const request = takePermissionRequest();
+    if (!request) {
+        return;
+    }
+    const { allow } = await inquirer.prompt([
+        { type: 'confirm', name: 'allow', message: `Allow access to ${request.permission}?`, default: true }
+    ]);
+    answerPermissionRequest(request, allow);
+    if (allow && hasLuaFunction('on_permission_granted')) {
+        console.log(chalk.blue('\n▶ Running on_permission_granted()...\n'));
+        callLuaFunction('on_permission_granted');
+        await waitForAsync();
+    }
+}
+
+// Stand in for the launcher's task / note editor opened by show_editor();
+// saving does not call the script back, as on the device
+async function handleEditorRequest() {
+    const request = takeEditorRequest();
+    if (!request) {
+        return;
+    }
+    const item = request.item || {};
+    const fields = [
+        { type: 'input', name: 'text', message: 'Text:', default: item.text || '' }
+    ];
+    if (request.store === 'tasks') {
+        fields.push(
+            {
+                type: 'input',
+                name: 'due',
+                message: 'Due (YYYY-MM-DD HH:MM, empty = end of today):',
+                default: item.due_date ? formatEditorDate(new Date(item.due_date * 1000)) : ''
+            },
+            { type: 'confirm', name: 'high_priority', message: 'High priority?', default: Boolean(item.high_priority) },
+            { type: 'confirm', name: 'completed', message: 'Completed?', default: item.completed_date > 0 }
+        );
+    } else {
+        fields.push({ type: 'number', name: 'color', message: 'Color (1-6, 6 = default):', default: item.color || 6 });
+    }
+    fields.push({ type: 'confirm', name: 'save', message: 'Save?', default: true });
+
+    const answers = await inquirer.prompt(fields);
+    if (!answers.save || (!answers.text && !request.item)) {
+        console.log(chalk.gray('   Editor closed without saving'));
+        return;
+    }
+    const data = { id: item.id, text: answers.text };
+    if (request.store === 'tasks') {
+        const due = new Date(answers.due.trim().replace(' ', 'T'));
+        if (answers.due.trim() && !isNaN(due.getTime())) {
+            data.due_date = Math.floor(due.getTime() / 1000);
+        }
+        data.high_priority = answers.high_priority;
+        data.completed_date = answers.completed ? (item.completed_date || Math.floor(virtualNow() / 1000)) : 0;
+    } else {
+        data.color = answers.color;
+    }
+    const saved = upsertItem(request.store, data);
+    console.log(chalk.cyan(`📝 Saved ${request.store} item ${saved.id}: "${saved.text}"`));
+}
+
+function formatEditorDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// A notification from another app, then on_notifications_updated()
+async function promptNotification() {
+    const answers = await inquirer.prompt([
+        { type: 'input', name: 'package', message: 'Package:', default: 'com.whatsapp' },
+        { type: 'input', name: 'title', message: 'Title:', default: 'Anna' },
+        { type: 'input', name: 'text', message: 'Text:', default: 'See you at 7' },
+        { type: 'input', name: 'actions', message: 'Actions (comma separated):', default: 'Reply, Mark as read' },
+        { type: 'confirm', name: 'message', message: 'Messaging style (text as a message from the title)?', default: true }
+    ]);
+    postNotification({
+        package: answers.package,
+        title: answers.title,
+        text: answers.text,
+        category: answers.message ? 'msg' : '',
+        messages: answers.message ? [{ sender: answers.title, text: answers.text }] : [],
+        actions: answers.actions.split(',').map(title => title.trim()).filter(Boolean)
+            .map(title => ({ title, have_input: answers.message && /^reply$/i.test(title) }))
+    });
+    await runNotificationsUpdated();
+}
+
+async function promptDismissNotification() {
+    const { key } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'key',
+            message: 'Notification to swipe away:',
+            choices: getNotifications().notifications.filter(n => n.is_clearable).map(n => ({
+                name: `${n.package}: ${n.title}${n.text ? ` - ${n.text}` : ''}`,
+                value: n.key
+            })).concat([{ name: chalk.gray('Cancel'), value: null }])
+        }
+    ]);
+    if (key !== null && dismissNotification(key)) {
+        await runNotificationsUpdated();
+    }
+}
+
+async function runNotificationsUpdated() {
+    console.log(chalk.blue('\n▶ Running on_notifications_updated()...\n'));
+    if (!callLuaFunction('on_notifications_updated')) {
+        console.log(chalk.gray('   (on_notifications_updated() is not defined)'));
+    }
+    await waitForAsync();
+}
+
+// Install, remove or reload apps, then run on_apps_changed() like the launcher
+async function promptAppsChange() {
+    const { source } = getApps();
+    const { change } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'change',
+            message: 'Installed apps:',
+            choices: [
+                { name: 'Install an app', value: 'install' },
+                { name: 'Remove an app', value: 'remove' },
+                { name: `Reload ${basename(source)}`, value: 'reload' },
+                { name: chalk.gray('Cancel'), value: null }
+            ]
+        }
+    ]);
+    if (change === 'install') {
+        const answers = await inquirer.prompt([
+            { type: 'input', name: 'pkg', message: 'Package:', default: 'org.example.app' },
+            { type: 'input', name: 'name', message: 'Name:', default: 'Example' },
+            { type: 'input', name: 'color', message: 'Color:', default: '#2196F3' }
+        ]);
+        installApp(answers);
+    } else if (change === 'remove') {
+        const { pkg } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'pkg',
+                message: 'App to remove:',
+                choices: getApps().apps.map(app => ({ name: `${app.name} (${app.pkg})`, value: app.pkg }))
+                    .concat([{ name: chalk.gray('Cancel'), value: null }])
+            }
+        ]);
+        if (pkg === null || !uninstallApp(pkg)) return;
+    } else if (change === 'reload') {
+        if (!loadAppsFixture(source)) return;
+    } else {
+        return;
+    }
+    console.log(chalk.blue('\n▶ Running on_apps_changed()...\n'));
+    if (!callLuaFunction('on_apps_changed')) {
+        console.log(chalk.gray('   (on_apps_changed() is not defined)'));
+    }
+    await waitForAsync();
+}
+
+// Buttons of the script's own notification (system:show_notify)
+async function promptNotifyAction() {
+    const notification = getScriptNotification();
+    const { action } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'action',
+            message: `Notification "${notification.text}":`,
+            choices: notification.actions.map(a => ({ name: a.title, value: a }))
+                .concat([{ name: chalk.gray('Cancel'), value: null }])
+        }
+    ]);
+    if (!action) return;
+    console.log(chalk.blue(`\n▶ Running on_notify_action(${action.id}, "${action.title}")...\n`));
+    callLuaFunction('on_notify_action', action.id, action.title);
+    await waitForAsync();
 }
 
 // Interactive mode
@@ -331,15 +1087,38 @@ async function runInteractive() {
     console.log(chalk.bold.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
     
     while (true) {
+        await handleDialogs();
+        await handlePermissionRequest();
+        await handleEditorRequest();
+        await handleSettingsDialog();
+
+        const fold = getFoldState();
         const choices = [
+            ...(scriptType === 'widget' && fold.foldable
+                ? [{ name: fold.folded ? 'Unfold widget' : 'Fold widget', value: 'fold' }] : []),
+            ...(scriptType === 'widget' && fold.expandable && !fold.folded
+                ? [{ name: fold.expanded ? 'Collapse widget (on_resume())' : 'Expand widget (on_resume())', value: 'expand' }] : []),
+            ...(scriptType === 'search' ? [{ name: 'Search (on_search())', value: 'search' }] : []),
+            ...(scriptType === 'drawer' ? [{ name: 'Open drawer (on_drawer_open())', value: 'drawer' }] : []),
+            ...(scriptType === 'drawer' && getDrawerState().open && getDrawerState().buttons.length > 0
+                ? [{ name: 'Press drawer button (on_button_click())', value: 'drawerButton' }] : []),
             { name: 'Run on_resume()', value: 'resume' },
+            ...(scriptType === 'widget' ? [{ name: 'Advance the clock (on_tick() / on_alarm())', value: 'clock' }] : []),
             { name: 'Simulate on_click()', value: 'click' },
             { name: 'Simulate on_long_click()', value: 'longclick' },
+            { name: 'Open settings (on_settings())', value: 'settings' },
+            { name: 'Post a notification (on_notifications_updated())', value: 'notifyPost' },
+            ...(getNotifications().notifications.some(n => n.is_clearable)
+                ? [{ name: 'Swipe a notification away (on_notifications_updated())', value: 'notifyDismiss' }] : []),
+            ...(getScriptNotification() && getScriptNotification().actions.length > 0
+                ? [{ name: 'Press a button of the script\'s notification (on_notify_action())', value: 'notifyAction' }] : []),
+            { name: 'Install / remove apps (on_apps_changed())', value: 'apps' },
+            ...(getMockScenarios().scenarios.length > 0 ? [{ name: 'Switch mock scenario', value: 'scenario' }] : []),
             { name: 'Exit', value: 'exit' }
         ];
         
         if (hasContextMenu()) {
-            choices.splice(3, 0, { name: 'Select context menu item', value: 'menu' });
+            choices.splice(choices.length - 1, 0, { name: 'Select context menu item', value: 'menu' });
         }
         
         const { action } = await inquirer.prompt([
@@ -354,17 +1133,66 @@ async function runInteractive() {
         if (action === 'exit') {
             console.log(chalk.green('\n👋 Goodbye!\n'));
             break;
-        } else if (action === 'resume') {
-            console.log(chalk.blue('\n▶ Running on_resume()...\n'));
-            callLuaFunction('on_resume');
+        } else if (action === 'fold') {
+            await runFold(!fold.folded);
+        } else if (action === 'expand') {
+            await runExpand(!fold.expanded);
+        } else if (action === 'scenario') {
+            await promptMockScenario();
+        } else if (action === 'notifyPost') {
+            await promptNotification();
+        } else if (action === 'notifyDismiss') {
+            await promptDismissNotification();
+        } else if (action === 'notifyAction') {
+            await promptNotifyAction();
+        } else if (action === 'apps') {
+            await promptAppsChange();
+        } else if (action === 'drawer') {
+            await runDrawerOpen();
+        } else if (action === 'drawerButton') {
+            const state = getDrawerState();
+            const { index } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'index',
+                    message: 'Drawer button:',
+                    default: Math.max(0, state.activeButton - 1),
+                    choices: state.buttons.map((icon, idx) => ({ name: `${idx + 1}. ${icon}`, value: idx + 1 }))
+                }
+            ]);
+            console.log(chalk.blue(`\n▶ Running on_button_click(${index})...\n`));
+            callLuaFunction('on_button_click', index);
             await waitForAsync();
+        } else if (action === 'search') {
+            const { query } = await inquirer.prompt([
+                { type: 'input', name: 'query', message: 'Search query:' }
+            ]);
+            await runSearch(query);
+        } else if (action === 'resume') {
+            await runResume();
+        } else if (action === 'clock') {
+            const { seconds } = await inquirer.prompt([
+                { type: 'number', name: 'seconds', message: 'Seconds to advance (on_tick() each second):', default: 10 }
+            ]);
+            await runTicks(Math.max(0, Math.floor(seconds) || 0));
         } else if (action === 'click') {
-            console.log(chalk.blue('\n▶ Running on_click()...\n'));
-            callLuaFunction('on_click');
+            const args = await promptLayoutElement('click');
+            if (!args) continue;
+            console.log(chalk.blue(`\n▶ Running on_click(${args.join(', ')})...\n`));
+            callLuaFunction('on_click', ...args);
+            await waitForAsync();
+        } else if (action === 'settings') {
+            console.log(chalk.blue('\n▶ Running on_settings()...\n'));
+            // Without on_settings() AIO opens the default arguments dialog
+            if (!callLuaFunction('on_settings')) {
+                settings.show_dialog();
+            }
             await waitForAsync();
         } else if (action === 'longclick') {
-            console.log(chalk.blue('\n▶ Running on_long_click()...\n'));
-            callLuaFunction('on_long_click');
+            const args = await promptLayoutElement('long click');
+            if (!args) continue;
+            console.log(chalk.blue(`\n▶ Running on_long_click(${args.join(', ')})...\n`));
+            callLuaFunction('on_long_click', ...args);
             await waitForAsync();
             
             if (hasContextMenu()) {
@@ -416,15 +1244,116 @@ async function main() {
         .option('-m, --mock <file>', 'Load mock data from JSON file')
         .option('-i, --interactive', 'Run in interactive mode')
         .option('-t, --test <function>', 'Test specific function')
+        .option('-s, --search <query>', 'Run a search script: call on_search(query) instead of on_resume()')
+        .option('-f, --folded', 'Start with the widget folded (ui:is_folded() returns true)')
+        .option('--timeout <ms>', 'Max time to wait for async callbacks', String(DEFAULT_ASYNC_TIMEOUT))
+        .option('--lib <dir>', 'Directory of bundled Lua libraries for require()', DEFAULT_LIB_PATH)
+        .option('--scenario <name>', 'Start with this scenario of the mock file active')
+        .option('--faults <profile>', `Inject HTTP faults: a preset (${Object.keys(FAULT_PRESETS).join(', ')}), JSON or a JSON file`)
+        .option('--record <file>', 'Make real requests and record them into a mock file')
+        .option('--redact <rules>', 'Extra redaction rules for --record: JSON or a JSON file')
+        .option('--replay <file>', 'Answer from a recorded mock file; unrecorded requests fail')
+        .option('--har <file>', 'Write the HTTP log as a HAR 1.2 file on exit')
+        .option('--time <datetime>', 'Start the virtual clock at this time, paused (os.time(), os.date())')
+        .option('--calendar <files...>', 'Calendars for calendar:* from .ics or JSON files (default: fixtures/calendar.ics)')
+        .option('--notifications <file>', 'Notifications for notify:list() from a JSON file (default: fixtures/notifications.json)')
+        .option('--contacts <files...>', 'Contacts for phone:contacts() from .vcf or JSON files (default: fixtures/contacts.vcf)')
+        .option('--outbox <file>', 'Write the calls and SMS of phone:make_call() / send_sms() as JSON on exit')
+        .option('--apps <file>', 'Installed apps for apps:* from an AIO backup\'s appsV2.db or a JSON file (default: AIO Backup/appsV2.db)')
+        .option('--deny <permissions>', `Start with these permissions denied, comma separated (${PERMISSIONS.join(', ')})`)
+        .option('--ticks <n>', 'After on_resume(), advance the clock n seconds running on_tick() / on_alarm()')
         .action(async (script, options) => {
             const scriptPath = resolve(script);
+            asyncTimeout = parseInt(options.timeout, 10) || DEFAULT_ASYNC_TIMEOUT;
+
+            // The header decides the script type and entry callback
+            scriptMeta = parseMetadata(readFileSync(scriptPath, 'utf8'));
+            scriptType = options.search !== undefined ? 'search' : scriptMeta.type;
+            console.log(chalk.gray(`Script type: ${scriptType}${scriptMeta.name ? ` ("${scriptMeta.name}")` : ''}`));
+            scriptMeta.warnings.forEach(w => console.log(chalk.yellow(`⚠️  Header ${w}`)));
+
+            // Prefs persist per widget: `-- name = "..."` header or file name
+            currentPrefsScope = scriptMeta.name || basename(scriptPath, '.lua');
+            setPrefsScope(currentPrefsScope);
+            setFoldState({ foldable: scriptMeta.foldable });
+            if (options.folded && !setFolded(true)) {
+                console.log(chalk.yellow('⚠️  --folded ignored: foldable = "false" in the header'));
+            }
             
-            // Initialize Lua
+            // Initialize Lua; require() looks in the library directory, then next to the script
             initLua();
+            installModuleSearcher(L, { libPath: options.lib, scriptDir: dirname(scriptPath) });
+            // http:get(url, id) without a callback answers through on_network_result[_id]
+            setNetworkDispatcher((name, ...args) => {
+                if (!hasLuaFunction(name)) return false;
+                console.log(chalk.blue(`\n▶ Running ${name}()...\n`));
+                callLuaFunction(name, ...args);
+                return true;
+            });
+            // The apps fixture was edited on disk: the script's only state hears it
+            onAppsFileChanged(() => queueOptionalCallback('on_apps_changed'));
             
             // Load mocks if specified
             if (options.mock) {
                 loadMocks(options.mock);
+                if (options.scenario !== undefined && !setMockScenario(options.scenario)) {
+                    console.log(chalk.yellow(`⚠️  Unknown mock scenario "${options.scenario}"`));
+                }
+            }
+
+            if (options.record !== undefined && options.replay !== undefined) {
+                console.log(chalk.red('✗ --record and --replay cannot be used together'));
+                process.exit(1);
+            }
+            if (options.record !== undefined && !applyRecordOption(options.record, options.redact)) {
+                process.exit(1);
+            }
+            if (options.replay !== undefined) {
+                if (!loadMocks(options.replay)) {
+                    process.exit(1);
+                }
+                setHttpMode('replay-strict');
+            }
+            if (options.har !== undefined) {
+                applyHarOption(options.har, scriptPath);
+            }
+            
+            if (options.faults !== undefined && !applyFaultOption(options.faults)) {
+                process.exit(1);
+            }
+
+            if (options.time !== undefined) {
+                if (!setClockTime(options.time)) {
+                    console.log(chalk.red(`✗ Invalid --time "${options.time}"`));
+                    process.exit(1);
+                }
+                setClockMode('paused');
+                timers = createTimers();
+            }
+            const ticks = Math.max(0, parseInt(options.ticks, 10) || 0);
+
+            if (options.calendar !== undefined && !loadCalendarFiles(options.calendar)) {
+                process.exit(1);
+            }
+            if (options.notifications !== undefined && !loadNotificationFile(options.notifications)) {
+                process.exit(1);
+            }
+            if (options.contacts !== undefined && !loadContactFiles(options.contacts)) {
+                process.exit(1);
+            }
+            if (options.apps !== undefined && !loadAppsFixture(resolve(options.apps))) {
+                process.exit(1);
+            }
+            if (options.outbox !== undefined) {
+                applyOutboxOption(options.outbox);
+            }
+            if (options.deny !== undefined) {
+                for (const name of options.deny.split(',').map(p => p.trim()).filter(Boolean)) {
+                    if (!setPermission(name, false)) {
+                        console.log(chalk.red(`✗ Unknown permission "${name}" (${PERMISSIONS.join(', ')})`));
+                        process.exit(1);
+                    }
+                }
             }
             
             // Load script
@@ -437,16 +1366,42 @@ async function main() {
                 console.log(chalk.blue(`\n▶ Testing function: ${options.test}()\n`));
                 callLuaFunction(options.test);
                 await waitForAsync();
+            } else if (options.search !== undefined) {
+                await runSearch(options.search);
+                if (options.interactive) {
+                    await runInteractive();
+                } else {
+                    console.log(chalk.green('\n✓ Search complete\n'));
+                }
+            } else if (scriptType !== 'widget') {
+                // Drawer scripts start when the side menu opens; search scripts wait
+                // for a query and modules are only loaded
+                if (scriptType === 'drawer') {
+                    await runDrawerOpen();
+                } else if (scriptType === 'search') {
+                    console.log(chalk.gray('\nSearch script: use --search "<query>" or "Search" in interactive mode'));
+                } else {
+                    console.log(chalk.gray(`\n${scriptType} script loaded, no entry callback`));
+                }
+                if (options.interactive) {
+                    await runInteractive();
+                } else {
+                    console.log(chalk.green('\n✓ Script execution complete\n'));
+                }
             } else if (options.interactive) {
                 // Run on_resume first, then enter interactive mode
-                callLuaFunction('on_resume');
-                await waitForAsync();
+                await runResume();
+                await runTicks(ticks);
                 await runInteractive();
             } else {
                 // Just run on_resume
-                console.log(chalk.blue('\n▶ Running on_resume()...\n'));
-                callLuaFunction('on_resume');
-                await waitForAsync();
+                await runResume();
+                if (ticks > 0) {
+                    await runTicks(ticks);
+                }
+                if (getFoldState().folded && !scriptMeta.onResumeWhenFolding) {
+                    printFoldedLine();
+                }
                 
                 console.log(chalk.green('\n✓ Script execution complete\n'));
             }
@@ -10,11 +10,17 @@ let autoResumeTimeout = null;
 let httpRequestCount = 0;
 let httpErrorCount = 0;
 let allFolded = false;
+let sessionId = null;  // Server-side Lua session, keeps globals between callbacks
+let foldState = null;  // Fold state of the widget card, from the last execution
+let scriptPath = null;  // File the editor was loaded from; require() also searches its folder
+let executionsInFlight = 0;  // The clock loop skips a beat while a callback runs
 
 // Default settings
 const defaultSettings = {
   groq: { apiKey: '' },
-  autoDelay: 1000
+  autoDelay: 1000,
+  asyncTimeout: 5000,
+  faultCustom: ''
 };
 
 // ============================================================================
@@ -41,6 +47,8 @@ function loadSettingsToForm() {
   const settings = getSettings();
   document.getElementById('settingGroqKey').value = settings.groq?.apiKey || '';
   document.getElementById('settingAutoDelay').value = settings.autoDelay || 1000;
+  document.getElementById('settingAsyncTimeout').value = settings.asyncTimeout || 5000;
+  document.getElementById('settingFaultCustom').value = settings.faultCustom || '';
 }
 
 function saveSettingsFromForm() {
@@ -48,11 +56,25 @@ function saveSettingsFromForm() {
     groq: {
       apiKey: document.getElementById('settingGroqKey').value
     },
-    autoDelay: parseInt(document.getElementById('settingAutoDelay').value) || 1000
+    autoDelay: parseInt(document.getElementById('settingAutoDelay').value) || 1000,
+    asyncTimeout: parseInt(document.getElementById('settingAsyncTimeout').value) || 5000,
+    faultCustom: document.getElementById('settingFaultCustom').value.trim()
   };
+  if (settings.faultCustom) {
+    try {
+      JSON.parse(settings.faultCustom);
+    } catch (e) {
+      showToast('Custom fault profile is not valid JSON', 'error');
+      return;
+    }
+  }
   saveSettings(settings);
+  savePermissionSettings().catch(err => console.error('Failed to save permissions:', err));
   showToast('Settings saved', 'success');
   closeSettingsModal();
+  if (document.getElementById('faultSelect').value === 'custom') {
+    setFaultProfile('custom');
+  }
 }
 
 function resetSettingsForm() {
@@ -63,6 +85,7 @@ function resetSettingsForm() {
 
 function openSettingsModal() {
   loadSettingsToForm();
+  loadPermissionSettings();
   document.getElementById('settingsModal').classList.add('show');
 }
 
@@ -106,7 +129,7 @@ require(['vs/editor/editor.main'], function() {
   editor.onDidChangeModelContent(() => {
     if (autoResumeEnabled) {
       clearTimeout(autoResumeTimeout);
-      autoResumeTimeout = setTimeout(() => executeScript('on_resume'), 1000);
+      autoResumeTimeout = setTimeout(() => executeScript(), 1000);
     }
   });
 
@@ -114,7 +137,7 @@ require(['vs/editor/editor.main'], function() {
   function runInitialScript() {
     if (editor && document.readyState === 'complete') {
       // Small delay to ensure layout is stable
-      setTimeout(() => executeScript('on_resume'), 200);
+      setTimeout(() => executeScript(), 200);
     } else {
       // Poll until ready
       setTimeout(runInitialScript, 100);
@@ -156,16 +179,23 @@ end`;
 // Script Execution
 // ============================================================================
 
-async function executeScript(functionName = 'on_resume') {
+// Without a function name the server runs the entry callback for the script's
+// `-- type` header: on_resume() for widgets, on_drawer_open() for drawers
+// `timers` runs the on_tick / on_alarm callbacks due on the virtual clock
+// (the clock loop), quietly unless one of them fails or on_alarm runs.
+async function executeScript(functionName = null, { reload = false, args, dialogResult, permissionResult, fold, timers = false } = {}) {
   if (!editor) return;
 
   const script = editor.getValue();
   const mockFile = document.getElementById('mockSelect').value;
 
   // Update status
-  updateExecStatus('running');
-  addConsoleEntry('info', `Executing ${functionName}()...`);
+  if (!timers) {
+    updateExecStatus('running');
+    addConsoleEntry('info', functionName ? `Executing ${functionName}()...` : 'Running script...');
+  }
 
+  executionsInFlight++;
   try {
     // Load mock data if selected
     let mockData = null;
@@ -177,38 +207,14 @@ async function executeScript(functionName = 'on_resume') {
     const response = await fetch('/api/execute', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ script, functionName, mockData })
+      body: JSON.stringify({
+        script, scriptPath, functionName, args, dialogResult, permissionResult, fold, mockData, sessionId, reload, timers,
+        asyncTimeout: getSettings().asyncTimeout
+      })
     });
 
     const result = await response.json();
-
-    if (result.success) {
-      displayOutput(result.output);
-      updateExecStatus('success');
-
-      // Process HTTP logs
-      if (result.httpLogs && result.httpLogs.length > 0) {
-        clearHttpLogEmpty();
-        result.httpLogs
-          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-          .forEach(log => addHttpLogEntry(log));
-      }
-
-      if (!result.functionExists) {
-        addConsoleEntry('warning', `Function ${functionName}() not found`);
-      } else {
-        addConsoleEntry('success', `${functionName}() completed`);
-      }
-    } else {
-      displayError(result.error);
-      updateExecStatus('error');
-      addConsoleEntry('error', `Error: ${result.error}`);
-
-      // Show error details in console
-      if (result.luaError) {
-        addConsoleEntry('error', `Lua: ${result.luaError}`);
-      }
-    }
+    showExecuteResult(result, { functionName, reload, permissionResult, fold, timers });
 
     // Update last execution time
     document.getElementById('lastExecTime').textContent =
@@ -219,6 +225,134 @@ async function executeScript(functionName = 'on_resume') {
     displayError(error.message);
     updateExecStatus('error');
     addConsoleEntry('error', `Request failed: ${error.message}`);
+    if (timers) {
+      pauseClock();
+    }
+  } finally {
+    executionsInFlight--;
+  }
+}
+
+// Show what a callback did: output, dialogs, logs and console messages. Used
+// for /api/execute responses and for callbacks the server ran on its own
+// (GET /api/sessions/:id/updates).
+function showExecuteResult(result, { functionName = null, reload = false, permissionResult, fold, timers = false } = {}) {
+  if (result.sessionId !== undefined) {
+    sessionId = result.sessionId;
+  }
+  if (result.sessionCreated) {
+    addConsoleEntry('info', reload ? 'Session reloaded' : 'New Lua session started');
+    if (result.metadata) {
+      addConsoleEntry('info', `Script type: ${result.metadata.type}${result.metadata.name ? ` ("${result.metadata.name}")` : ''}`);
+      result.metadata.warnings.forEach(w => addConsoleEntry('warning', `Header ${w}`));
+    }
+  }
+  const called = result.calledFunction;
+  if (result.clock) {
+    showClock(result.clock);
+  }
+
+  if (result.success) {
+    setSearchMode(result.scriptType === 'search');
+    setDrawerMode(result.scriptType === 'drawer');
+    if (result.drawer) {
+      renderDrawer(result.drawer, called === 'on_drawer_open');
+    }
+    setFoldControls(result.scriptType === 'widget' ? result.fold : null, result.metadata);
+    setScenarioPicker(result.mocks);
+    if (result.scriptType === 'search') {
+      displaySearchResults(result.searchResults);
+    } else if (foldState && foldState.folded && !result.metadata.onResumeWhenFolding) {
+      displayFolded(result.output, foldState.foldedText);
+    } else {
+      displayOutput(result.output, result.layout);
+    }
+    updateExecStatus('success');
+
+    // Process HTTP logs
+    if (result.httpLogs && result.httpLogs.length > 0) {
+      clearHttpLogEmpty();
+      result.httpLogs
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .forEach(log => addHttpLogEntry(log));
+      addHttpRun(`${called || (timers ? (result.timers.alarm ? 'on_alarm' : 'on_tick') : 'run')}()`, result.httpLogs);
+    }
+
+    if (result.dialog) {
+      openWidgetDialog(result.dialog);
+    }
+    if (result.calendarActions) {
+      result.calendarActions.forEach(showCalendarAction);
+    }
+    if (result.permissionRequest) {
+      openPermissionPrompt(result.permissionRequest);
+    }
+    if (result.editor) {
+      openOrganizerEditor(result.editor.store, result.editor.item);
+    }
+    if (document.getElementById('organizerTab').classList.contains('active')) {
+      refreshOrganizer();
+    }
+    if (result.notifyEvents && result.notifyEvents.length > 0) {
+      result.notifyEvents.forEach(showNotifyEvent);
+      refreshNotifications();
+    }
+    if (result.phoneActions) {
+      result.phoneActions.forEach(showContactDialog);
+    }
+    refreshPhone();
+    if (result.appActions && result.appActions.length > 0) {
+      result.appActions.forEach(showAppAction);
+      refreshApps();
+    }
+
+    if (result.settingsDialog) {
+      openPrefsModal(result.settingsDialog);
+    } else if (functionName === 'on_settings' && !result.functionExists) {
+      // No on_settings(): AIO falls back to the default settings dialog
+      openPrefsModal(null);
+    }
+
+    if (result.timedOut && result.pending) {
+      addConsoleEntry('warning', `${result.pending.length} async operation(s) still pending after deadline`);
+      result.pending.forEach(op => {
+        addConsoleEntry('warning', `  [${op.kind}] ${op.description} (${op.elapsed}ms)`);
+      });
+    }
+
+    if (timers) {
+      // The clock loop stays quiet, apart from alarms and skipped ticks
+      if (result.timers.skipped > 0) {
+        addConsoleEntry('warning', `Clock ran ahead: ${result.timers.skipped} on_tick() call(s) skipped`);
+      }
+    } else if (!called && permissionResult) {
+      addConsoleEntry('info', 'Permission denied (on_permission_granted() not called)');
+    } else if (!called && fold) {
+      addConsoleEntry('info', `Widget ${foldState.folded ? 'folded' : 'unfolded'} (on_resume() not called, set on_resume_when_folding = "true" to redraw)`);
+    } else if (!called) {
+      addConsoleEntry('info', result.scriptType === 'search'
+        ? 'Search script loaded - type in the search bar to call on_search()'
+        : 'Script loaded (no entry callback for this type)');
+    } else if (!result.functionExists) {
+      addConsoleEntry('warning', `Function ${called}() not found`);
+    } else {
+      addConsoleEntry('success', `${called}() completed`);
+    }
+    if (result.timers && result.timers.alarm) {
+      addConsoleEntry('info', `on_alarm() ran at ${new Date(result.clock.time).toLocaleTimeString()} (virtual time)`);
+    }
+  } else {
+    displayError(result.error);
+    updateExecStatus('error');
+    addConsoleEntry('error', `Error: ${result.error}`);
+    if (timers) {
+      pauseClock();
+    }
+
+    // Show error details in console
+    if (result.luaError) {
+      addConsoleEntry('error', `Lua: ${result.luaError}`);
+    }
   }
 }
 
@@ -243,13 +377,395 @@ function updateExecStatus(status) {
   }
 }
 
+// ============================================================================
+// Widget Settings (prefs / settings)
+// ============================================================================
+
+// Open the settings dialog. `request` comes from prefs:show_dialog() or
+// settings:show_dialog(); without one, show everything the widget has stored.
+async function openPrefsModal(request) {
+  if (!sessionId) return;
+
+  let data;
+  try {
+    const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/prefs`);
+    data = await response.json();
+  } catch (error) {
+    addConsoleEntry('error', `Failed to load prefs: ${error.message}`);
+    return;
+  }
+
+  const showPrefs = !request || request.type === 'prefs';
+  const showArgs = !request || request.type === 'settings';
+  const fields = request && request.fields ? request.fields : data.fields;
+  const body = document.getElementById('prefsModalBody');
+  let html = '';
+
+  if (showPrefs) {
+    html += '<section class="settings-section"><h3>Prefs</h3><div class="settings-grid">';
+    if (fields.length === 0) {
+      html += '<small class="setting-hint full-width">No editable prefs (string, number or boolean, not starting with _)</small>';
+    }
+    fields.forEach(field => {
+      const id = `pref_${field.key}`;
+      if (field.type === 'boolean') {
+        html += `
+          <label class="settings-field">
+            <span>${escapeHtml(field.key)}</span>
+            <input type="checkbox" id="${escapeAttr(id)}" data-pref="${escapeAttr(field.key)}" data-type="boolean" ${field.value ? 'checked' : ''}>
+          </label>`;
+      } else {
+        html += `
+          <label class="settings-field">
+            <span>${escapeHtml(field.key)}</span>
+            <input type="${field.type === 'number' ? 'number' : 'text'}" id="${escapeAttr(id)}" data-pref="${escapeAttr(field.key)}" data-type="${field.type}" value="${escapeAttr(field.value)}">
+          </label>`;
+      }
+    });
+    html += '</div></section>';
+  }
+
+  if (showArgs) {
+    const args = request && request.args ? request.args : data.settings;
+    html += `
+      <section class="settings-section">
+        <h3>Arguments</h3>
+        <div class="settings-grid">
+          <label class="settings-field full-width">
+            <span>settings:get() values, space separated</span>
+            <input type="text" id="prefsArgs" value="${escapeAttr(args.join(' '))}">
+          </label>
+        </div>
+      </section>`;
+  }
+
+  body.innerHTML = html;
+  document.getElementById('prefsModal').classList.add('show');
+}
+
+function closePrefsModal() {
+  document.getElementById('prefsModal').classList.remove('show');
+}
+
+// Save the dialog, then reload the script like AIO Launcher does
+async function savePrefsModal() {
+  const update = {};
+
+  const prefInputs = document.querySelectorAll('#prefsModalBody [data-pref]');
+  if (prefInputs.length > 0) {
+    update.prefs = {};
+    prefInputs.forEach(input => {
+      const type = input.dataset.type;
+      update.prefs[input.dataset.pref] = type === 'boolean' ? input.checked :
+        type === 'number' ? Number(input.value) : input.value;
+    });
+  }
+
+  const argsInput = document.getElementById('prefsArgs');
+  if (argsInput) {
+    update.settings = argsInput.value.split(/\s+/).filter(Boolean);
+  }
+
+  try {
+    await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/prefs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(update)
+    });
+    closePrefsModal();
+    addConsoleEntry('success', 'Settings saved');
+    executeScript(null, { reload: true });
+  } catch (error) {
+    addConsoleEntry('error', `Failed to save settings: ${error.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('closePrefs').addEventListener('click', closePrefsModal);
+  document.getElementById('cancelPrefs').addEventListener('click', closePrefsModal);
+  document.getElementById('savePrefs').addEventListener('click', savePrefsModal);
+  document.getElementById('prefsModal').addEventListener('click', (e) => {
+    if (e.target.id === 'prefsModal') {
+      closePrefsModal();
+    }
+  });
+});
+
+// ============================================================================
+// Widget Dialogs
+// ============================================================================
+
+let activeWidgetDialog = null;
+
+// Render a dialog opened by the script; the answer goes to on_dialog_action()
+function openWidgetDialog(dialog) {
+  activeWidgetDialog = dialog;
+  document.getElementById('widgetDialogTitle').textContent = dialog.title || 'Dialog';
+  const body = document.getElementById('widgetDialogBody');
+  const footer = document.getElementById('widgetDialogFooter');
+  const text = dialog.text && dialog.type !== 'rich_editor'
+    ? `<div class="dialog-text">${escapeHtml(dialog.text)}</div>` : '';
+  let html = text;
+  let buttons = [{ label: 'Cancel', value: -1 }];
+
+  switch (dialog.type) {
+    case 'dialog':
+      buttons = buttons.concat(dialog.buttons.map((label, idx) => ({ label, value: idx + 1, primary: idx === 0 })).reverse());
+      break;
+    case 'edit':
+      html += `<input type="text" class="dialog-input" id="dialogEditInput" value="${escapeAttr(dialog.defaultText)}">`;
+      buttons.push({ label: 'OK', primary: true, collect: () => document.getElementById('dialogEditInput').value });
+      break;
+    case 'radio':
+      html += '<div class="dialog-options">' + dialog.lines.map((line, idx) => `
+        <label class="dialog-option">
+          <input type="radio" name="dialogRadio" value="${idx + 1}" ${dialog.index === idx + 1 ? 'checked' : ''}>
+          ${escapeHtml(line)}
+        </label>`).join('') + '</div>';
+      buttons.push({ label: 'OK', primary: true, collect: () => {
+        const checked = document.querySelector('input[name="dialogRadio"]:checked');
+        return checked ? Number(checked.value) : -1;
+      } });
+      break;
+    case 'checkbox':
+      html += '<div class="dialog-options">' + dialog.lines.map((line, idx) => `
+        <label class="dialog-option">
+          <input type="checkbox" name="dialogCheckbox" value="${idx + 1}" ${dialog.checked.includes(idx + 1) ? 'checked' : ''}>
+          ${escapeHtml(line)}
+        </label>`).join('') + '</div>';
+      buttons.push({ label: 'OK', primary: true, collect: () =>
+        [...document.querySelectorAll('input[name="dialogCheckbox"]:checked')].map(input => Number(input.value)) });
+      break;
+    case 'list':
+      if (dialog.search) {
+        html += '<input type="text" class="dialog-input" id="dialogListSearch" placeholder="Search...">';
+      }
+      html += `<ul class="dialog-list ${dialog.zebra ? 'zebra' : ''}" id="dialogList">` + dialog.lines.map((line, idx) => {
+        const parts = dialog.splitSymbol ? line.split(dialog.splitSymbol) : [line];
+        return `<li data-index="${idx + 1}">${parts.map(part => `<span>${escapeHtml(part)}</span>`).join('')}</li>`;
+      }).join('') + '</ul>';
+      break;
+    case 'rich_editor':
+      html += `<textarea class="dialog-textarea" id="dialogEditorText">${escapeHtml(dialog.text)}</textarea>`;
+      if (dialog.colors.length > 0) {
+        html += '<div class="dialog-colors">' + dialog.colors.map((color, idx) => `
+          <span class="dialog-color ${dialog.color === idx + 1 ? 'selected' : ''}" data-color="${idx + 1}" style="background: ${escapeAttr(color)}"></span>`).join('') + '</div>';
+      }
+      if (dialog.dueDate > 0) {
+        const due = new Date(dialog.dueDate * 1000).toISOString().slice(0, 10);
+        html += `<label class="dialog-row">Due date <input type="date" class="dialog-input" id="dialogEditorDue" value="${due}"></label>`;
+      }
+      if (dialog.checkboxes.length > 0) {
+        html += '<div class="dialog-options">' + dialog.checkboxes.map((box, idx) => `
+          <label class="dialog-option">
+            <input type="checkbox" name="dialogEditorCheckbox" value="${idx}" ${box.checked ? 'checked' : ''}>
+            ${escapeHtml(box.name)}
+          </label>`).join('') + '</div>';
+      }
+      // Existing entries get a Delete button; AIO reports deletion as -1 too
+      buttons = [{ label: dialog.isNew ? 'Cancel' : 'Delete', value: -1 }];
+      buttons.push({ label: 'Save', primary: true, collect: collectRichEditor });
+      break;
+  }
+
+  body.innerHTML = html;
+  footer.innerHTML = '';
+  buttons.forEach(button => {
+    const el = document.createElement('button');
+    el.className = button.primary ? 'btn btn-primary' : 'btn';
+    el.textContent = button.label;
+    el.addEventListener('click', () => answerWidgetDialog(button.collect ? button.collect() : button.value));
+    footer.appendChild(el);
+  });
+
+  if (dialog.type === 'list') {
+    document.querySelectorAll('#dialogList li').forEach(item => {
+      item.addEventListener('click', () => answerWidgetDialog(Number(item.dataset.index)));
+    });
+    const search = document.getElementById('dialogListSearch');
+    if (search) {
+      search.addEventListener('input', () => {
+        const query = search.value.toLowerCase();
+        document.querySelectorAll('#dialogList li').forEach(item => {
+          item.style.display = item.textContent.toLowerCase().includes(query) ? '' : 'none';
+        });
+      });
+    }
+  }
+
+  document.querySelectorAll('#widgetDialogBody .dialog-color').forEach(swatch => {
+    swatch.addEventListener('click', () => {
+      document.querySelectorAll('#widgetDialogBody .dialog-color').forEach(s => s.classList.remove('selected'));
+      swatch.classList.add('selected');
+    });
+  });
+
+  document.getElementById('widgetDialog').classList.add('show');
+  addConsoleEntry('info', `Dialog opened: ${dialog.type}${dialog.title ? ` "${dialog.title}"` : ''}`);
+}
+
+function collectRichEditor() {
+  const result = { text: document.getElementById('dialogEditorText').value };
+  const color = document.querySelector('#widgetDialogBody .dialog-color.selected');
+  if (color) {
+    result.color = Number(color.dataset.color);
+  }
+  const due = document.getElementById('dialogEditorDue');
+  if (due && due.value) {
+    result.due_date = Math.floor(new Date(due.value).getTime() / 1000);
+  }
+  const boxes = document.querySelectorAll('input[name="dialogEditorCheckbox"]');
+  if (boxes.length > 0) {
+    result.checkboxes = activeWidgetDialog.checkboxes.map((box, idx) => ({
+      name: box.name,
+      checked: boxes[idx].checked
+    }));
+  }
+  return result;
+}
+
+// Close the dialog and deliver the answer (-1 = cancelled)
+function answerWidgetDialog(value) {
+  if (!activeWidgetDialog) return;
+  activeWidgetDialog = null;
+  document.getElementById('widgetDialog').classList.remove('show');
+  executeScript('on_dialog_action', { dialogResult: { value } });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('closeWidgetDialog').addEventListener('click', () => answerWidgetDialog(-1));
+  document.getElementById('widgetDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'widgetDialog') {
+      answerWidgetDialog(-1);
+    }
+  });
+});
+
+// ============================================================================
+// System Dialogs: Calendar Events and Permission Prompts
+// ============================================================================
+
+// Dialogs the launcher draws itself; they don't reach on_dialog_action()
+function openSystemDialog(title, html, buttons) {
+  document.getElementById('systemDialogTitle').textContent = title;
+  document.getElementById('systemDialogBody').innerHTML = html;
+  const footer = document.getElementById('systemDialogFooter');
+  footer.innerHTML = '';
+  buttons.forEach(button => {
+    const el = document.createElement('button');
+    el.className = `btn ${button.primary ? 'btn-primary' : ''}`;
+    el.textContent = button.label;
+    el.addEventListener('click', () => {
+      closeSystemDialog();
+      if (button.action) button.action();
+    });
+    footer.appendChild(el);
+  });
+  document.getElementById('systemDialog').classList.add('show');
+}
+
+function closeSystemDialog() {
+  document.getElementById('systemDialog').classList.remove('show');
+}
+
+function formatEventTime(event) {
+  const begin = new Date(event.begin * 1000);
+  if (event.all_day) {
+    return `${begin.toLocaleDateString()} · All day`;
+  }
+  const end = new Date(event.end * 1000);
+  const sameDay = begin.toDateString() === end.toDateString();
+  return `${begin.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })} – ${sameDay
+    ? end.toLocaleTimeString([], { timeStyle: 'short' })
+    : end.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`;
+}
+
+// calendar:show_event_dialog() opens the event; the rest is logged
+function showCalendarAction(action) {
+  const event = action.event;
+  switch (action.type) {
+    case 'event_dialog':
+      openSystemDialog(event.title || '(No title)', `
+        <div class="event-dialog">
+          <div class="event-row"><span class="event-color" style="background: ${escapeAttr(event.color)}"></span>${escapeHtml(formatEventTime(event))}</div>
+          ${event.location ? `<div class="event-row">📍 ${escapeHtml(event.location)}</div>` : ''}
+          ${event.description ? `<div class="event-description">${escapeHtml(event.description)}</div>` : ''}
+          <div class="event-row event-meta">${escapeHtml(event.calendar_name)}${event.status ? ` · ${escapeHtml(event.status)}` : ''}</div>
+        </div>`, [{ label: 'Close', primary: true }]);
+      addConsoleEntry('info', `Event dialog: "${event.title}"`);
+      break;
+    case 'open_event':
+      addConsoleEntry('info', `Calendar app opened at "${event.title}" (${formatEventTime(event)})`);
+      break;
+    case 'new_event':
+      addConsoleEntry('info', `Calendar app: new event ${formatEventTime({ begin: action.begin, end: action.end })}`);
+      break;
+    case 'add_event':
+      addConsoleEntry('success', `Event added to ${event.calendar_name}: "${event.title}" (${formatEventTime(event)})`);
+      break;
+  }
+}
+
+// <module>:request_permission(); allowing runs on_permission_granted()
+function openPermissionPrompt(request) {
+  const answer = granted => executeScript(null, { permissionResult: { granted } });
+  openSystemDialog('Permission request', `
+    <div class="dialog-text">Allow AIO Launcher to access your <strong>${escapeHtml(request.permission)}</strong>?</div>`, [
+    { label: 'Deny', action: () => answer(false) },
+    { label: 'Allow', primary: true, action: () => answer(true) }
+  ]);
+  addConsoleEntry('info', `Permission requested: ${request.permission}`);
+}
+
+// Permission switches in Settings; the server keeps the state
+async function loadPermissionSettings() {
+  const container = document.getElementById('settingPermissions');
+  try {
+    const permissions = await (await fetch('/api/permissions')).json();
+    container.innerHTML = Object.entries(permissions).map(([name, allowed]) => `
+      <label class="dialog-option">
+        <input type="checkbox" data-permission="${escapeAttr(name)}" ${allowed ? 'checked' : ''}>
+        <span>${escapeHtml(name)}</span>
+      </label>`).join('');
+  } catch (error) {
+    container.textContent = 'Could not load permissions';
+  }
+}
+
+async function savePermissionSettings() {
+  const body = {};
+  document.querySelectorAll('#settingPermissions input[data-permission]').forEach(input => {
+    body[input.dataset.permission] = input.checked;
+  });
+  if (Object.keys(body).length === 0) return;
+  await fetch('/api/permissions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('closeSystemDialog').addEventListener('click', closeSystemDialog);
+  document.getElementById('systemDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'systemDialog') {
+      closeSystemDialog();
+    }
+  });
+});
+
 // ============================================================================
 // Output Display
 // ============================================================================
 
-function displayOutput(output) {
+function displayOutput(output, layout = null) {
   const container = document.getElementById('widgetOutput');
 
+  if (layout) {
+    renderLayout(container, layout);
+    return;
+  }
+
   if (!output || (typeof output === 'string' && output.trim() === '')) {
     container.innerHTML = `
       <div class="widget-placeholder">
@@ -282,6 +798,388 @@ function displayError(error) {
   `;
 }
 
+// ============================================================================
+// Widget Folding
+// ============================================================================
+
+// Foldable widgets (the default) get a fold arrow; ui:set_expandable() adds
+// an expand arrow. The state lives in the server session.
+function setFoldControls(state, metadata) {
+  foldState = state;
+  const controls = document.getElementById('widgetFoldControls');
+  const foldable = !!(state && state.foldable);
+  const expandable = !!(state && state.expandable && !state.folded);
+  controls.classList.toggle('hidden', !foldable && !expandable);
+  document.querySelector('.widget-card').classList.toggle('folded', !!(state && state.folded));
+
+  const foldBtn = document.getElementById('foldToggle');
+  foldBtn.classList.toggle('hidden', !foldable);
+  foldBtn.classList.toggle('active', !!(state && state.folded));
+  foldBtn.title = state && state.folded
+    ? 'Unfold widget'
+    : `Fold widget${metadata && metadata.onResumeWhenFolding ? ' (calls on_resume())' : ''}`;
+
+  const expandBtn = document.getElementById('expandToggle');
+  expandBtn.classList.toggle('hidden', !expandable);
+  expandBtn.classList.toggle('active', !!(state && state.expanded));
+  expandBtn.title = state && state.expanded ? 'Collapse widget (calls on_resume())' : 'Expand widget (calls on_resume())';
+}
+
+// Without on_resume_when_folding the launcher shows one line: the `folded`
+// argument of ui:show_lines() or the first line of the output. Tapping the
+// folded line calls on_click(0).
+function displayFolded(output, foldedText) {
+  const container = document.getElementById('widgetOutput');
+  const lines = Array.isArray(output) ? output.map(String) : String(output || '').split('\n');
+  const firstLine = lines.find(line => line.trim() !== '') || '';
+  const line = document.createElement('div');
+  line.className = 'widget-folded-line';
+  line.innerHTML = formatWidgetHtml(foldedText !== null && foldedText !== undefined ? foldedText : firstLine);
+  line.addEventListener('click', () => executeScript('on_click', { args: [0] }));
+  container.innerHTML = '';
+  container.appendChild(line);
+}
+
+function toggleFold() {
+  if (!foldState) return;
+  executeScript(null, { fold: { folded: !foldState.folded } });
+}
+
+function toggleExpand() {
+  if (!foldState) return;
+  executeScript(null, { fold: { expanded: !foldState.expanded } });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('foldToggle').addEventListener('click', toggleFold);
+  document.getElementById('expandToggle').addEventListener('click', toggleExpand);
+});
+
+// ============================================================================
+// Mock Scenarios
+// ============================================================================
+
+// Version 2 mock files can define scenarios; the picker appears once the
+// server has loaded a file that has any. The tooltip shows the mock state.
+function setScenarioPicker(mocks) {
+  const select = document.getElementById('mockScenarioSelect');
+  const scenarios = mocks ? mocks.scenarios : [];
+  select.classList.toggle('hidden', scenarios.length === 0);
+  if (scenarios.length === 0) return;
+
+  select.innerHTML = '<option value="">No Scenario</option>';
+  scenarios.forEach(scenario => {
+    const option = document.createElement('option');
+    option.value = scenario.name;
+    option.textContent = scenario.name;
+    option.title = scenario.description;
+    select.appendChild(option);
+  });
+  select.value = mocks.active || '';
+  select.title = `Mock scenario\nState: ${JSON.stringify(mocks.state)}`;
+}
+
+// Switching resets sequences and mock state on the server
+async function switchScenario(name) {
+  try {
+    const response = await fetch('/api/mocks/scenario', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name || null })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+    setScenarioPicker(result);
+    addConsoleEntry('info', `Mock scenario: ${name || '(none)'}`);
+    if (autoResumeEnabled) {
+      executeScript();
+    }
+  } catch (error) {
+    addConsoleEntry('error', `Failed to switch scenario: ${error.message}`);
+    showToast('Failed to switch scenario', 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('mockScenarioSelect').addEventListener('change', (e) => {
+    switchScenario(e.target.value);
+  });
+});
+
+// ============================================================================
+// Rich GUI Layout (gui{} / ui:build)
+// ============================================================================
+
+// Widget text allows a small HTML subset, like AIO's TextView
+function formatWidgetHtml(text) {
+  return escapeHtml(text)
+    .replace(/&lt;(\/?)(b|i|u|s|br|small|big|sub|sup)\s*\/?&gt;/gi, '<$1$2>')
+    .replace(/&lt;font\s+color=["']?(#?\w+)["']?\s*&gt;/gi, '<span style="color: $1">')
+    .replace(/&lt;\/font&gt;/gi, '</span>');
+}
+
+// "fa:name" (or "fa:style:name") becomes a Font Awesome icon, URLs an image
+function renderIcon(value) {
+  if (value.startsWith('fa:')) {
+    const parts = value.split(':');
+    const style = parts.length > 2 ? parts[1] : 'solid';
+    return `<i class="fa-${escapeAttr(style)} fa-${escapeAttr(parts[parts.length - 1])}"></i>`;
+  }
+  if (value.startsWith('app:')) {
+    return `<i class="fa-brands fa-android" title="${escapeAttr(value.slice(4))}"></i>`;
+  }
+  if (/^(https?:|data:image\/)/.test(value)) {
+    return `<img src="${escapeAttr(value)}" alt="">`;
+  }
+  return '<i class="fa-solid fa-square"></i>';
+}
+
+function renderLayoutNode(node) {
+  const el = document.createElement(node.type === 'button' ? 'button' : 'div');
+  el.className = `gui-${node.type}`;
+
+  switch (node.type) {
+    case 'spacer':
+      el.style.width = `${node.width * 4}px`;
+      return el;
+    case 'text':
+      el.innerHTML = formatWidgetHtml(node.value);
+      if (node.color) el.style.color = node.color;
+      break;
+    case 'button':
+      el.innerHTML = node.value.startsWith('fa:') ? renderIcon(node.value) : formatWidgetHtml(node.value);
+      if (node.color) el.style.background = node.color;
+      break;
+    case 'icon':
+      el.innerHTML = renderIcon(node.value);
+      if (node.color) el.style.color = node.color;
+      break;
+    case 'progress':
+      el.innerHTML = `
+        <div class="gui-progress-bar" style="width: ${node.progress}%; ${node.color ? `background: ${escapeAttr(node.color)}` : ''}"></div>
+        <span>${formatWidgetHtml(node.value)}</span>`;
+      break;
+    case 'builtin':
+      el.textContent = `${node.name}${node.args.length ? ' ' + node.args.join(' ') : ''}`;
+      el.title = 'Built-in AIO element (not emulated)';
+      break;
+  }
+
+  if (node.size) {
+    el.style.fontSize = `${node.size}px`;
+  }
+  if (node.expand) {
+    el.classList.add('expand');
+  }
+
+  const gravity = node.gravity || [];
+  if (gravity.includes('center_v')) el.style.alignSelf = 'center';
+  else if (gravity.includes('bottom')) el.style.alignSelf = 'flex-end';
+  if (gravity.includes('right')) el.classList.add('gravity-right');
+
+  // AIO reports the element's position in the gui{} list
+  if (node.index !== null && node.index !== undefined) {
+    el.classList.add('clickable');
+    el.addEventListener('click', () => executeScript('on_click', { args: [node.index] }));
+    el.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      executeScript('on_long_click', { args: [node.index] });
+    });
+  }
+  return el;
+}
+
+function renderLayout(container, layout) {
+  container.innerHTML = '';
+  const root = document.createElement('div');
+  root.className = `gui-layout gui-${layout.source}`;
+
+  layout.rows.forEach(row => {
+    const rowEl = document.createElement('div');
+    rowEl.className = 'gui-row';
+    rowEl.style.marginTop = `${row.gap * 4}px`;
+    if (row.elements.some(node => (node.gravity || []).includes('center_h'))) {
+      rowEl.style.justifyContent = 'center';
+    }
+
+    // Only the first right-aligned element takes the free space; the ones after it follow
+    let pushedRight = false;
+    row.elements.forEach(node => {
+      const el = renderLayoutNode(node);
+      if (el.classList.contains('gravity-right')) {
+        el.classList.remove('gravity-right');
+        if (!pushedRight) {
+          el.style.marginLeft = 'auto';
+          pushedRight = true;
+        }
+      }
+      rowEl.appendChild(el);
+    });
+    root.appendChild(rowEl);
+  });
+
+  container.appendChild(root);
+}
+
+// ============================================================================
+// Side Drawer (drawer scripts)
+// ============================================================================
+
+function setDrawerMode(enabled) {
+  document.getElementById('drawerToggle').classList.toggle('hidden', !enabled);
+  if (!enabled) {
+    document.getElementById('sideDrawer').classList.remove('open');
+  }
+}
+
+// The launcher calls on_drawer_open() every time the side menu opens
+function openSideDrawer() {
+  executeScript('on_drawer_open');
+}
+
+function closeSideDrawer() {
+  document.getElementById('sideDrawer').classList.remove('open');
+}
+
+// The panel opens only from on_drawer_open(); drawer:close() closes it
+function renderDrawer(state, opening = false) {
+  const panel = document.getElementById('sideDrawer');
+  const body = document.getElementById('sideDrawerBody');
+  const buttons = document.getElementById('sideDrawerButtons');
+  if (!state.open) {
+    panel.classList.remove('open');
+  } else if (opening) {
+    panel.classList.add('open');
+  }
+  body.innerHTML = '';
+  buttons.innerHTML = '';
+
+  if (state.mode === 'view') {
+    body.innerHTML = `<div class="drawer-view">Built-in view: <strong>${escapeHtml(state.view)}</strong></div>`;
+  }
+
+  let lastLetter = null;
+  state.items.forEach((item, idx) => {
+    // show_list(..., show_alphabet) groups items by first letter
+    const label = item.replace(/<[^>]*>/g, '');
+    if (state.alphabet && label[0] && label[0].toUpperCase() !== lastLetter) {
+      lastLetter = label[0].toUpperCase();
+      const letter = document.createElement('div');
+      letter.className = 'drawer-letter';
+      letter.textContent = lastLetter;
+      body.appendChild(letter);
+    }
+
+    const el = document.createElement('div');
+    el.className = `drawer-item ${state.mode === 'ext_list' ? 'ext' : ''}`;
+    const icon = state.icons[idx] ? renderIcon(state.icons[idx]) : '';
+    const badge = state.badges[idx] ? `<span class="drawer-badge">${escapeHtml(state.badges[idx])}</span>` : '';
+    el.innerHTML = `${icon}<span class="drawer-label">${formatWidgetHtml(item)}</span>${badge}`;
+    if (state.maxLines > 0) {
+      el.querySelector('.drawer-label').style.webkitLineClamp = state.maxLines;
+    }
+    el.addEventListener('click', () => executeScript('on_click', { args: [idx + 1] }));
+    el.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      executeScript('on_long_click', { args: [idx + 1] });
+    });
+    body.appendChild(el);
+  });
+
+  state.buttons.forEach((icon, idx) => {
+    const button = document.createElement('button');
+    button.className = state.activeButton === idx + 1 ? 'active' : '';
+    button.innerHTML = renderIcon(icon);
+    button.addEventListener('click', () => executeScript('on_button_click', { args: [idx + 1] }));
+    buttons.appendChild(button);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('drawerToggle').addEventListener('click', openSideDrawer);
+  document.getElementById('closeDrawerBtn').addEventListener('click', closeSideDrawer);
+});
+
+// ============================================================================
+// Launcher Search (search scripts)
+// ============================================================================
+
+let searchDebounce = null;
+
+function setSearchMode(enabled) {
+  document.getElementById('launcherSearch').classList.toggle('hidden', !enabled);
+}
+
+// AIO calls on_search() as the user types
+function runSearch(query) {
+  executeScript('on_search', { args: [query] });
+}
+
+function displaySearchResults(results) {
+  const container = document.getElementById('widgetOutput');
+
+  if (!results || results.items.length === 0) {
+    container.innerHTML = `
+      <div class="widget-placeholder">
+        <p>${document.getElementById('searchInput').value ? 'No results' : 'Type in the search bar to call on_search()'}</p>
+      </div>
+    `;
+    return;
+  }
+
+  const list = document.createElement('div');
+  list.className = `search-results ${results.type}`;
+
+  results.items.forEach((item, idx) => {
+    const color = results.colors && results.colors[idx];
+    let el;
+    if (results.type === 'buttons') {
+      el = renderLayoutNode({ type: 'button', value: item, color });
+    } else if (results.type === 'progress') {
+      el = renderLayoutNode({ type: 'progress', value: item.text, progress: item.progress, color });
+    } else if (results.type === 'chart') {
+      // A chart is a single result; show its points as a compact table
+      if (idx > 0) return;
+      el = document.createElement('div');
+      el.innerHTML = `<strong>${escapeHtml(results.title || 'Chart')}</strong> <small>${escapeHtml(results.format)}</small>` +
+        results.items.map(point => `<div>${point.map(v => escapeHtml(v)).join(' → ')}</div>`).join('');
+    } else {
+      el = document.createElement('div');
+      el.className = 'search-line';
+      el.innerHTML = formatWidgetHtml(item);
+      if (color) el.style.color = color;
+    }
+
+    el.classList.add('search-result');
+    el.addEventListener('click', () => executeScript('on_click', { args: [idx + 1] }));
+    el.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      executeScript('on_long_click', { args: [idx + 1] });
+    });
+    list.appendChild(el);
+  });
+
+  container.innerHTML = '';
+  container.appendChild(list);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const input = document.getElementById('searchInput');
+  input.addEventListener('input', () => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(() => runSearch(input.value), 300);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      clearTimeout(searchDebounce);
+      runSearch(input.value);
+    }
+  });
+});
+
+
 // ============================================================================
 // HTTP Log Display
 // ============================================================================
@@ -327,7 +1225,7 @@ function addHttpLogEntry(log) {
     `;
   } else if (log.type === 'error') {
     headerContent = `
-      <span class="http-status error">${log.type || 'ERROR'}</span>
+      <span class="http-status error">${escapeHtml(log.errorType || 'ERROR')}</span>
       <span class="http-url">${escapeHtml(log.message || 'Unknown error')}</span>
       <span class="http-time">${time}</span>
     `;
@@ -395,6 +1293,10 @@ function buildHttpBody(log) {
     html += buildSection('Duration', `${log.duration || 0}ms`);
     html += buildSection('Mode', log.mode || 'UNKNOWN');
 
+    if (log.fault) {
+      html += buildSection('Injected Faults', log.fault.join('\n'));
+    }
+
     if (log.headers && Object.keys(log.headers).length > 0) {
       html += buildSection('Response Headers', JSON.stringify(log.headers, null, 2));
     }
@@ -408,9 +1310,13 @@ function buildHttpBody(log) {
 
   } else if (log.type === 'error') {
     // Error details
-    html += buildSection('Error Type', log.type || 'UNKNOWN');
+    html += buildSection('Error Type', log.errorType || 'UNKNOWN');
     html += buildSection('Message', log.message || 'Unknown error');
 
+    if (log.fault) {
+      html += buildSection('Injected Faults', log.fault.join('\n'));
+    }
+
     if (log.url) {
       html += buildSection('Request URL', log.url);
     }
@@ -451,28 +1357,395 @@ function buildHttpBody(log) {
     }
   }
 
-  return html;
-}
+  return html;
+}
+
+function buildSection(title, content) {
+  return `
+    <div class="http-section">
+      <div class="http-section-title">${escapeHtml(title)}</div>
+      <div class="http-section-content"><pre>${escapeHtml(content || '')}</pre></div>
+    </div>
+  `;
+}
+
+function updateHttpBadge() {
+  document.getElementById('httpBadge').textContent = httpRequestCount;
+}
+
+function updateStatusBar() {
+  document.getElementById('errorCount').textContent =
+    `${httpErrorCount} error${httpErrorCount !== 1 ? 's' : ''}`;
+  document.getElementById('requestCount').textContent =
+    `${httpRequestCount} request${httpRequestCount !== 1 ? 's' : ''}`;
+}
+
+// ============================================================================
+// Virtual Clock: on_tick / on_alarm
+// ============================================================================
+
+// The server's virtual clock (os.time / os.date) and the loop that delivers
+// the timer callbacks while it runs. Each beat the server runs the ticks and
+// alarm that fell due, so at 60× a beat brings 60 on_tick() calls.
+let clockState = null;  // { mode, speed, time, offset } from the server
+let clockReceivedAt = 0;  // When clockState arrived, to move the display along
+let clockLoop = null;  // Beat interval while the clock runs
+
+function clockRate(state) {
+  if (state.mode === 'paused') return 0;
+  return state.mode === 'accelerated' ? state.speed : 1;
+}
+
+function showClock(state) {
+  clockState = state;
+  clockReceivedAt = Date.now();
+  renderClock();
+}
+
+function renderClock() {
+  if (!clockState) return;
+  const time = new Date(clockState.time + (Date.now() - clockReceivedAt) * clockRate(clockState));
+  const today = time.toDateString() === new Date().toDateString();
+  document.getElementById('clockTime').textContent = today ? time.toLocaleTimeString() : time.toLocaleString();
+
+  const controls = document.getElementById('clockControls');
+  controls.classList.toggle('running', clockLoop !== null);
+  controls.classList.toggle('shifted', clockState.mode !== 'realtime' || Math.abs(clockState.offset) > 2000);
+}
+
+async function postClock(body) {
+  const response = await fetch('/api/clock', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error);
+  }
+  showClock(result);
+  return result;
+}
+
+// Clock mode for the speed picker: 1× is real time
+function clockModeForSpeed() {
+  const speed = Number(document.getElementById('clockSpeedSelect').value);
+  return speed === 1 ? { mode: 'realtime' } : { mode: 'accelerated', speed };
+}
+
+function setClockRunning(running) {
+  if (!running) {
+    clearInterval(clockLoop);
+    clockLoop = null;
+  }
+  const button = document.getElementById('clockPlayBtn');
+  button.querySelector('.clock-play-icon').classList.toggle('hidden', running);
+  button.querySelector('.clock-pause-icon').classList.toggle('hidden', !running);
+  button.title = running
+    ? 'Pause the clock'
+    : 'Run the clock: on_tick() every second, on_alarm() every 30 minutes';
+  renderClock();
+}
+
+// One beat: skipped while another callback is still running
+function clockBeat() {
+  if (executionsInFlight === 0) {
+    executeScript(null, sessionId ? { timers: true } : {});
+  }
+}
+
+async function playClock() {
+  try {
+    await postClock(clockModeForSpeed());
+  } catch (error) {
+    addConsoleEntry('error', `Clock: ${error.message}`);
+    return;
+  }
+  clearInterval(clockLoop);
+  clockLoop = setInterval(clockBeat, 1000);
+  setClockRunning(true);
+  addConsoleEntry('info', `Clock running (${document.getElementById('clockSpeedSelect').value}×): on_tick() every second, on_alarm() every 30 minutes`);
+}
+
+async function pauseClock() {
+  setClockRunning(false);
+  try {
+    await postClock({ mode: 'paused' });
+  } catch (error) {
+    addConsoleEntry('error', `Clock: ${error.message}`);
+  }
+}
+
+// Pause, move the clock by the step and run what fell due
+async function stepClock() {
+  setClockRunning(false);
+  const step = Number(document.getElementById('clockStepSelect').value);
+  try {
+    await postClock({ mode: 'paused', step });
+  } catch (error) {
+    addConsoleEntry('error', `Clock: ${error.message}`);
+    return;
+  }
+  await executeScript(null, sessionId ? { timers: true } : {});
+}
+
+async function resetClockToNow() {
+  try {
+    await postClock({ reset: true, ...(clockLoop ? clockModeForSpeed() : {}) });
+    addConsoleEntry('info', 'Clock back to the real time');
+  } catch (error) {
+    addConsoleEntry('error', `Clock: ${error.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  fetch('/api/clock')
+    .then(response => response.json())
+    .then(showClock)
+    .catch(error => console.error('Failed to load the clock:', error));
+  setInterval(renderClock, 1000);
+
+  document.getElementById('clockPlayBtn').addEventListener('click', () => {
+    if (clockLoop) {
+      pauseClock();
+    } else {
+      playClock();
+    }
+  });
+  document.getElementById('clockStepBtn').addEventListener('click', stepClock);
+  document.getElementById('clockNowBtn').addEventListener('click', resetClockToNow);
+  document.getElementById('clockSpeedSelect').addEventListener('change', () => {
+    if (clockLoop) {
+      postClock(clockModeForSpeed()).catch(error => addConsoleEntry('error', `Clock: ${error.message}`));
+    }
+  });
+});
+
+// ============================================================================
+// HTTP Runs: HAR Export/Import and Diff
+// ============================================================================
+
+// HTTP logs of recent runs (and imported HAR captures), newest last
+const httpRuns = [];
+const MAX_HTTP_RUNS = 10;
+let nextHttpRunId = 1;
+
+function addHttpRun(label, logs) {
+  const time = new Date().toLocaleTimeString();
+  httpRuns.push({ id: String(nextHttpRunId++), label: `${label} · ${time}`, logs });
+  while (httpRuns.length > MAX_HTTP_RUNS) {
+    httpRuns.shift();
+  }
+  refreshHttpRunSelects();
+}
+
+function getHttpRun(id) {
+  return httpRuns.find(run => run.id === id) || null;
+}
+
+function refreshHttpRunSelects() {
+  const runSelect = document.getElementById('httpRunSelect');
+  const compareSelect = document.getElementById('httpCompareSelect');
+  const compared = compareSelect.value;
+  const newest = [...httpRuns].reverse();
+
+  runSelect.innerHTML = newest.length > 0 ? '' : '<option value="">No runs yet</option>';
+  compareSelect.innerHTML = '<option value="">Compare with…</option>';
+  newest.forEach(run => {
+    [runSelect, compareSelect].forEach(select => {
+      const option = document.createElement('option');
+      option.value = run.id;
+      option.textContent = run.label;
+      select.appendChild(option);
+    });
+  });
+
+  // The newest run is selected; keep comparing with the same run
+  if (getHttpRun(compared)) {
+    compareSelect.value = compared;
+  }
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function exportHar() {
+  const run = getHttpRun(document.getElementById('httpRunSelect').value);
+  if (!run) {
+    showToast('Run the script first', 'warning');
+    return;
+  }
+
+  const widget = document.getElementById('widgetSelect').value.split(/[/\\]/).pop().replace(/\.lua$/, '') || 'widget';
+  try {
+    const response = await fetch('/api/har/export', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ logs: run.logs, comment: `${widget}: ${run.label}` })
+    });
+    const har = await response.json();
+    if (!response.ok) {
+      throw new Error(har.error || 'Export failed');
+    }
+    downloadJson(har, `${widget}-${new Date().toISOString().replace(/[:.]/g, '-')}.har`);
+    addConsoleEntry('success', `Exported ${har.log.entries.length} request(s) as HAR`);
+  } catch (error) {
+    addConsoleEntry('error', `HAR export failed: ${error.message}`);
+    showToast('HAR export failed', 'error');
+  }
+}
+
+// A browser capture is shown in the HTTP tab as a run; with a name it also
+// becomes a mock file (redacted like a recording)
+async function importHar(file) {
+  let har;
+  try {
+    har = JSON.parse(await file.text());
+  } catch (error) {
+    showToast('Not a HAR (JSON) file', 'error');
+    return;
+  }
+
+  const name = prompt('Save as mock file (mocks/<name>.json), or leave empty to only show the requests:',
+    file.name.replace(/\.(har|json)$/, ''));
+  if (name === null) return;
+
+  const request = { har, name: name.trim() || null };
+  try {
+    let response = await fetch('/api/har/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    let result = await response.json();
+    if (response.status === 409 && confirm(`${result.error}. Overwrite it?`)) {
+      response = await fetch('/api/har/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...request, overwrite: true })
+      });
+      result = await response.json();
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Import failed');
+    }
+
+    clearHttpLogEmpty();
+    result.logs.forEach(log => addHttpLogEntry(log));
+    addHttpRun(`HAR ${file.name}`, result.logs);
+
+    if (result.file) {
+      addConsoleEntry('success', `Imported ${file.name} into mocks/${result.file}: ${result.rules} rule(s) from ${result.entries} request(s), ${result.skipped} skipped`);
+      await loadMocks();
+      document.getElementById('mockSelect').value = result.file;
+      showToast(`Mock file ${result.file} created`, 'success');
+    } else {
+      addConsoleEntry('info', `Loaded ${file.name} into the HTTP log`);
+    }
+  } catch (error) {
+    addConsoleEntry('error', `HAR import failed: ${error.message}`);
+    showToast('HAR import failed', 'error');
+  }
+}
+
+// Outcomes per "METHOD url" of a run: status codes or error types, in order
+function summarizeHttpRun(run) {
+  const outcomes = new Map();
+  const requests = new Map();
+  run.logs.forEach(log => {
+    if (log.type === 'request') {
+      requests.set(log.id, `${(log.method || 'GET').toUpperCase()} ${log.url}`);
+    }
+  });
+  run.logs.forEach(log => {
+    const key = requests.get(log.id);
+    if (!key || log.type === 'request') return;
+    // A response with an error entry (HTTP 4xx/5xx) counts once, by status
+    if (log.type === 'error' && run.logs.some(other => other.id === log.id && other.type === 'response')) return;
+    if (!outcomes.has(key)) outcomes.set(key, []);
+    outcomes.get(key).push(log.type === 'response' ? String(log.status) : (log.errorType || 'ERROR'));
+  });
+  requests.forEach(key => {
+    if (!outcomes.has(key)) outcomes.set(key, ['pending']);
+  });
+  return outcomes;
+}
+
+function diffHttpRuns(base, other) {
+  const before = summarizeHttpRun(base);
+  const after = summarizeHttpRun(other);
+  const rows = [];
+  before.forEach((outcome, key) => {
+    if (!after.has(key)) {
+      rows.push({ kind: 'removed', key, before: outcome });
+    } else if (after.get(key).join(',') !== outcome.join(',')) {
+      rows.push({ kind: 'changed', key, before: outcome, after: after.get(key) });
+    }
+  });
+  after.forEach((outcome, key) => {
+    if (!before.has(key)) {
+      rows.push({ kind: 'added', key, after: outcome });
+    }
+  });
+  return { rows, same: [...before.keys()].filter(key => after.has(key)).length - rows.filter(row => row.kind === 'changed').length };
+}
+
+function showHttpDiff() {
+  const base = getHttpRun(document.getElementById('httpCompareSelect').value);
+  const other = getHttpRun(document.getElementById('httpRunSelect').value);
+  if (!base || !other || base === other) {
+    showToast('Pick two different runs to compare', 'warning');
+    return;
+  }
+
+  const { rows, same } = diffHttpRuns(base, other);
+  const marks = { added: '+', removed: '−', changed: '~' };
+  const describe = row => row.kind === 'changed'
+    ? `${row.before.join(', ')} → ${row.after.join(', ')}`
+    : (row.before || row.after).join(', ');
 
-function buildSection(title, content) {
-  return `
-    <div class="http-section">
-      <div class="http-section-title">${escapeHtml(title)}</div>
-      <div class="http-section-content"><pre>${escapeHtml(content || '')}</pre></div>
+  const container = document.getElementById('httpDiff');
+  container.innerHTML = `
+    <div class="http-diff-header">
+      <span>${escapeHtml(base.label)} → ${escapeHtml(other.label)}: ${same} unchanged</span>
+      <button class="btn btn-xs" id="closeHttpDiffBtn">Close</button>
     </div>
+    ${rows.length === 0 ? '<div class="http-diff-empty">Both runs made the same requests with the same results</div>' : ''}
+    ${rows.map(row => {
+      const [method, ...url] = row.key.split(' ');
+      return `
+        <div class="http-diff-row ${row.kind}">
+          <span class="http-diff-mark">${marks[row.kind]}</span>
+          <span class="http-method ${method.toLowerCase()}">${escapeHtml(method)}</span>
+          <span class="http-url">${escapeHtml(url.join(' '))}</span>
+          <span class="http-duration">${escapeHtml(describe(row))}</span>
+        </div>
+      `;
+    }).join('')}
   `;
+  container.classList.remove('hidden');
+  document.getElementById('closeHttpDiffBtn').addEventListener('click', () => container.classList.add('hidden'));
 }
 
-function updateHttpBadge() {
-  document.getElementById('httpBadge').textContent = httpRequestCount;
-}
-
-function updateStatusBar() {
-  document.getElementById('errorCount').textContent =
-    `${httpErrorCount} error${httpErrorCount !== 1 ? 's' : ''}`;
-  document.getElementById('requestCount').textContent =
-    `${httpRequestCount} request${httpRequestCount !== 1 ? 's' : ''}`;
-}
+document.addEventListener('DOMContentLoaded', () => {
+  const fileInput = document.getElementById('harFileInput');
+  document.getElementById('exportHarBtn').addEventListener('click', exportHar);
+  document.getElementById('importHarBtn').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      importHar(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+  document.getElementById('diffRunsBtn').addEventListener('click', showHttpDiff);
+});
 
 // ============================================================================
 // Console Log
@@ -557,6 +1830,550 @@ async function clearStorage() {
   }
 }
 
+// ============================================================================
+// Tasks & Notes View
+// ============================================================================
+
+const NOTE_COLORS = ['#E57373', '#FFB74D', '#FFF176', '#81C784', '#64B5F6', '#FFFFFF'];
+
+function organizerStore() {
+  return document.getElementById('organizerStoreSelect').value;
+}
+
+// "Now" on the virtual clock, for overdue marks and completion times
+function virtualSeconds() {
+  const ms = clockState ? clockState.time + (Date.now() - clockReceivedAt) * clockRate(clockState) : Date.now();
+  return Math.floor(ms / 1000);
+}
+
+function formatTaskDue(seconds) {
+  return new Date(seconds * 1000).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Seconds as the value of a datetime-local input
+function toDateTimeInput(seconds) {
+  const date = new Date(seconds * 1000);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Rows in the order the script gets them, so "Click" matches on_*_click(idx)
+async function refreshOrganizer() {
+  const store = organizerStore();
+  const view = document.getElementById('organizerView');
+  try {
+    const items = await (await fetch(`/api/${store}`)).json();
+    if (items.length === 0) {
+      view.innerHTML = `
+        <div class="log-empty">
+          <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
+            <polyline points="9 11 12 14 22 4"/>
+            <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/>
+          </svg>
+          <span>No ${store} yet</span>
+          <small>Use ${store}:add() in your script or load sample data</small>
+        </div>
+      `;
+      return;
+    }
+
+    const now = virtualSeconds();
+    view.innerHTML = items.map((item, idx) => {
+      const meta = store === 'tasks'
+        ? `${item.completed_date > 0 ? 'done' : (item.due_date < now ? 'overdue' : 'due')} ${formatTaskDue(item.due_date)}${item.high_priority ? ' · high priority' : ''}${item.icon ? ` · ${item.icon}` : ''}`
+        : `color ${item.color}`;
+      const mark = store === 'tasks'
+        ? `<input type="checkbox" data-complete="${item.id}" ${item.completed_date > 0 ? 'checked' : ''} title="Completed">`
+        : `<span class="event-color" style="background: ${NOTE_COLORS[item.color - 1] || 'var(--text-muted)'}"></span>`;
+      return `
+        <div class="storage-item organizer-item">
+          ${mark}
+          <span class="storage-key">${item.id}</span>
+          <span class="organizer-text ${item.completed_date > 0 ? 'done' : ''}">${escapeHtml(item.text)}<small>${escapeHtml(meta)}</small></span>
+          <button class="btn btn-xs" data-click="${idx + 1}" title="Run on_${store === 'tasks' ? 'task' : 'note'}_click(${idx + 1})">Click</button>
+          <button class="btn btn-xs" data-edit="${item.id}">Edit</button>
+          <button class="btn btn-xs btn-danger" data-remove="${item.id}" title="Remove">✕</button>
+        </div>
+      `;
+    }).join('');
+
+    view.querySelectorAll('[data-complete]').forEach(input => input.addEventListener('change', () =>
+      saveOrganizerItem('tasks', { id: Number(input.dataset.complete), completed_date: input.checked ? virtualSeconds() : 0 })));
+    view.querySelectorAll('[data-click]').forEach(button => button.addEventListener('click', () => {
+      if (!sessionId) {
+        addConsoleEntry('warning', 'Run the script first');
+        return;
+      }
+      executeScript(store === 'tasks' ? 'on_task_click' : 'on_note_click', { args: [Number(button.dataset.click)] });
+    }));
+    view.querySelectorAll('[data-edit]').forEach(button => button.addEventListener('click', () =>
+      openOrganizerEditor(store, items.find(item => String(item.id) === button.dataset.edit))));
+    view.querySelectorAll('[data-remove]').forEach(button => button.addEventListener('click', () =>
+      organizerRequest(`/api/${store}/${button.dataset.remove}`, 'DELETE')));
+  } catch (error) {
+    console.error(`Failed to load ${store}:`, error);
+  }
+}
+
+async function organizerRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      addConsoleEntry('error', result.error);
+    }
+    refreshOrganizer();
+    return result;
+  } catch (error) {
+    addConsoleEntry('error', `Tasks & notes: ${error.message}`);
+  }
+}
+
+async function saveOrganizerItem(store, item) {
+  const saved = await organizerRequest(`/api/${store}`, 'POST', item);
+  if (saved && saved.id) {
+    addConsoleEntry('success', `Saved ${store === 'tasks' ? 'task' : 'note'} ${saved.id}: "${saved.text}"`);
+  }
+}
+
+// The launcher's editor (tasks:show_editor / notes:show_editor, or the panel);
+// saving does not call the script back
+function openOrganizerEditor(store, item) {
+  const isTask = store === 'tasks';
+  const fields = isTask ? `
+    <label class="settings-field"><span>Due</span>
+      <input type="datetime-local" id="organizerDue" value="${item ? toDateTimeInput(item.due_date) : ''}">
+    </label>
+    <label class="dialog-option"><input type="checkbox" id="organizerPriority" ${item && item.high_priority ? 'checked' : ''}> High priority</label>
+    <label class="dialog-option"><input type="checkbox" id="organizerNotify" ${item && item.notification ? 'checked' : ''}> Notification</label>
+    <label class="dialog-option"><input type="checkbox" id="organizerDone" ${item && item.completed_date > 0 ? 'checked' : ''}> Completed</label>` : `
+    <div class="dialog-options">${NOTE_COLORS.map((color, idx) => `
+      <label class="dialog-option">
+        <input type="radio" name="organizerColor" value="${idx + 1}" ${(item ? item.color : 6) === idx + 1 ? 'checked' : ''}>
+        <span class="event-color" style="background: ${color}"></span>${idx + 1 === 6 ? 'Default' : `Color ${idx + 1}`}
+      </label>`).join('')}
+    </div>`;
+
+  openSystemDialog(`${item ? 'Edit' : 'New'} ${isTask ? 'task' : 'note'}`, `
+    <textarea class="dialog-textarea" id="organizerText">${escapeHtml(item ? item.text : '')}</textarea>
+    ${fields}`, [
+    { label: 'Cancel' },
+    { label: 'Save', primary: true, action: () => {
+      const data = { text: document.getElementById('organizerText').value };
+      if (item) data.id = item.id;
+      if (isTask) {
+        const due = document.getElementById('organizerDue').value;
+        if (due) data.due_date = Math.floor(new Date(due).getTime() / 1000);
+        data.high_priority = document.getElementById('organizerPriority').checked;
+        data.notification = document.getElementById('organizerNotify').checked;
+        data.completed_date = document.getElementById('organizerDone').checked
+          ? (item && item.completed_date > 0 ? item.completed_date : virtualSeconds()) : 0;
+      } else {
+        data.color = Number(document.querySelector('input[name="organizerColor"]:checked').value);
+      }
+      if (!item && !data.text.trim()) return;
+      saveOrganizerItem(store, data);
+    } }
+  ]);
+  addConsoleEntry('info', `${isTask ? 'Task' : 'Note'} editor: ${item ? `"${item.text}"` : 'new'}`);
+}
+
+async function editOrganizerJson() {
+  const store = organizerStore();
+  const items = await (await fetch(`/api/${store}`)).json();
+  openSystemDialog(`Edit ${store} (JSON)`, `
+    <textarea class="dialog-textarea" id="organizerJson">${escapeHtml(JSON.stringify(items, null, 2))}</textarea>`, [
+    { label: 'Cancel' },
+    { label: 'Save', primary: true, action: () => {
+      let list;
+      try {
+        list = JSON.parse(document.getElementById('organizerJson').value);
+      } catch (error) {
+        addConsoleEntry('error', `Invalid JSON: ${error.message}`);
+        return;
+      }
+      organizerRequest(`/api/${store}`, 'PUT', list);
+    } }
+  ]);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('organizerStoreSelect').addEventListener('change', refreshOrganizer);
+  document.getElementById('newOrganizerItemBtn').addEventListener('click', () => openOrganizerEditor(organizerStore(), null));
+  document.getElementById('seedOrganizerBtn').addEventListener('click', () => {
+    if (!confirm(`Replace the ${organizerStore()} list with sample items?`)) return;
+    organizerRequest(`/api/${organizerStore()}/seed`, 'POST');
+  });
+  document.getElementById('editOrganizerJsonBtn').addEventListener('click', editOrganizerJson);
+  document.getElementById('clearOrganizerBtn').addEventListener('click', () => {
+    if (!confirm(`Remove all ${organizerStore()}?`)) return;
+    organizerRequest(`/api/${organizerStore()}`, 'DELETE');
+  });
+});
+
+// ============================================================================
+// Notifications
+// ============================================================================
+
+function formatNotifyTime(seconds) {
+  return new Date(seconds * 1000).toLocaleTimeString([], { timeStyle: 'short' });
+}
+
+// The status bar tray: other apps' notifications can be swiped away, the
+// script's own one (system:show_notify) has buttons for on_notify_action()
+async function refreshNotifications() {
+  const tray = document.getElementById('notifyTray');
+  try {
+    const { notifications } = await (await fetch('/api/notifications')).json();
+    document.getElementById('notifyBadge').textContent = notifications.length;
+    if (notifications.length === 0) {
+      tray.innerHTML = `
+        <div class="log-empty">
+          <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
+            <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/>
+            <path d="M13.73 21a2 2 0 0 1-3.46 0"/>
+          </svg>
+          <span>No notifications</span>
+          <small>Post one above or use system:show_notify() in your script</small>
+        </div>
+      `;
+      return;
+    }
+
+    tray.innerHTML = notifications.map(n => `
+      <div class="storage-item notify-item ${n.own ? 'own' : ''}">
+        <div class="notify-body">
+          <span class="storage-key">${escapeHtml(n.own ? 'This script' : n.package)} · ${formatNotifyTime(n.time)}</span>
+          <span class="notify-title">${escapeHtml(n.title)}${n.number > 1 ? ` (${n.number})` : ''}</span>
+          ${n.text ? `<span class="storage-value">${escapeHtml(n.text)}</span>` : ''}
+          ${n.actions.length > 0 ? `<div class="notify-actions">${n.actions.map(action => n.own
+            ? `<button class="btn btn-xs" data-notify-action="${action.id}" data-title="${escapeAttr(action.title)}" title="Run on_notify_action(${action.id}, &quot;${escapeAttr(action.title)}&quot;)">${escapeHtml(action.title)}</button>`
+            : `<span class="notify-action">${escapeHtml(action.title)}${action.have_input ? ' ✎' : ''}</span>`).join('')}</div>` : ''}
+        </div>
+        ${n.is_clearable && !n.own ? `<button class="btn btn-xs" data-dismiss="${escapeAttr(n.key)}" title="Swipe away and run on_notifications_updated()">✕</button>` : ''}
+      </div>
+    `).join('');
+
+    tray.querySelectorAll('[data-notify-action]').forEach(button => button.addEventListener('click', () => {
+      if (!sessionId) {
+        addConsoleEntry('warning', 'Run the script first');
+        return;
+      }
+      executeScript('on_notify_action', { args: [Number(button.dataset.notifyAction), button.dataset.title] });
+    }));
+    tray.querySelectorAll('[data-dismiss]').forEach(button => button.addEventListener('click', async () => {
+      await fetch(`/api/notifications/${encodeURIComponent(button.dataset.dismiss)}`, { method: 'DELETE' });
+      notificationsUpdated();
+    }));
+  } catch (error) {
+    console.error('Failed to load notifications:', error);
+  }
+}
+
+// Other apps changed the tray: the script hears about it like on the device
+function notificationsUpdated() {
+  refreshNotifications();
+  if (sessionId) {
+    executeScript('on_notifications_updated');
+  }
+}
+
+async function postFakeNotification() {
+  const value = id => document.getElementById(id).value.trim();
+  const messaging = document.getElementById('notifyMessaging').checked;
+  const body = {
+    package: value('notifyPackage'),
+    title: value('notifyTitle'),
+    text: value('notifyText'),
+    category: messaging ? 'msg' : '',
+    messages: messaging ? [{ sender: value('notifyTitle'), text: value('notifyText') }] : [],
+    actions: value('notifyActions').split(',').map(title => title.trim()).filter(Boolean)
+      .map(title => ({ title, have_input: messaging && /^reply$/i.test(title) }))
+  };
+  const response = await fetch('/api/notifications', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    addConsoleEntry('error', result.error);
+    return;
+  }
+  addConsoleEntry('info', `Notification from ${result.package}: ${result.title}`);
+  notificationsUpdated();
+}
+
+// What the script did with notifications during the last callback
+function showNotifyEvent(event) {
+  const n = event.notification;
+  switch (event.type) {
+    case 'posted':
+    case 'updated':
+      addConsoleEntry('info', `Notification ${event.type}: ${n.text}${event.silent ? ' (silent)' : ''}`);
+      break;
+    case 'cancelled':
+      addConsoleEntry('info', 'Notification cancelled');
+      break;
+    case 'open':
+      addConsoleEntry('info', `Opened ${n.package}: ${n.title}`);
+      break;
+    case 'close':
+      addConsoleEntry('info', `Notification closed: ${n.title}`);
+      break;
+    case 'action':
+      if (event.action.have_input) {
+        openSystemDialog(`${event.action.title}: ${n.title}`, `
+          <input type="text" class="dialog-input" id="notifyReplyInput" placeholder="Message">`, [
+          { label: 'Cancel' },
+          { label: 'Send', primary: true, action: () => addConsoleEntry('success',
+            `${n.package}: "${event.action.title}" sent "${document.getElementById('notifyReplyInput').value}"`) }
+        ]);
+      } else {
+        addConsoleEntry('info', `${n.package}: "${event.action.title}" pressed`);
+      }
+      break;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('postNotifyBtn').addEventListener('click', postFakeNotification);
+  document.getElementById('resetNotifyBtn').addEventListener('click', async () => {
+    await fetch('/api/notifications/reset', { method: 'POST' });
+    notificationsUpdated();
+  });
+  document.getElementById('clearNotifyBtn').addEventListener('click', async () => {
+    if (!confirm('Remove all notifications?')) return;
+    await fetch('/api/notifications', { method: 'DELETE' });
+    notificationsUpdated();
+  });
+  refreshNotifications();
+});
+
+// ============================================================================
+// Phone: Contacts and Outbox
+// ============================================================================
+
+function formatBirthday(birthday) {
+  const date = new Date(birthday.year || 2000, birthday.month - 1, birthday.day);
+  return date.toLocaleDateString([], birthday.year
+    ? { dateStyle: 'medium' }
+    : { month: 'short', day: 'numeric' });
+}
+
+// Calls and SMS of phone:make_call() / send_sms(), or the loaded contacts
+async function refreshPhone() {
+  const view = document.getElementById('phoneView');
+  const showContacts = document.getElementById('phoneViewSelect').value === 'contacts';
+  try {
+    const { outbox } = await (await fetch('/api/phone/outbox')).json();
+    document.getElementById('phoneBadge').textContent = outbox.length;
+    if (!showContacts) {
+      if (outbox.length === 0) {
+        view.innerHTML = `
+          <div class="log-empty">
+            <span>No calls or SMS yet</span>
+            <small>phone:make_call() and phone:send_sms() end up here</small>
+          </div>
+        `;
+        return;
+      }
+      view.innerHTML = outbox.slice().reverse().map(item => `
+        <div class="storage-item">
+          <div class="notify-body">
+            <span class="storage-key">${item.type === 'call' ? '📞 Call' : '✉️ SMS'} · ${new Date(item.time).toLocaleTimeString([], { timeStyle: 'short' })}</span>
+            <span class="notify-title">${escapeHtml(item.number)}${item.contact ? ` (${escapeHtml(item.contact)})` : ''}</span>
+            ${item.type === 'sms' ? `<span class="storage-value">${escapeHtml(item.text)}</span>` : ''}
+          </div>
+        </div>
+      `).join('');
+      return;
+    }
+
+    const { sources, contacts } = await (await fetch('/api/phone/contacts')).json();
+    view.innerHTML = `
+      <div class="storage-key">${contacts.length} contact(s) from ${escapeHtml(sources.map(source => source.split(/[/\\]/).pop()).join(', '))}</div>
+    ` + contacts.map(contact => `
+      <div class="storage-item">
+        <div class="notify-body">
+          <span class="storage-key">${escapeHtml(contact.id)} · ${escapeHtml(contact.lookup_key)}</span>
+          <span class="notify-title">${escapeHtml(contact.name)}</span>
+          <span class="storage-value">${escapeHtml(contact.number)}</span>
+        </div>
+        <button class="btn btn-xs" data-contact="${escapeAttr(contact.id)}" title="Show the contact dialog">Open</button>
+      </div>
+    `).join('');
+    view.querySelectorAll('[data-contact]').forEach(button => button.addEventListener('click', () => {
+      showContactDialog({ contact: contacts.find(c => c.id === button.dataset.contact) });
+    }));
+  } catch (error) {
+    console.error('Failed to load phone data:', error);
+  }
+}
+
+// phone:show_contact_dialog(); calling or texting from it goes nowhere
+function showContactDialog(action) {
+  const contact = action.contact;
+  openSystemDialog(contact.name, `
+    <div class="event-dialog">
+      ${contact.numbers.map(n => `<div class="event-row">📞 ${escapeHtml(n.number)} <span class="event-meta">${escapeHtml(n.type.toLowerCase())}</span></div>`).join('')}
+      ${contact.emails.map(email => `<div class="event-row">✉️ ${escapeHtml(email)}</div>`).join('')}
+      ${contact.birthday ? `<div class="event-row">🎂 ${escapeHtml(formatBirthday(contact.birthday))}</div>` : ''}
+      ${contact.note ? `<div class="event-description">${escapeHtml(contact.note)}</div>` : ''}
+      ${contact.organization ? `<div class="event-row event-meta">${escapeHtml(contact.organization)}</div>` : ''}
+    </div>`, [{ label: 'Close', primary: true }]);
+  if (action.type) {
+    addConsoleEntry('info', `Contact dialog: ${contact.name}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('phoneViewSelect').addEventListener('change', refreshPhone);
+  document.getElementById('reloadContactsBtn').addEventListener('click', async () => {
+    await fetch('/api/phone/contacts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reset: true })
+    });
+    refreshPhone();
+    if (sessionId) {
+      executeScript('on_contacts_loaded');
+    }
+  });
+  document.getElementById('clearOutboxBtn').addEventListener('click', async () => {
+    await fetch('/api/phone/outbox', { method: 'DELETE' });
+    refreshPhone();
+  });
+  refreshPhone();
+});
+
+// ============================================================================
+// Apps
+// ============================================================================
+
+// Installed apps (AIO Backup/appsV2.db) or what apps:launch() opened
+async function refreshApps() {
+  const view = document.getElementById('appsView');
+  const filter = document.getElementById('appsFilter').value.trim().toLowerCase();
+  try {
+    if (document.getElementById('appsViewSelect').value === 'launches') {
+      const { launches } = await (await fetch('/api/apps/launches')).json();
+      view.innerHTML = launches.length === 0 ? `
+        <div class="log-empty">
+          <span>No launches yet</span>
+          <small>apps:launch() ends up here</small>
+        </div>
+      ` : launches.slice().reverse().map(launch => `
+        <div class="storage-item">
+          <div class="notify-body">
+            <span class="storage-key">🚀 ${new Date(launch.time).toLocaleTimeString([], { timeStyle: 'short' })}</span>
+            <span class="notify-title">${escapeHtml(launch.name)}</span>
+            <span class="storage-value">${escapeHtml(launch.pkg)}</span>
+          </div>
+        </div>
+      `).join('');
+      return;
+    }
+
+    const { source, apps, categories } = await (await fetch('/api/apps')).json();
+    const categoryNames = Object.fromEntries(categories.map(category => [category.id, category.name]));
+    const shown = apps.filter(app => !filter || `${app.name} ${app.pkg}`.toLowerCase().includes(filter));
+    view.innerHTML = `
+      <div class="storage-key">${shown.length} of ${apps.length} app(s) from ${escapeHtml(source ? source.split(/[/\\]/).pop() : '-')}</div>
+    ` + shown.map(app => `
+      <div class="storage-item">
+        <span class="event-color" style="background: ${escapeAttr(app.color)}"></span>
+        <div class="notify-body">
+          <span class="notify-title">${escapeHtml(app.name)}${app.hidden ? ' <small>(hidden)</small>' : ''}</span>
+          <span class="storage-key">${escapeHtml(app.pkg)} · ${escapeHtml(categoryNames[app.category_id] || '-')} · ${app.launch_count} launch(es)</span>
+        </div>
+        <button class="btn btn-xs" data-uninstall="${escapeAttr(app.pkg)}" title="Remove it and run on_apps_changed()">✕</button>
+      </div>
+    `).join('');
+    view.querySelectorAll('[data-uninstall]').forEach(button => button.addEventListener('click', async () => {
+      await fetch(`/api/apps/${encodeURIComponent(button.dataset.uninstall)}`, { method: 'DELETE' });
+      appsChanged();
+    }));
+  } catch (error) {
+    console.error('Failed to load apps:', error);
+  }
+}
+
+// The installed apps changed: the script hears about it like on the device
+function appsChanged() {
+  refreshApps();
+  if (sessionId) {
+    executeScript('on_apps_changed');
+  }
+}
+
+// Callbacks the server ran on its own: on_apps_changed() after the apps
+// fixture was edited on disk. Polled while a session is open.
+async function fetchSessionUpdates() {
+  if (!sessionId) return;
+  try {
+    const response = await fetch(`/api/sessions/${sessionId}/updates`);
+    if (!response.ok) return;
+    const { updates } = await response.json();
+    updates.forEach(result => {
+      addConsoleEntry('info', `${result.calledFunction || 'Callback'}() ran after the apps file changed on disk`);
+      showExecuteResult(result, { functionName: result.calledFunction });
+    });
+    if (updates.length > 0) {
+      refreshApps();
+    }
+  } catch (error) {
+    console.error('Failed to load session updates:', error);
+  }
+}
+
+async function installFakeApp() {
+  const response = await fetch('/api/apps', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pkg: document.getElementById('appPackage').value.trim(),
+      name: document.getElementById('appName').value.trim(),
+      color: document.getElementById('appColor').value.toUpperCase()
+    })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    addConsoleEntry('error', result.error);
+    return;
+  }
+  addConsoleEntry('info', `Installed ${result.name} (${result.pkg})`);
+  appsChanged();
+}
+
+// apps:launch() and apps:show_edit_dialog() of the last callback
+function showAppAction(action) {
+  if (action.type === 'launch') {
+    addConsoleEntry('info', `Launched ${action.name} (${action.pkg})`);
+  } else if (action.type === 'edit_dialog') {
+    addConsoleEntry('info', `App edit dialog: ${action.name} (${action.pkg})`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('installAppBtn').addEventListener('click', installFakeApp);
+  document.getElementById('appsViewSelect').addEventListener('change', refreshApps);
+  document.getElementById('appsFilter').addEventListener('input', refreshApps);
+  document.getElementById('resetAppsBtn').addEventListener('click', async () => {
+    await fetch('/api/apps/reset', { method: 'POST' });
+    appsChanged();
+  });
+  document.getElementById('clearLaunchesBtn').addEventListener('click', async () => {
+    await fetch('/api/apps/launches', { method: 'DELETE' });
+    refreshApps();
+  });
+  setInterval(fetchSessionUpdates, 2000);
+});
+
 // ============================================================================
 // Widget & Mock Loading
 // ============================================================================
@@ -573,6 +2390,14 @@ async function loadWidgets() {
       const option = document.createElement('option');
       option.value = widget.path;
       option.textContent = widget.name;
+      // Header metadata: show non-widget types and the description on hover
+      const meta = widget.metadata;
+      if (meta) {
+        if (meta.type !== 'widget') {
+          option.textContent += ` [${meta.type}]`;
+        }
+        option.title = [meta.name, meta.values.description].filter(Boolean).join(' - ');
+      }
       select.appendChild(option);
     });
   } catch (error) {
@@ -589,6 +2414,7 @@ async function loadWidget(path) {
     const data = await response.json();
 
     if (data.content && editor) {
+      scriptPath = path;
       editor.setValue(data.content);
       const name = path.split(/[/\\]/).pop();
       addConsoleEntry('success', `Loaded: ${name}`);
@@ -624,6 +2450,7 @@ async function deleteWidget() {
     if (response.ok) {
       addConsoleEntry('success', `Deleted: ${widgetName}`);
       showToast('Widget deleted', 'success');
+      scriptPath = null;
       editor.setValue('');
       select.value = '';
       loadWidgets(); // Reload widget list
@@ -661,52 +2488,154 @@ async function loadMocks() {
 // HTTP Mode
 // ============================================================================
 
-async function setHttpMode(isReal) {
+const HTTP_MODE_NAMES = { mock: 'Mock', real: 'Real', record: 'Record', 'replay-strict': 'Replay (strict)' };
+
+function showHttpMode(mode) {
+  const select = document.getElementById('httpModeSelect');
+  select.value = mode;
+  select.className = `select-control http-mode-${mode}`;
+}
+
+// mock, real, record (real requests written to a mock file) or
+// replay-strict (the selected mock file; unrecorded requests fail)
+async function setHttpMode(mode) {
+  const previous = localStorage.getItem('httpMode') || 'mock';
+  const request = { mode };
+
+  if (mode === 'record') {
+    const widget = document.getElementById('widgetSelect').value.split(/[/\\]/).pop();
+    const file = prompt('Record real requests into mock file (mocks/<name>.json):', widget.replace(/\.lua$/, '') || 'recording');
+    if (!file) {
+      showHttpMode(previous);
+      return;
+    }
+    request.file = file;
+  }
+
   try {
-    const mode = isReal ? 'real' : 'mock';
-    await fetch('/api/http-mode', {
+    const response = await fetch('/api/http-mode', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ mode })
+      body: JSON.stringify(request)
     });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to set HTTP mode');
+    }
 
-    // Update visual indicator
-    const label = document.getElementById('httpModeLabel');
-    const toggle = document.getElementById('httpModeToggle');
-    label.textContent = isReal ? 'Real' : 'Mock';
-    label.className = isReal ? 'http-mode-real' : 'http-mode-mock';
-
-    // Save to localStorage
-    localStorage.setItem('httpMode', mode);
+    showHttpMode(mode);
+    // Recording does not resume after a reload
+    localStorage.setItem('httpMode', mode === 'record' ? 'real' : mode);
 
-    // Show toast notification
-    showToast(`HTTP Mode: ${mode.toUpperCase()}`, isReal ? 'success' : 'warning');
+    if (result.recording) {
+      addConsoleEntry('info', `HTTP mode: RECORD → mocks/${result.recording.file.split(/[/\\]/).pop()}`);
+      showToast('Recording real requests', 'warning');
+    } else {
+      addConsoleEntry('info', `HTTP mode: ${mode.toUpperCase()}`);
+      showToast(`HTTP Mode: ${HTTP_MODE_NAMES[mode]}`, mode === 'real' ? 'success' : 'warning');
+    }
 
-    addConsoleEntry('info', `HTTP mode: ${mode.toUpperCase()}`);
+    // A finished recording shows up as a mock file, selected for replay
+    if (result.recorded) {
+      const name = result.recorded.file.split(/[/\\]/).pop();
+      addConsoleEntry('success', `Recorded ${result.recorded.recorded} request(s), ${result.recorded.rules} rule(s) in mocks/${name}`);
+      await loadMocks();
+      document.getElementById('mockSelect').value = name;
+    }
   } catch (error) {
     console.error('Failed to set HTTP mode:', error);
+    addConsoleEntry('error', `HTTP mode: ${error.message}`);
+    showToast(error.message, 'error');
+    showHttpMode(previous);
   }
 }
 
 // Load saved HTTP mode on startup
 function loadHttpMode() {
   const savedMode = localStorage.getItem('httpMode') || 'mock';
-  const isReal = savedMode === 'real';
-  const toggle = document.getElementById('httpModeToggle');
-  const label = document.getElementById('httpModeLabel');
-
-  toggle.checked = isReal;
-  label.textContent = isReal ? 'Real' : 'Mock';
-  label.className = isReal ? 'http-mode-real' : 'http-mode-mock';
+  const mode = HTTP_MODE_NAMES[savedMode] && savedMode !== 'record' ? savedMode : 'mock';
+  showHttpMode(mode);
 
   // Set server mode without toast
   fetch('/api/http-mode', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ mode: savedMode })
+    body: JSON.stringify({ mode })
   }).catch(err => console.error('Failed to sync HTTP mode:', err));
 }
 
+// ============================================================================
+// Fault Injection
+// ============================================================================
+
+// Presets come from the server; "custom" sends the JSON from the settings
+async function setFaultProfile(name, { quiet = false } = {}) {
+  let body = { preset: name };
+  if (name === 'custom') {
+    const custom = getSettings().faultCustom;
+    if (!custom) {
+      showToast('Add a custom fault profile in Settings first', 'warning');
+      openSettingsModal();
+      return;
+    }
+    body = { fault: JSON.parse(custom) };
+  }
+
+  try {
+    const response = await fetch('/api/http-faults', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+    localStorage.setItem('faultProfile', name);
+    document.getElementById('faultSelect').classList.toggle('fault-active', name !== 'none');
+    if (!quiet) {
+      showToast(`Faults: ${name}`, name === 'none' ? 'info' : 'warning');
+      addConsoleEntry('info', `HTTP fault profile: ${name}${result.fault ? ` ${JSON.stringify(result.fault)}` : ''}`);
+    }
+  } catch (error) {
+    addConsoleEntry('error', `Failed to set fault profile: ${error.message}`);
+    showToast('Failed to set fault profile', 'error');
+  }
+}
+
+// Fill the preset picker and restore the saved profile on startup
+async function loadFaultProfiles() {
+  const select = document.getElementById('faultSelect');
+  try {
+    const response = await fetch('/api/http-faults');
+    const { presets } = await response.json();
+    select.innerHTML = '';
+    presets.concat([{ name: 'custom', description: 'Custom profile from Settings' }]).forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.name;
+      option.textContent = `Faults: ${preset.name}`;
+      option.title = preset.description;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Failed to load fault presets:', error);
+    return;
+  }
+
+  const saved = localStorage.getItem('faultProfile') || 'none';
+  select.value = [...select.options].some(option => option.value === saved) ? saved : 'none';
+  if (select.value !== 'none') {
+    setFaultProfile(select.value, { quiet: true });
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadFaultProfiles();
+  document.getElementById('faultSelect').addEventListener('change', (e) => {
+    setFaultProfile(e.target.value);
+  });
+});
+
 // Toast notification
 function showToast(message, type = 'info') {
   // Remove existing toast
@@ -792,6 +2721,7 @@ async function handleFile(file) {
 
     // Load into editor
     if (editor) {
+      scriptPath = null;
       editor.setValue(content);
     }
 
@@ -847,6 +2777,14 @@ function setupTabs() {
       // Refresh storage when switching to storage tab
       if (target === 'storage') {
         refreshStorage();
+      } else if (target === 'organizer') {
+        refreshOrganizer();
+      } else if (target === 'notify') {
+        refreshNotifications();
+      } else if (target === 'phone') {
+        refreshPhone();
+      } else if (target === 'apps') {
+        refreshApps();
       }
     });
   });
@@ -863,6 +2801,12 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// escapeHtml() for attribute values: quotes are escaped too, so a value
+// cannot end the attribute it is in
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function getStatusText(status) {
   const texts = {
     200: 'OK', 201: 'Created', 204: 'No Content',
@@ -899,13 +2843,13 @@ document.addEventListener('DOMContentLoaded', () => {
   // Mock selector
   document.getElementById('mockSelect').addEventListener('change', () => {
     if (autoResumeEnabled) {
-      executeScript('on_resume');
+      executeScript();
     }
   });
 
-  // HTTP mode toggle
-  document.getElementById('httpModeToggle').addEventListener('change', (e) => {
-    setHttpMode(e.target.checked);
+  // HTTP mode picker
+  document.getElementById('httpModeSelect').addEventListener('change', (e) => {
+    setHttpMode(e.target.value);
   });
 
   // Auto resume toggle
@@ -931,6 +2875,14 @@ document.addEventListener('DOMContentLoaded', () => {
     executeScript('on_alarm');
   });
 
+  document.getElementById('onSettingsBtn').addEventListener('click', () => {
+    executeScript('on_settings');
+  });
+
+  document.getElementById('reloadBtn').addEventListener('click', () => {
+    executeScript(null, { reload: true });
+  });
+
   // Widget size selector
   const widgetSizeSelect = document.getElementById('widgetSize');
   const widgetCard = document.querySelector('.widget-card');
@@ -1053,6 +3005,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Editor controls
   document.getElementById('clearBtn').addEventListener('click', () => {
     if (confirm('Clear editor content?')) {
+      scriptPath = null;
       editor.setValue('');
     }
   });
@@ -1105,6 +3058,14 @@ document.addEventListener('DOMContentLoaded', () => {
     } else if (activeTab === 'storage') {
       // Refresh storage view to show current state
       refreshStorage();
+    } else if (activeTab === 'organizer') {
+      refreshOrganizer();
+    } else if (activeTab === 'notify') {
+      refreshNotifications();
+    } else if (activeTab === 'phone') {
+      refreshPhone();
+    } else if (activeTab === 'apps') {
+      refreshApps();
     }
   });
 
@@ -1195,7 +3156,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Ctrl/Cmd + Enter: Execute
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
       e.preventDefault();
-      executeScript('on_resume');
+      executeScript();
     }
     // Ctrl/Cmd + S: Save
     if ((e.ctrlKey || e.metaKey) && e.key === 's') {
@@ -1506,7 +3467,7 @@ function applyInspectorFix() {
 
     // Auto-run the improved script
     if (autoResumeEnabled) {
-      setTimeout(() => executeScript('on_resume'), 500);
+      setTimeout(() => executeScript(), 500);
     }
   }
 }
@@ -1619,6 +3580,7 @@ function copyGeneratedCode() {
 
 function loadGeneratedCode() {
   if (!lastGeneratedCode || !editor) return;
+  scriptPath = null;
   editor.setValue(lastGeneratedCode);
   showToast('Widget loaded in editor', 'success');
   addConsoleEntry('info', 'Loaded AI-generated widget in editor');
@@ -1631,7 +3593,7 @@ function loadGeneratedCode() {
 
   // Auto-run if enabled
   if (autoResumeEnabled) {
-    setTimeout(() => executeScript('on_resume'), 500);
+    setTimeout(() => executeScript(), 500);
   }
 }
 
@@ -2437,6 +4399,7 @@ local size = format_bytes(1536000)  -- "1.5 MB"`
 function loadTemplate(templateName) {
   const template = WIDGET_TEMPLATES[templateName];
   if (template && editor) {
+    scriptPath = null;
     editor.setValue(template);
     showTemplateToast('Template loaded: ' + templateName);
 
@@ -2514,6 +4477,7 @@ function handleImportFile(event) {
   const reader = new FileReader();
   reader.onload = function(e) {
     if (editor) {
+      scriptPath = null;
       editor.setValue(e.target.result);
       showTemplateToast('Widget imported: ' + file.name);
     }
@@ -2534,6 +4498,7 @@ async function importFromUrl() {
 
     const code = await response.text();
     if (editor) {
+      scriptPath = null;
       editor.setValue(code);
       showTemplateToast('Widget imported from URL');
     }
@@ -5,15 +5,37 @@ import express from 'express';
 import cors from 'cors';
 import { readFileSync, writeFileSync, existsSync, readdirSync, statSync, unlinkSync, mkdirSync, appendFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join, resolve } from 'path';
+import { basename, dirname, join, resolve, isAbsolute, sep } from 'path';
 import { lua, lauxlib, lualib, to_luastring } from 'fengari';
-import { ui, clearOutput, getOutputBuffer } from './api/ui.js';
-import { http, loadMocks, setHttpMode, setHttpLogCallback } from './api/http.js';
-import { json } from './api/json.js';
+import { ui, clearOutput, getOutputBuffer, getLayout, getFoldedText, getFoldState, setFoldState, setFolded, setExpanded } from './api/ui.js';
+import { http, shttp, loadMocks, setHttpMode, HTTP_MODES, setHttpLogCallback } from './api/http.js';
+import { setNetworkDispatcher, waitForPending, runInExecution, DEFAULT_ASYNC_TIMEOUT } from './api/eventloop.js';
+import { json, JSON_BOOTSTRAP } from './api/json.js';
 import { system } from './api/system.js';
 import { android, setMockData } from './api/android.js';
 import { storage, files } from './api/storage.js';
+import { prefs, settings, setPrefsScope, takeSettingsDialog, getWidgetPrefs, updateWidgetPrefs, PREFS_BOOTSTRAP } from './api/prefs.js';
+import { gui, build, GUI_BOOTSTRAP } from './api/gui.js';
+import { search, takeSearchResults } from './api/search.js';
+import { drawer, getDrawerState, setDrawerState, openDrawer } from './api/drawer.js';
+import { parseMetadata } from './api/metadata.js';
+import { installModuleSearcher } from './api/modules.js';
+import { getMockScenarios, setMockScenario, resetMockState } from './api/mocks.js';
+import { setFaultProfile, getFaultProfile, listFaultPresets, validateFault } from './api/faults.js';
+import { startRecording, stopRecording, getRecording } from './api/recorder.js';
+import { logsToHar, harToMockFile, harToLogs } from './api/har.js';
+import { startStubThread, listSimulators, DEFAULT_STUB_PORT } from './stubs/index.js';
+import { clock, CLOCK_BOOTSTRAP, CLOCK_MODES, MAX_SPEED, createTimers, takeDueTimers, takeResumeAlarm, markAlarm, setClockMode, setClockTime, stepClock, resetClock, getClockState } from './api/clock.js';
+import { calendar, loadCalendarFiles, resetCalendar, takeCalendarActions, getCalendarData } from './api/calendar.js';
+import { PERMISSIONS, setPermission, getPermissions, takePermissionRequest, answerPermissionRequest } from './api/permissions.js';
+import { tasks, notes, ORGANIZER_STORES, getItems, upsertItem, removeItem, replaceItems, seedItems, takeEditorRequest } from './api/tasks.js';
+import { aio } from './api/aio.js';
+import { apps, DEFAULT_APPS_FIXTURE, loadAppsFixture, onAppsFileChanged, resetApps, getApps, installApp, uninstallApp, getLaunches, clearLaunches, takeAppActions } from './api/apps.js';
+import { phone, loadContactFiles, resetContacts, getContactData, getOutbox, clearOutbox, takePhoneActions } from './api/phone.js';
+import { notify, loadNotificationFile, resetNotifications, postNotification, dismissNotification, clearNotifications, getNotifications, takeNotifyEvents } from './api/notify.js';
+import { dialogs, UI_DIALOG_METHODS, takeDialog, dialogActionValue } from './api/dialogs.js';
 import { execSync } from 'child_process';
+import { randomUUID } from 'crypto';
 import os from 'os';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -23,11 +45,13 @@ const app = express();
 const PORT = 3000;
 
 app.use(cors());
+app.use('/api/har', express.json({ limit: '50mb' }));  // Browser captures get large
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
-// Lua state per request (we'll create a new one for each execution)
-let currentL = null;
+// Persistent Lua sessions, keyed by session/widget id
+const sessions = new Map();
+let loadedMockJson = null;  // Mock data last loaded by /api/execute
 
 // Initialize Lua state and APIs
 function initLua() {
@@ -58,29 +82,46 @@ function initLua() {
     lua.lua_setfield(L, -2, to_luastring("is_folded"));
     lua.lua_pushcfunction(L, luaWrapFunction(ui.is_expanded, true));
     lua.lua_setfield(L, -2, to_luastring("is_expanded"));
+    lua.lua_pushcfunction(L, luaWrapFunction(ui.set_folding_flag, true));
+    lua.lua_setfield(L, -2, to_luastring("set_folding_flag"));
+    lua.lua_pushcfunction(L, luaWrapFunction(ui.folding_flag, true));
+    lua.lua_setfield(L, -2, to_luastring("folding_flag"));
     lua.lua_pushcfunction(L, luaWrapFunction(ui.set_progress, true));
     lua.lua_setfield(L, -2, to_luastring("set_progress"));
     lua.lua_pushcfunction(L, luaWrapFunction(ui.show_context_menu, true));
     lua.lua_setfield(L, -2, to_luastring("show_context_menu"));
+    lua.lua_pushcfunction(L, luaWrapFunction(build, true));
+    lua.lua_setfield(L, -2, to_luastring("build"));
+    for (const key of UI_DIALOG_METHODS) {
+        lua.lua_pushcfunction(L, luaWrapFunction(dialogs[key], true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
     lua.lua_setglobal(L, to_luastring("ui"));
     
     // Create http module
-    lua.lua_createtable(L, 0, 3);
-    lua.lua_pushcfunction(L, luaWrapFunction(http.get, true));
-    lua.lua_setfield(L, -2, to_luastring("get"));
-    lua.lua_pushcfunction(L, luaWrapFunction(http.post, true));
-    lua.lua_setfield(L, -2, to_luastring("post"));
-    lua.lua_pushcfunction(L, luaWrapFunction(http.set_headers, true));
-    lua.lua_setfield(L, -2, to_luastring("set_headers"));
+    lua.lua_createtable(L, 0, Object.keys(http).length);
+    for (const [key, value] of Object.entries(http)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true)); // Skip first arg (module itself)
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
     lua.lua_setglobal(L, to_luastring("http"));
+
+    // Create shttp module (blocking requests, results returned as tables)
+    lua.lua_createtable(L, 0, Object.keys(shttp).length);
+    for (const [key, value] of Object.entries(shttp)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("shttp"));
     
-    // Create json module
+    // Create json module (json.decode and json:decode both work)
     lua.lua_createtable(L, 0, 2);
-    lua.lua_pushcfunction(L, luaWrapFunction(json.decode, true));
-    lua.lua_setfield(L, -2, to_luastring("decode"));
-    lua.lua_pushcfunction(L, luaWrapFunction(json.encode, true));
-    lua.lua_setfield(L, -2, to_luastring("encode"));
-    lua.lua_setglobal(L, to_luastring("json"));
+    for (const [key, value] of Object.entries(json)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("__json_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(JSON_BOOTSTRAP));
     
     // Create system module - ALL functions
     lua.lua_createtable(L, 0, 12);
@@ -102,19 +143,25 @@ function initLua() {
     lua.lua_setfield(L, -2, to_luastring("tz"));
     lua.lua_pushcfunction(L, luaWrapFunction(system.tz_offset, true));
     lua.lua_setfield(L, -2, to_luastring("tz_offset"));
+    lua.lua_pushcfunction(L, luaWrapFunction(system.get_tz_offset, true));
+    lua.lua_setfield(L, -2, to_luastring("get_tz_offset"));
     lua.lua_pushcfunction(L, luaWrapFunction(system.hmac_sha256, true));
     lua.lua_setfield(L, -2, to_luastring("hmac_sha256"));
     lua.lua_pushcfunction(L, luaWrapFunction(system.battery_info, true));
     lua.lua_setfield(L, -2, to_luastring("battery_info"));
     lua.lua_pushcfunction(L, luaWrapFunction(system.network_state, true));
     lua.lua_setfield(L, -2, to_luastring("network_state"));
+    lua.lua_pushcfunction(L, luaWrapFunction(system.show_notify, true));
+    lua.lua_setfield(L, -2, to_luastring("show_notify"));
+    lua.lua_pushcfunction(L, luaWrapFunction(system.cancel_notify, true));
+    lua.lua_setfield(L, -2, to_luastring("cancel_notify"));
     lua.lua_setglobal(L, to_luastring("system"));
     
     // Create android module
     lua.lua_createtable(L, 0, 20);
     for (const [key, value] of Object.entries(android)) {
         if (typeof value === 'function') {
-            lua.lua_pushcfunction(L, luaWrapFunction(value, false));
+            lua.lua_pushcfunction(L, luaWrapAndroidFunction(value));
             lua.lua_setfield(L, -2, to_luastring(key));
         }
     }
@@ -144,9 +191,125 @@ function initLua() {
     lua.lua_setfield(L, -2, to_luastring("exists"));
     lua.lua_setglobal(L, to_luastring("files"));
 
+    // Create settings module (legacy argument list)
+    lua.lua_createtable(L, 0, 3);
+    for (const [key, value] of Object.entries(settings)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("settings"));
+
+    // Create dialogs module (answers arrive through on_dialog_action)
+    lua.lua_createtable(L, 0, 6);
+    for (const [key, value] of Object.entries(dialogs)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("dialogs"));
+
+    // Create search module (results of on_search for search scripts)
+    lua.lua_createtable(L, 0, 5);
+    for (const [key, value] of Object.entries(search)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("search"));
+
+    // Create drawer module (side menu for drawer scripts)
+    lua.lua_createtable(L, 0, 6);
+    for (const [key, value] of Object.entries(drawer)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("drawer"));
+
+    // Create calendar module (fixtures/calendar.ics or POST /api/calendar)
+    lua.lua_createtable(L, 0, Object.keys(calendar).length);
+    for (const [key, value] of Object.entries(calendar)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("calendar"));
+
+    // Create notify module (fixtures/notifications.json or POST /api/notifications)
+    lua.lua_createtable(L, 0, Object.keys(notify).length);
+    for (const [key, value] of Object.entries(notify)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("notify"));
+
+    // Create phone module (fixtures/contacts.vcf or POST /api/phone/contacts)
+    lua.lua_createtable(L, 0, Object.keys(phone).length);
+    for (const [key, value] of Object.entries(phone)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("phone"));
+
+    // Create apps module (AIO Backup/appsV2.db or POST /api/apps/reset)
+    lua.lua_createtable(L, 0, Object.keys(apps).length);
+    for (const [key, value] of Object.entries(apps)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("apps"));
+
+    // Create tasks, notes and aio modules (.widget-storage/tasks.json, notes.json)
+    for (const [name, module] of Object.entries({ tasks, notes, aio })) {
+        lua.lua_createtable(L, 0, Object.keys(module).length);
+        for (const [key, value] of Object.entries(module)) {
+            lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+            lua.lua_setfield(L, -2, to_luastring(key));
+        }
+        lua.lua_setglobal(L, to_luastring(name));
+    }
+
+    // Create prefs module (proxy table built in Lua over a JS backend)
+    lua.lua_createtable(L, 0, 4);
+    for (const [key, value] of Object.entries(prefs)) {
+        lua.lua_pushcfunction(L, luaWrapFunction(value, true));
+        lua.lua_setfield(L, -2, to_luastring(key));
+    }
+    lua.lua_setglobal(L, to_luastring("__prefs_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(PREFS_BOOTSTRAP));
+
+    // Create gui{} constructor (Lua object over a JS renderer)
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, luaWrapFunction(gui.render, true));
+    lua.lua_setfield(L, -2, to_luastring("render"));
+    lua.lua_setglobal(L, to_luastring("__gui_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(GUI_BOOTSTRAP));
+
+    // Virtual clock behind os.time() / os.date()
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, luaWrapFunction(clock.now, true));
+    lua.lua_setfield(L, -2, to_luastring("now"));
+    lua.lua_setglobal(L, to_luastring("__clock_backend"));
+    lauxlib.luaL_dostring(L, to_luastring(CLOCK_BOOTSTRAP));
+
     return L;
 }
 
+// Push a JS value onto the Lua stack (integers stay integers, like on the device)
+function pushLuaValue(L, value) {
+    if (typeof value === 'string') {
+        lua.lua_pushstring(L, to_luastring(value));
+    } else if (typeof value === 'number') {
+        if (Number.isInteger(value)) {
+            lua.lua_pushinteger(L, value);
+        } else {
+            lua.lua_pushnumber(L, value);
+        }
+    } else if (typeof value === 'boolean') {
+        lua.lua_pushboolean(L, value);
+    } else if (typeof value === 'object' && value !== null) {
+        jsToLuaTable(L, value);
+    } else {
+        lua.lua_pushnil(L);
+    }
+}
+
 // Wrap JavaScript function for Lua
 function luaWrapFunction(fn, skipFirst = false) {
     return function(L) {
@@ -176,17 +339,7 @@ function luaWrapFunction(fn, skipFirst = false) {
             const result = fn.apply(null, args);
             
             if (result !== undefined && result !== null) {
-                if (typeof result === 'string') {
-                    lua.lua_pushstring(L, to_luastring(result));
-                } else if (typeof result === 'number') {
-                    lua.lua_pushnumber(L, result);
-                } else if (typeof result === 'boolean') {
-                    lua.lua_pushboolean(L, result);
-                } else if (typeof result === 'object') {
-                    jsToLuaTable(L, result);
-                } else {
-                    lua.lua_pushnil(L);
-                }
+                pushLuaValue(L, result);
                 return 1;
             }
         } catch (e) {
@@ -199,6 +352,23 @@ function luaWrapFunction(fn, skipFirst = false) {
     };
 }
 
+// android.* is called with a dot (android.apps()); android:apps() passes the
+// table first, which is dropped so both spellings work
+function luaWrapAndroidFunction(fn) {
+    const wrapped = luaWrapFunction(fn, false);
+    return function(L) {
+        if (lua.lua_gettop(L) > 0) {
+            lua.lua_getglobal(L, to_luastring("android"));
+            const isSelf = lua.lua_rawequal(L, 1, -1);
+            lua.lua_pop(L, 1);
+            if (isSelf) {
+                lua.lua_remove(L, 1);
+            }
+        }
+        return wrapped(L);
+    };
+}
+
 // Create Lua callback function
 function createLuaCallback(L, index) {
     lua.lua_pushvalue(L, index);
@@ -208,17 +378,7 @@ function createLuaCallback(L, index) {
         lua.lua_rawgeti(L, lua.LUA_REGISTRYINDEX, ref);
         
         for (const arg of args) {
-            if (typeof arg === 'string') {
-                lua.lua_pushstring(L, to_luastring(arg));
-            } else if (typeof arg === 'number') {
-                lua.lua_pushnumber(L, arg);
-            } else if (typeof arg === 'boolean') {
-                lua.lua_pushboolean(L, arg);
-            } else if (typeof arg === 'object' && arg !== null) {
-                jsToLuaTable(L, arg);
-            } else {
-                lua.lua_pushnil(L);
-            }
+            pushLuaValue(L, arg);
         }
         
         const result = lua.lua_pcall(L, args.length, 0, 0);
@@ -294,22 +454,17 @@ function luaTableToJS(L, index) {
     }
 }
 
-// Convert JavaScript object to Lua table
+// Convert JavaScript object to Lua table (arrays become 1-based sequences)
 function jsToLuaTable(L, obj) {
-    lua.lua_createtable(L, 0, Object.keys(obj).length);
+    const isArray = Array.isArray(obj);
+    lua.lua_createtable(L, isArray ? obj.length : 0, isArray ? 0 : Object.keys(obj).length);
     for (const [key, value] of Object.entries(obj)) {
-        lua.lua_pushstring(L, to_luastring(key));
-        if (typeof value === 'string') {
-            lua.lua_pushstring(L, to_luastring(value));
-        } else if (typeof value === 'number') {
-            lua.lua_pushnumber(L, value);
-        } else if (typeof value === 'boolean') {
-            lua.lua_pushboolean(L, value);
-        } else if (typeof value === 'object' && value !== null) {
-            jsToLuaTable(L, value);
+        if (isArray) {
+            lua.lua_pushinteger(L, Number(key) + 1);
         } else {
-            lua.lua_pushnil(L);
+            lua.lua_pushstring(L, to_luastring(key));
         }
+        pushLuaValue(L, value);
         lua.lua_settable(L, -3);
     }
 }
@@ -348,15 +503,7 @@ function callLuaFunction(L, name, ...args) {
     lua.lua_getglobal(L, to_luastring(name));
     if (lua.lua_isfunction(L, -1)) {
         for (const arg of args) {
-            if (typeof arg === 'string') {
-                lua.lua_pushstring(L, to_luastring(arg));
-            } else if (typeof arg === 'number') {
-                lua.lua_pushnumber(L, arg);
-            } else if (typeof arg === 'boolean') {
-                lua.lua_pushboolean(L, arg);
-            } else {
-                lua.lua_pushnil(L);
-            }
+            pushLuaValue(L, arg);
         }
         
         const result = lua.lua_pcall(L, args.length, 0, 0);
@@ -374,56 +521,279 @@ function callLuaFunction(L, name, ...args) {
     }
 }
 
+// ============================================================================
+// Lua Sessions
+// ============================================================================
+
+// Create a fresh Lua state for a session and run the script's top-level code.
+// Like AIO Launcher, the state then lives on between callbacks.
+// `scriptPath` (when the script came from a file) lets require() find modules
+// next to it, in addition to the bundled Widgets/default/lib.
+function createSession(id, script, scriptPath = null) {
+    // The header decides the script type, entry callback and fold behaviour
+    const meta = parseMetadata(script);
+    meta.warnings.forEach(w => console.warn(`⚠️  Header: ${w}`));
+
+    // Prefs persist per widget name (the file name when the header has none,
+    // as in the CLI), so they survive reloads and new sessions
+    const prefsScope = meta.name || (scriptPath ? basename(scriptPath, '.lua') : 'default');
+    setPrefsScope(prefsScope);
+    setDrawerState(null);
+    setFoldState({ foldable: meta.foldable });
+
+    const L = initLua();
+    installModuleSearcher(L, { scriptDir: scriptPath ? dirname(scriptPath) : null });
+    const dispatch = createNetworkDispatcher(L);
+    setNetworkDispatcher(dispatch);
+    loadScript(L, script);
+
+    const session = {
+        id,
+        L,
+        script,
+        scriptPath,
+        dispatch,
+        meta,
+        type: meta.type,
+        prefsScope,
+        createdAt: new Date().toISOString(),
+        lastUsed: new Date().toISOString(),
+        calls: 0,
+        output: [],  // Last rendered output; the widget keeps showing it between callbacks
+        layout: null,  // Layout tree when the last render came from gui{} / ui:build
+        foldedText: null,  // Line shown while folded, from show_lines(..., folded)
+        fold: getFoldState(),  // Folded / expanded state of the widget card
+        searchResults: null,  // Results of the last on_search() for search scripts
+        drawer: null,  // Side menu state for drawer scripts
+        dialog: null,  // Dialog waiting for an answer (delivered to on_dialog_action)
+        permissionRequest: null,  // Permission waiting for allow / deny (on_permission_granted)
+        timers: createTimers(),  // on_tick / on_alarm bookkeeping on the virtual clock
+        updates: []  // Results of callbacks no request asked for, until the UI fetches them
+    };
+    sessions.set(id, session);
+    console.log(`🧩 Session ${id} created`);
+    return session;
+}
+
+// Run on_network_result[_id] / on_network_error[_id] in the session's Lua state
+// (http:get(url, id) without a callback). Returns false when not defined.
+function createNetworkDispatcher(L) {
+    return (name, ...args) => {
+        try {
+            return callLuaFunction(L, name, ...args);
+        } catch (error) {
+            console.error(`Lua callback error: ${error.luaError || error.message}`);
+            return true;
+        }
+    };
+}
+
+// Timer callbacks at the virtual clock's time. With `due` (the UI's clock
+// loop), the on_tick(n) calls and on_alarm() that fell due since the last
+// run; after on_resume, on_alarm() when the last one is 30+ minutes old, as
+// the launcher does. Returns how many ticks ran (and were skipped), the last
+// tick number and whether on_alarm() ran.
+function runTimers(session, { due, calledFunction }) {
+    const ran = { ticks: 0, lastTick: null, skipped: 0, alarm: false };
+    if (calledFunction === 'on_alarm') {
+        markAlarm(session.timers);
+    } else if (calledFunction === 'on_resume' && session.type === 'widget' && takeResumeAlarm(session.timers)) {
+        ran.alarm = callLuaFunction(session.L, 'on_alarm');
+    }
+
+    if (due) {
+        const { ticks, skipped, alarm } = takeDueTimers(session.timers);
+        ran.skipped = skipped;
+        ticks.forEach(n => {
+            if (callLuaFunction(session.L, 'on_tick', n)) {
+                ran.ticks++;
+                ran.lastTick = n;
+            }
+        });
+        if (alarm) {
+            ran.alarm = callLuaFunction(session.L, 'on_alarm') || ran.alarm;
+        }
+    }
+    return ran;
+}
+
+// Reuse an existing session unless a reload was requested or the script changed
+function getSession(sessionId, script, reload = false, scriptPath = null) {
+    const existing = sessionId ? sessions.get(sessionId) : null;
+    if (existing && !reload && existing.script === script) {
+        return { session: existing, created: false };
+    }
+
+    const id = sessionId || randomUUID();
+    sessions.delete(id);
+    return { session: createSession(id, script, scriptPath), created: true };
+}
+
+// Header fields sent to the UI
+function describeMetadata(meta) {
+    return {
+        name: meta.name,
+        type: meta.type,
+        foldable: meta.foldable,
+        onResumeWhenFolding: meta.onResumeWhenFolding,
+        prefixes: meta.prefixes,
+        values: meta.values,
+        warnings: meta.warnings
+    };
+}
+
+function describeSession(session) {
+    return {
+        id: session.id,
+        name: session.meta.name,
+        type: session.type,
+        createdAt: session.createdAt,
+        lastUsed: session.lastUsed,
+        calls: session.calls,
+        scriptLength: session.script.length
+    };
+}
+
 // API Routes
 
 // Execute Lua script
-app.post('/api/execute', async (req, res) => {
+// Each request is its own execution in the event loop: it waits only for the
+// work it started, not for another session's requests. The UI output,
+// dialogs, prefs scope and HTTP log are shared by every session, so anything
+// that runs Lua goes through queueExecution(): one at a time, in the order
+// requests arrive.
+let executionCount = 0;
+let executeQueue = Promise.resolve();
+
+function queueExecution(fn) {
+    const execution = `execute-${++executionCount}`;
+    const run = executeQueue.then(() => runInExecution(execution, fn));
+    executeQueue = run.catch(error => console.error('Unexpected error in a queued execution:', error));
+    return run;
+}
+
+app.post('/api/execute', (req, res) => {
+    queueExecution(() => executeScript(req, res));
+});
+
+async function executeScript(req, res) {
     try {
-        const { script, functionName, mockData } = req.body;
+        const { script, scriptPath, functionName, args, dialogResult, permissionResult, fold, mockData, sessionId, reload, asyncTimeout, timers } = req.body;
+        
+        // One deadline for the whole request; the event loop may finish earlier
+        const deadline = Date.now() + (Number(asyncTimeout) > 0 ? Number(asyncTimeout) : DEFAULT_ASYNC_TIMEOUT);
         
         // Clear previous output
         clearOutput();
+        takeSettingsDialog();
+        takeDialog();
+        takePermissionRequest();
+        takeCalendarActions();
+        takeEditorRequest();
+        takeNotifyEvents();
+        takePhoneActions();
+        takeAppActions();
+        takeSearchResults();
         
         // Collect HTTP logs for this request
         const httpLogs = [];
         setHttpLogCallback((type, details) => {
-            httpLogs.push({ type, ...details, timestamp: new Date().toISOString() });
+            // Errors carry their own type (TIMEOUT, MOCK_NOT_FOUND...), kept as errorType
+            httpLogs.push({ ...details, type, errorType: details.type, timestamp: new Date().toISOString() });
         });
         
-        // Load mocks if provided
+        // Load mocks if provided. The UI sends them with every call, so only
+        // reload when they change: reloading resets sequences and mock state.
         if (mockData) {
-            // Store mock data temporarily
-            const mockPath = join(__dirname, 'mocks', 'temp_mock.json');
-            writeFileSync(mockPath, JSON.stringify(mockData, null, 2));
-            loadMocks(mockPath);
+            const mockJson = JSON.stringify(mockData, null, 2);
+            if (mockJson !== loadedMockJson) {
+                // Store mock data temporarily
+                const mockPath = join(__dirname, 'mocks', 'temp_mock.json');
+                writeFileSync(mockPath, mockJson);
+                loadMocks(mockPath);
+                loadedMockJson = mockJson;
+            }
         }
         
-        // Initialize Lua state
-        const L = initLua();
-        currentL = L;
-        
-        // Load script (may throw)
+        // Reuse the session's Lua state, or create one (loads the script)
+        let session, created;
         try {
-            loadScript(L, script);
+            ({ session, created } = getSession(sessionId, script, reload, scriptPath));
         } catch (loadError) {
             setHttpLogCallback(null);
+            if (sessionId) {
+                sessions.delete(sessionId);
+            }
             console.error('Lua load error:', loadError);
             return res.status(500).json({
                 success: false,
                 error: loadError.message,
                 errorStack: loadError.stack,
-                errorType: 'LUA_LOAD_ERROR'
+                errorType: 'LUA_LOAD_ERROR',
+                sessionId: null
             });
         }
+        const L = session.L;
+        setPrefsScope(session.prefsScope);
+        if (!created) {
+            setDrawerState(session.drawer);
+            setFoldState(session.fold);
+            setNetworkDispatcher(session.dispatch);
+        }
+        session.lastUsed = new Date().toISOString();
+        session.calls++;
         
-        // Wait a bit for async operations
-        await new Promise(resolve => setTimeout(resolve, 100));
+        // Let async work started by the script's top-level code settle
+        if (created) {
+            await waitForPending(deadline - Date.now());
+        }
         
-        // Call function if specified, otherwise call on_resume
-        const funcToCall = functionName || 'on_resume';
+        // Call function if specified, otherwise the entry callback for the script
+        // type (on_resume, on_drawer_open; nothing for search scripts and modules).
+        // A dialog answer is converted to AIO's value and passed to on_dialog_action.
+        let funcToCall = functionName || session.meta.entry;
+        let callArgs = Array.isArray(args) ? args : [];
+        // The UI's clock loop ({ timers: true }) only runs the timer callbacks that are due
+        if (timers && !functionName) {
+            funcToCall = null;
+        }
+        // Folding only re-runs on_resume when the header asks for it
+        // (on_resume_when_folding = "true"); expanding always does.
+        if (fold && !functionName && dialogResult === undefined) {
+            const previous = getFoldState();
+            if (fold.folded !== undefined && !setFolded(fold.folded)) {
+                console.warn('⚠️  Widget is not foldable (foldable = "false" in the header)');
+            }
+            if (fold.expanded !== undefined) {
+                setExpanded(fold.expanded);
+            }
+            const current = getFoldState();
+            const foldChanged = current.folded !== previous.folded;
+            const expandChanged = current.expanded !== previous.expanded;
+            funcToCall = session.type === 'widget' && (expandChanged || (foldChanged && session.meta.onResumeWhenFolding))
+                ? 'on_resume'
+                : null;
+        }
+        if (dialogResult !== undefined) {
+            funcToCall = 'on_dialog_action';
+            callArgs = [dialogActionValue(session.dialog, dialogResult.value)];
+            session.dialog = null;
+        }
+        // Allowing a requested permission runs on_permission_granted(); denying runs nothing
+        if (permissionResult !== undefined && session.permissionRequest) {
+            const allowed = Boolean(permissionResult.granted);
+            answerPermissionRequest(session.permissionRequest, allowed);
+            funcToCall = allowed ? 'on_permission_granted' : null;
+            session.permissionRequest = null;
+        }
+        if (funcToCall === 'on_drawer_open') {
+            openDrawer();
+        }
         let exists = false;
+        let timerRun;
         try {
-            exists = callLuaFunction(L, funcToCall);
+            exists = funcToCall ? callLuaFunction(L, funcToCall, ...callArgs) : false;
+            timerRun = runTimers(session, { due: Boolean(timers), calledFunction: funcToCall });
         } catch (callError) {
             setHttpLogCallback(null);
             console.error('Lua runtime error:', callError);
@@ -439,15 +809,45 @@ app.post('/api/execute', async (req, res) => {
                 errorStack: callError.stack,
                 errorType: 'LUA_RUNTIME_ERROR',
                 luaError: callError.luaError,
-                functionName: callError.functionName
+                functionName: callError.functionName,
+                sessionId: session.id
             });
         }
         
-        // Wait for async operations to complete
-        await new Promise(resolve => setTimeout(resolve, 500));
+        // Run the event loop until pending callbacks drain or the deadline passes
+        const { drained, pending } = await waitForPending(deadline - Date.now());
+        if (!drained) {
+            console.warn(`⏱ ${pending.length} async operation(s) still pending after deadline`);
+        }
+        
+        // Get output (keep the previous render if this callback drew nothing)
+        const rendered = getOutputBuffer();
+        if (rendered.length > 0) {
+            session.output = rendered;
+            session.layout = getLayout();
+            session.foldedText = getFoldedText();
+        }
+        const output = session.output;
+        
+        session.drawer = getDrawerState();
+        session.fold = getFoldState();
         
-        // Get output
-        const output = getOutputBuffer();
+        // A new query replaces the search results, even with nothing to show;
+        // other callbacks (on_click) only update them if they call search:show_*
+        const searchResults = takeSearchResults();
+        if (funcToCall === 'on_search' || searchResults) {
+            session.searchResults = searchResults;
+        }
+        
+        // A dialog opened by this callback replaces any unanswered one
+        const dialog = takeDialog();
+        if (dialog) {
+            session.dialog = dialog;
+        }
+        const permissionRequest = takePermissionRequest();
+        if (permissionRequest) {
+            session.permissionRequest = permissionRequest;
+        }
         
         // Clear log callback
         setHttpLogCallback(null);
@@ -455,8 +855,30 @@ app.post('/api/execute', async (req, res) => {
         res.json({
             success: true,
             output: output,
+            layout: session.layout,
+            calledFunction: funcToCall,
+            scriptType: session.type,
+            metadata: describeMetadata(session.meta),
+            searchResults: session.searchResults,
+            drawer: session.drawer,
+            fold: { ...session.fold, foldedText: session.foldedText },
+            mocks: mockData ? getMockScenarios() : null,
             functionExists: exists,
-            httpLogs: httpLogs
+            httpLogs: httpLogs,
+            sessionId: session.id,
+            sessionCreated: created,
+            timedOut: !drained,
+            pending: pending,
+            timers: timerRun,
+            clock: getClockState(),
+            settingsDialog: takeSettingsDialog(),
+            dialog: session.dialog,
+            permissionRequest: session.permissionRequest,
+            calendarActions: takeCalendarActions(),
+            editor: takeEditorRequest(),
+            notifyEvents: takeNotifyEvents(),
+            phoneActions: takePhoneActions(),
+            appActions: takeAppActions()
         });
     } catch (error) {
         setHttpLogCallback(null);
@@ -469,6 +891,89 @@ app.post('/api/execute', async (req, res) => {
             errorType: 'UNEXPECTED_ERROR'
         });
     }
+}
+
+// List active sessions
+app.get('/api/sessions', (req, res) => {
+    res.json([...sessions.values()].map(describeSession));
+});
+
+// Callbacks the server starts itself (the apps fixture changed on disk) go
+// through the execute queue like a request; /api/execute's answer is kept for
+// GET /api/sessions/:id/updates
+function queueSessionCallback(session, functionName) {
+    return queueExecution(() => {
+        if (sessions.get(session.id) !== session) return;
+        const res = {
+            status: () => res,
+            json: result => session.updates.push(result)
+        };
+        return executeScript({ body: { sessionId: session.id, script: session.script, scriptPath: session.scriptPath, functionName } }, res);
+    });
+}
+
+onAppsFileChanged(() => {
+    sessions.forEach(session => queueSessionCallback(session, 'on_apps_changed'));
+});
+
+// Results of callbacks run without a request, oldest first; fetching clears them
+app.get('/api/sessions/:id/updates', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ updates: session.updates.splice(0) });
+});
+
+// Reset a session: fresh Lua state with the same script
+// Reloading runs the script's top-level code, so it waits its turn like /api/execute
+app.post('/api/sessions/:id/reset', (req, res) => {
+    queueExecution(() => {
+        try {
+            const session = sessions.get(req.params.id);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            const { session: fresh } = getSession(session.id, session.script, true, session.scriptPath);
+            res.json({ success: true, session: describeSession(fresh) });
+        } catch (error) {
+            sessions.delete(req.params.id);
+            res.status(500).json({ error: error.message, errorType: 'LUA_LOAD_ERROR' });
+        }
+    });
+});
+
+// Read a session's prefs and legacy settings arguments
+app.get('/api/sessions/:id/prefs', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ scope: session.prefsScope, ...getWidgetPrefs(session.prefsScope) });
+});
+
+// Save values from the settings panel
+app.post('/api/sessions/:id/prefs', (req, res) => {
+    try {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        const updated = updateWidgetPrefs(session.prefsScope, req.body);
+        res.json({ success: true, scope: session.prefsScope, ...updated });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Destroy a session
+app.delete('/api/sessions/:id', (req, res) => {
+    if (!sessions.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    console.log(`🧩 Session ${req.params.id} destroyed`);
+    res.json({ success: true });
 });
 
 // Get available mock files
@@ -492,6 +997,27 @@ app.get('/api/mocks', (req, res) => {
     }
 });
 
+// Active mock scenario, the file's scenarios and the current mock state
+app.get('/api/mocks/scenario', (req, res) => {
+    res.json(getMockScenarios());
+});
+
+// Switch scenario ({ name }, null for none) or start over ({ reset: true });
+// both reset sequences and state
+app.post('/api/mocks/scenario', (req, res) => {
+    const { name, reset } = req.body;
+    if (name !== undefined) {
+        if (!setMockScenario(name)) {
+            return res.status(404).json({ error: `Unknown scenario: ${name}` });
+        }
+        console.log(`🎬 Mock scenario: ${name === null ? '(none)' : name}`);
+    } else if (reset) {
+        resetMockState();
+        console.log('🎬 Mock state reset');
+    }
+    res.json(getMockScenarios());
+});
+
 // Load mock file
 app.get('/api/mocks/:filename', (req, res) => {
     try {
@@ -519,6 +1045,15 @@ app.post('/api/mocks/:filename', (req, res) => {
 });
 
 // Get available widget scripts
+// Parsed `-- key = "value"` header of a widget file (null if unreadable)
+function readWidgetMetadata(path) {
+    try {
+        return describeMetadata(parseMetadata(readFileSync(path, 'utf8')));
+    } catch {
+        return null;
+    }
+}
+
 app.get('/api/widgets', (req, res) => {
     try {
         const widgetsDir = resolve(__dirname, '..', 'Widgets');
@@ -542,7 +1077,8 @@ app.get('/api/widgets', (req, res) => {
                 .map(f => ({
                     name: f.replace('.lua', ''),
                     path: join(widgetsDir, f),
-                    category: 'Widgets'
+                    category: 'Widgets',
+                    metadata: readWidgetMetadata(join(widgetsDir, f))
                 }));
             widgets.push(...files);
         }
@@ -563,7 +1099,8 @@ app.get('/api/widgets', (req, res) => {
                 .map(f => ({
                     name: 'MikroTik - ' + f.replace('.lua', ''),
                     path: join(mikrotikDir, f),
-                    category: 'MikroTik'
+                    category: 'MikroTik',
+                    metadata: readWidgetMetadata(join(mikrotikDir, f))
                 }));
             widgets.push(...files);
         }
@@ -585,7 +1122,7 @@ app.get('/api/widgets/load', (req, res) => {
         }
 
         const content = readFileSync(path, 'utf8');
-        res.json({ content });
+        res.json({ content, metadata: describeMetadata(parseMetadata(content)) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -641,25 +1178,376 @@ app.delete('/api/widgets/:name', (req, res) => {
     }
 });
 
-// Set HTTP mode (mock/real)
+// Set HTTP mode: mock, real, record or replay-strict. Record mode takes the
+// mock file to write ({ mode: "record", file: "nas", redact: {...} } →
+// mocks/nas.json); leaving it stops the recording.
 let currentHttpMode = 'mock';
 app.post('/api/http-mode', (req, res) => {
     try {
-        const { mode } = req.body;
-        if (mode === 'mock' || mode === 'real') {
-            currentHttpMode = mode;
-            setHttpMode(mode);  // Update http module
-            res.json({ success: true, mode: currentHttpMode });
+        const { mode, file, redact } = req.body;
+        if (!HTTP_MODES.includes(mode)) {
+            return res.status(400).json({ error: 'Invalid mode' });
+        }
+
+        let recorded = null;
+        if (mode === 'record') {
+            if (!file) {
+                return res.status(400).json({ error: 'Record mode needs a file name' });
+            }
+            const safeName = String(file).replace(/\.json$/, '').replace(/[^a-zA-Z0-9_-]/g, '_');
+            if (safeName === 'temp_mock') {
+                return res.status(400).json({ error: 'temp_mock is used by the emulator, choose another name' });
+            }
+            stopRecording();
+            try {
+                startRecording(join(__dirname, 'mocks', `${safeName}.json`), redact || {});
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
         } else {
-            res.status(400).json({ error: 'Invalid mode' });
+            recorded = stopRecording();
         }
+
+        currentHttpMode = mode;
+        setHttpMode(mode);  // Update http module
+        res.json({ success: true, mode: currentHttpMode, recording: getRecording(), recorded });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 app.get('/api/http-mode', (req, res) => {
-    res.json({ mode: currentHttpMode });
+    res.json({ mode: currentHttpMode, recording: getRecording() });
+});
+
+// HAR 1.2 export of a run's HTTP log ({ logs: httpLogs, comment })
+app.post('/api/har/export', (req, res) => {
+    const { logs, comment } = req.body;
+    if (!Array.isArray(logs)) {
+        return res.status(400).json({ error: 'logs must be an array of HTTP log entries' });
+    }
+    res.json(logsToHar(logs, { comment }));
+});
+
+// HAR import: { har, name, redact, includeStatic, overwrite }. With a name
+// the capture becomes mocks/<name>.json (redacted like a recording); the
+// HTTP log entries come back either way, for the HTTP tab.
+app.post('/api/har/import', (req, res) => {
+    const { har, name, redact, includeStatic, overwrite } = req.body;
+    try {
+        const logs = harToLogs(har);
+        if (!name) {
+            return res.json({ success: true, logs });
+        }
+
+        const safeName = String(name).replace(/\.(json|har)$/, '').replace(/[^a-zA-Z0-9_-]/g, '_');
+        const file = `${safeName}.json`;
+        const filePath = join(__dirname, 'mocks', file);
+        if (safeName === 'temp_mock') {
+            return res.status(400).json({ error: 'temp_mock is used by the emulator, choose another name' });
+        }
+        if (existsSync(filePath) && !overwrite) {
+            return res.status(409).json({ error: `mocks/${file} already exists`, file });
+        }
+
+        const { data, entries, skipped } = harToMockFile(har, {
+            redact: redact || {},
+            includeStatic: Boolean(includeStatic),
+            source: String(name)
+        });
+        writeFileSync(filePath, JSON.stringify(data, null, 2));
+        console.log(`📥 Imported HAR into mocks/${file}: ${entries} request(s), ${data.rules.length} rule(s), ${skipped} skipped`);
+        res.json({ success: true, file, rules: data.rules.length, entries, skipped, logs });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Fault injection profile for every request (mock and real): a preset name
+// ({ preset: "slow" }) or a custom spec ({ fault: { latency: 500, ... } })
+app.get('/api/http-faults', (req, res) => {
+    res.json({ ...getFaultProfile(), presets: listFaultPresets() });
+});
+
+app.post('/api/http-faults', (req, res) => {
+    const { preset, fault } = req.body;
+    if (fault !== undefined) {
+        const problems = validateFault(fault);
+        if (problems.length > 0 || !setFaultProfile(fault)) {
+            return res.status(400).json({ error: `Invalid fault: ${problems.join(', ')}` });
+        }
+    } else if (!setFaultProfile(preset)) {
+        return res.status(400).json({ error: `Unknown fault preset: ${preset}` });
+    }
+    console.log(`⚡ Fault profile: ${getFaultProfile().name}`);
+    res.json(getFaultProfile());
+});
+
+// Local stub servers (stubs/): simulated MikroTik, Pi-hole, Synology and CRUD
+// APIs on their own port, started with AIO_STUBS=1 (port 3100) or AIO_STUBS=<port>.
+// They run in a worker thread (stubThread) so blocking shttp calls reach them.
+let stubThread = null;
+
+app.get('/api/stubs', async (req, res) => {
+    if (!stubThread) {
+        return res.json({ running: false, port: null, simulators: listSimulators() });
+    }
+    res.json({ running: true, port: stubThread.port, simulators: await stubThread.request('list') });
+});
+
+app.get('/api/stubs/:name/state', async (req, res) => {
+    const state = stubThread ? await stubThread.request('state', req.params.name) : null;
+    if (!state) {
+        return res.status(404).json({ error: `Unknown simulator or stubs not running: ${req.params.name}` });
+    }
+    // Sets (Synology sessions) as arrays
+    res.json(JSON.parse(JSON.stringify(state, (key, value) => value instanceof Set ? [...value] : value)));
+});
+
+app.post('/api/stubs/:name/reset', async (req, res) => {
+    if (!stubThread || !(await stubThread.request('reset', req.params.name))) {
+        return res.status(404).json({ error: `Unknown simulator or stubs not running: ${req.params.name}` });
+    }
+    console.log(`🧪 Stub ${req.params.name} reset to seeded state`);
+    res.json({ success: true });
+});
+
+// Virtual clock behind os.time() / os.date() and the timer callbacks.
+// POST { mode: "realtime" | "accelerated" | "paused", speed }, { time },
+// { step: ms } or { reset: true } (any combination, applied in that order
+// after reset)
+app.get('/api/clock', (req, res) => {
+    res.json(getClockState());
+});
+
+app.post('/api/clock', (req, res) => {
+    const { mode, speed, time, step, reset } = req.body;
+    if (reset) {
+        resetClock();
+    }
+    if (time !== undefined && !setClockTime(time)) {
+        return res.status(400).json({ error: `Invalid time: ${time}` });
+    }
+    if ((mode !== undefined || speed !== undefined) && !setClockMode(mode || getClockState().mode, speed)) {
+        return res.status(400).json({ error: `Invalid clock mode (${CLOCK_MODES.join(', ')}) or speed (up to ${MAX_SPEED})` });
+    }
+    if (step !== undefined && !stepClock(step)) {
+        return res.status(400).json({ error: `Invalid step: ${step}` });
+    }
+    res.json(getClockState());
+});
+
+// Runtime permissions: GET → { calendar: true }, POST { calendar: false }
+app.get('/api/permissions', (req, res) => {
+    res.json(getPermissions());
+});
+
+app.post('/api/permissions', (req, res) => {
+    const unknown = Object.keys(req.body || {}).filter(name => !PERMISSIONS.includes(name));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown permission(s): ${unknown.join(', ')} (${PERMISSIONS.join(', ')})` });
+    }
+    Object.entries(req.body).forEach(([name, allow]) => setPermission(name, Boolean(allow)));
+    res.json(getPermissions());
+});
+
+// Fixture files named in a request: names inside fixtures/ (or the given
+// folders) only. Absolute paths and `..` are refused, as the API is open to any
+// page (cors) and could otherwise read any file. null when not found.
+const FIXTURES_DIR = join(__dirname, 'fixtures');
+
+function resolveFixture(file, dirs = [FIXTURES_DIR]) {
+    if (typeof file !== 'string' || file === '' || isAbsolute(file) || file.split(/[\\/]/).includes('..')) {
+        return null;
+    }
+    return dirs
+        .map(dir => resolve(dir, file))
+        .find((path, idx) => path.startsWith(dirs[idx] + sep) && existsSync(path)) || null;
+}
+
+// Calendars behind calendar:*. POST { files: [".ics" / ".json" in fixtures/] }
+// replaces them, { reset: true } goes back to fixtures/calendar.ics
+app.get('/api/calendar', (req, res) => {
+    res.json(getCalendarData());
+});
+
+app.post('/api/calendar', (req, res) => {
+    const { files, reset } = req.body || {};
+    if (reset) {
+        resetCalendar();
+    } else if (!Array.isArray(files) || files.length === 0) {
+        return res.status(400).json({ error: 'Expected { files: [...] } or { reset: true }' });
+    } else {
+        const paths = files.map(file => resolveFixture(file));
+        if (paths.includes(null)) {
+            return res.status(400).json({ error: `Not a file in fixtures/: ${files.filter((file, idx) => !paths[idx]).join(', ')}` });
+        }
+        if (!loadCalendarFiles(paths)) {
+            return res.status(400).json({ error: `Could not load ${files.join(', ')}` });
+        }
+    }
+    res.json(getCalendarData());
+});
+
+// Status bar notifications behind notify:*. POST injects one from another app
+// (the UI then runs on_notifications_updated()), DELETE /:key swipes it away,
+// POST /reset loads fixtures/notifications.json or { file } from fixtures/
+app.get('/api/notifications', (req, res) => {
+    res.json(getNotifications());
+});
+
+app.post('/api/notifications', (req, res) => {
+    const data = req.body || {};
+    if (!data.title && !data.text) {
+        return res.status(400).json({ error: 'A notification needs a title or text' });
+    }
+    res.json(postNotification(data));
+});
+
+app.post('/api/notifications/reset', (req, res) => {
+    const { file } = req.body || {};
+    if (file === undefined || file === null || file === '') {
+        resetNotifications();
+        return res.json(getNotifications());
+    }
+    const path = resolveFixture(file);
+    if (!path) {
+        return res.status(400).json({ error: `Not a file in fixtures/: ${file}` });
+    }
+    if (!loadNotificationFile(path)) {
+        return res.status(400).json({ error: `Could not load ${file}` });
+    }
+    res.json(getNotifications());
+});
+
+app.delete('/api/notifications/:key', (req, res) => {
+    if (!dismissNotification(req.params.key)) {
+        return res.status(404).json({ error: `No notification with key ${req.params.key}` });
+    }
+    res.json(getNotifications());
+});
+
+app.delete('/api/notifications', (req, res) => {
+    clearNotifications();
+    res.json(getNotifications());
+});
+
+// Contacts behind phone:*. POST { files: [".vcf" / ".json" in fixtures/] } replaces
+// them, { reset: true } goes back to fixtures/contacts.vcf; the UI then runs
+// on_contacts_loaded(). Calls and SMS collect in the outbox
+app.get('/api/phone/contacts', (req, res) => {
+    res.json(getContactData());
+});
+
+app.post('/api/phone/contacts', (req, res) => {
+    const { files, reset } = req.body || {};
+    if (reset) {
+        resetContacts();
+    } else if (!Array.isArray(files) || files.length === 0) {
+        return res.status(400).json({ error: 'Expected { files: [...] } or { reset: true }' });
+    } else {
+        const paths = files.map(file => resolveFixture(file));
+        if (paths.includes(null)) {
+            return res.status(400).json({ error: `Not a file in fixtures/: ${files.filter((file, idx) => !paths[idx]).join(', ')}` });
+        }
+        if (!loadContactFiles(paths)) {
+            return res.status(400).json({ error: `Could not load ${files.join(', ')}` });
+        }
+    }
+    res.json(getContactData());
+});
+
+app.get('/api/phone/outbox', (req, res) => {
+    res.json({ outbox: getOutbox() });
+});
+
+app.delete('/api/phone/outbox', (req, res) => {
+    clearOutbox();
+    res.json({ outbox: [] });
+});
+
+// Installed apps behind apps:*. POST installs or updates one (the UI then runs
+// on_apps_changed()), DELETE /:pkg removes it, POST /reset loads
+// AIO Backup/appsV2.db or { file }; launches collect in /api/apps/launches
+app.get('/api/apps', (req, res) => {
+    res.json(getApps());
+});
+
+app.post('/api/apps', (req, res) => {
+    const data = req.body || {};
+    if (!data.pkg) {
+        return res.status(400).json({ error: 'An app needs a pkg' });
+    }
+    res.json(installApp(data));
+});
+
+app.post('/api/apps/reset', (req, res) => {
+    const { file } = req.body || {};
+    if (file === undefined || file === null || file === '') {
+        resetApps();
+        return res.json(getApps());
+    }
+    const path = resolveFixture(file, [FIXTURES_DIR, dirname(DEFAULT_APPS_FIXTURE)]);
+    if (!path) {
+        return res.status(400).json({ error: `${file} is not a file in fixtures/ or the AIO backup folder` });
+    }
+    if (!loadAppsFixture(path)) {
+        return res.status(400).json({ error: `Could not load ${file}` });
+    }
+    res.json(getApps());
+});
+
+app.get('/api/apps/launches', (req, res) => {
+    res.json({ launches: getLaunches() });
+});
+
+app.delete('/api/apps/launches', (req, res) => {
+    clearLaunches();
+    res.json({ launches: [] });
+});
+
+app.delete('/api/apps/:pkg', (req, res) => {
+    if (!uninstallApp(req.params.pkg)) {
+        return res.status(404).json({ error: `${req.params.pkg} is not installed` });
+    }
+    res.json(getApps());
+});
+
+// Launcher task and note lists (tasks:* / notes:*). POST adds or updates one
+// item, PUT replaces the list, POST .../seed fills it with sample items
+ORGANIZER_STORES.forEach(store => {
+    app.get(`/api/${store}`, (req, res) => {
+        res.json(getItems(store));
+    });
+
+    app.post(`/api/${store}`, (req, res) => {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Expected an item object' });
+        }
+        res.json(upsertItem(store, req.body));
+    });
+
+    app.put(`/api/${store}`, (req, res) => {
+        if (!Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Expected an array of items' });
+        }
+        res.json(replaceItems(store, req.body));
+    });
+
+    app.post(`/api/${store}/seed`, (req, res) => {
+        res.json(seedItems(store));
+    });
+
+    app.delete(`/api/${store}/:id`, (req, res) => {
+        if (!removeItem(store, req.params.id)) {
+            return res.status(404).json({ error: `No item with id ${req.params.id}` });
+        }
+        res.json(getItems(store));
+    });
+
+    app.delete(`/api/${store}`, (req, res) => {
+        res.json(replaceItems(store, []));
+    });
 });
 
 // Storage API endpoints
@@ -772,18 +1660,37 @@ const AIO_API_REFERENCE = `
 📱 UI MODULE (ui:)
 ─────────────────────────────────────────────────────────────────────────────
 ✅ ui:show_text(text)              → Display simple text string
-✅ ui:show_lines(lines_table)      → Display array of text lines
+✅ ui:show_lines(lines_table, senders, folded) → Display array of text lines,
+   \`folded\` is the single line shown while the widget is folded
 ✅ ui:show_table(rows_table)       → Display table with rows
 ✅ ui:show_buttons(buttons, colors) → Display clickable buttons
 ✅ ui:show_progress_bar(text, value, max, color) → Show progress bar
 ✅ ui:show_chart(points, format, title) → Show chart visualization
 ✅ ui:show_toast(message)          → Show toast notification
 ✅ ui:set_title(title)             → Set widget title
-✅ ui:set_expandable()             → Make widget expandable
+✅ ui:set_expandable(flag)         → Make widget expandable (shows an expand arrow)
 ✅ ui:is_folded()                  → Check if widget is folded
-✅ ui:is_expanded()                → Check if widget is expanded
+✅ ui:is_expanded()                → Check if widget is expanded (expanding calls on_resume)
+✅ ui:set_folding_flag(flag)       → Set the script's own fold flag
+✅ ui:folding_flag()               → Read the script's own fold flag
+   Header: -- foldable = "false" disables folding; -- on_resume_when_folding = "true"
+   calls on_resume() on fold/unfold so the widget can draw a folded view
 ✅ ui:set_progress(value)          → Set loading progress (0-1)
 ✅ ui:show_context_menu(items, callback) → Show context menu
+✅ ui:build{"text ...", "space 2", ...} → Build UI from element strings
+✅ gui{{"text", "Hi", {size = 20}}, {"button", "Ok"}, ...}.render() → Rich GUI layout,
+   element types: text, button, icon, spacer, new_line, progress; on_click(idx) gets the element index
+✅ ui:show_list_dialog{title, lines, search, zebra, split_symbol} → List dialog
+✅ ui:show_rich_editor{text, new, colors, color, due_date, checkboxes} → Editor dialog
+
+💬 DIALOGS MODULE (dialogs:) - answer arrives in on_dialog_action(value)
+─────────────────────────────────────────────────────────────────────────────
+✅ dialogs:show_dialog(title, text, btn1, btn2) → value = button index (1/2)
+✅ dialogs:show_edit_dialog(title, text, default) → value = entered text
+✅ dialogs:show_radio_dialog(title, lines, index) → value = selected index
+✅ dialogs:show_checkbox_dialog(title, lines, checked) → value = table of checked indexes
+✅ dialogs:show_list_dialog{...}, dialogs:show_rich_editor{...} → same as ui: versions
+   Cancelled dialogs pass -1
 
 ❌ DOES NOT EXIST: ui:set_headers, ui:show_header, ui:add_row, ui:clear
 
@@ -794,17 +1701,71 @@ const AIO_API_REFERENCE = `
 ✅ http:post(url, body, callback)  → POST request
 ✅ http:post(url, body, headers_table, callback) → POST with headers
 ✅ http:set_headers(headers)       → Set global headers for all requests
+✅ http:get(url, [id])             → No callback: the result goes to on_network_result[_id]
+✅ http:post(url, body, media_type, [id]) → Same, with the body's content type
+✅ http:put(url, body, media_type, [id]) / http:put(url, body, callback, headers) → PUT
+✅ http:patch(url, body, media_type, [id]) / http:patch(url, body, callback, headers) → PATCH
+✅ http:delete(url, [id]) / http:delete(url, callback, headers) → DELETE
+✅ http:request({method, url, body, headers, media_type, id}, callback) → Any method
+✅ shttp:get(url, [headers]) → Blocking: returns {body, code, headers} or {error}
+✅ shttp:post(url, body, [media_type], [headers]) / shttp:put / shttp:patch / shttp:delete(url) → Same
+   Callbacks receive (body, code, headers); headers is a table with lowercase keys
 
 Headers format: {"Authorization: Bearer xxx"} or {["Header"] = "value"}
 
-❌ DOES NOT EXIST: http:request, http:put, http:delete, http:fetch
+❌ DOES NOT EXIST: http:fetch, http:head
+
+📅 CALENDAR MODULE (calendar:) - "permission_error" while access is denied
+─────────────────────────────────────────────────────────────────────────────
+✅ calendar:events([start], [end], [calendar_ids]) → {id, calendar_id, title, description, color, status, location, begin, end, all_day}
+✅ calendar:calendars() → {id, name, color, account_name, account_type, is_primary}
+✅ calendar:request_permission() → on_permission_granted() when allowed
+✅ calendar:show_event_dialog(id), calendar:open_event(id), calendar:open_new_event([start], [end])
+✅ calendar:add_event{calendar_id, title, description, begin, end, all_day} → true / false
+✅ calendar:enabled_calendar_ids(), calendar:is_holiday(time)
+   Times are in seconds; without a range events() returns today and the next 30 days
+
+🔔 NOTIFICATIONS (notify:, system:show_notify)
+─────────────────────────────────────────────────────────────────────────────
+✅ notify:list() → {key, time, package, number, importance, category, title, text, sub_text, big_text, is_clearable, group_id, messages, actions}
+   messages: {sender, text, time}; actions: {id, title, have_input}
+✅ notify:open(key), notify:close(key), notify:do_action(key, action_id)
+✅ on_notifications_updated() when a notification is posted or removed
+✅ system:show_notify{message, silent, action1, action2, action3}, system:cancel_notify()
+✅ on_notify_action(idx, action) when a button of the script's notification is pressed
+
+📞 PHONE MODULE (phone:) - "permission_error" while contacts access is denied
+─────────────────────────────────────────────────────────────────────────────
+✅ phone:contacts() / phone:get_contacts() → {id, lookup_key, name, icon, number}
+✅ phone:request_permission() → on_permission_granted(), then on_contacts_loaded()
+✅ phone:make_call(number), phone:send_sms(number, text) → logged to the outbox
+✅ phone:show_contact_dialog(id or lookup_key)
+   Contact ids are strings
+
+📱 APPS MODULE (apps:) - installed apps of the AIO backup
+─────────────────────────────────────────────────────────────────────────────
+✅ apps:apps([sort_by]) → {pkg, name, color, hidden, suspended, category_id, badge, icon, launch_count, last_launch_time, install_time}
+   sort_by: abc, launch_count, launch_time, install_time, category_abc, category_launch_count, ...
+✅ apps:app(pkg) → app table or nil; apps:get_name(pkg), apps:get_color(pkg) → "#RRGGBB"
+✅ apps:launch(pkg) → logged, counts as a launch; apps:show_edit_dialog(pkg)
+✅ apps:categories() → {id, name, icon, color, hidden}; ids above 1000 are custom
+✅ on_apps_changed() when an app is installed or removed
+✅ android.apps([sort_by]) → same list as apps:apps()
+
+📝 TASKS & NOTES (tasks:, notes:) - the launcher's own lists
+─────────────────────────────────────────────────────────────────────────────
+✅ tasks:load() → on_tasks_loaded(list) {id, text, date, due_date, completed_date, high_priority, notification, is_today}
+✅ notes:load() → on_notes_loaded(list) {id, text, color, position, date}
+✅ tasks:add{text, due_date, ...}, tasks:save(task), tasks:remove(id), tasks:show_editor([id])
+✅ notes:add{text, color}, notes:save(note), notes:remove(id), notes:show_editor([id])
+✅ notes:colors() → list of colors; note.color indexes it, 6 = default
+✅ aio:add_todo(icon, text), aio:colors() → {primary_text, secondary_text, button, accent, progress_good, ...}
 
 📦 JSON MODULE (json.)
 ─────────────────────────────────────────────────────────────────────────────
 ✅ json.decode(json_string)        → Parse JSON string to Lua table
 ✅ json.encode(lua_table)          → Convert Lua table to JSON string
-
-❌ DOES NOT EXIST: json:decode, json:encode (use dot notation, not colon!)
+✅ json:decode(json_string), json:encode(lua_table) → Same functions, colon notation also works
 
 💾 STORAGE MODULE (storage:)
 ─────────────────────────────────────────────────────────────────────────────
@@ -833,6 +1794,7 @@ Headers format: {"Authorization: Bearer xxx"} or {["Header"] = "value"}
 ✅ system:lang()                   → Get system language
 ✅ system:tz()                     → Get timezone string
 ✅ system:tz_offset()              → Get timezone offset in minutes
+✅ system:get_tz_offset()          → Get UTC offset in seconds (used by the date library)
 ✅ system:battery_info()           → Get battery info {level, isCharging, temperature}
 ✅ system:network_state()          → Get network info {connected, type, ssid}
 
@@ -843,8 +1805,37 @@ Headers format: {"Authorization: Bearer xxx"} or {["Header"] = "value"}
 ✅ function on_resume()            → Called when widget loads/becomes visible
 ✅ function on_click()             → Called when user taps widget
 ✅ function on_long_click()        → Called on long press
-✅ function on_alarm()             → Called by scheduled alarm
-✅ function on_network_result(result, code) → HTTP response callback (DEPRECATED - use inline callbacks)
+✅ function on_alarm()             → Every 30 minutes, and on resume at most once per 30 minutes
+✅ function on_tick(n)             → Every second while the widget is on screen (n counts the ticks)
+✅ function on_dialog_action(value) → Dialog answer (-1 = cancelled)
+✅ function on_search(query)       → Search scripts (-- type = "search") receive the query
+✅ function on_network_result(body, code, headers) → Result of http:get(url) without a callback
+✅ function on_network_result_<id>(body, code, headers) → Result of http:get(url, "<id>")
+✅ function on_network_error[_<id>](message) → Connection failed (timeout, DNS, refused...)
+   headers is a table with lowercase keys
+
+🗂️ DRAWER MODULE (drawer:) - only in drawer scripts (-- type = "drawer")
+─────────────────────────────────────────────────────────────────────────────
+✅ function on_drawer_open()      → Called when the side menu opens
+✅ drawer:show_list(lines, icons, badges, show_alphabet) → Menu items, tap calls on_click(idx)
+✅ drawer:show_ext_list(lines, max_lines) → Multi-line items
+✅ drawer:add_buttons(icons, active_idx) → Bottom buttons, tap calls on_button_click(idx)
+✅ drawer:change_view(name)        → Switch to a built-in view
+✅ drawer:items()                  → Items currently shown
+✅ drawer:close()                  → Close the drawer
+
+🔍 SEARCH MODULE (search:) - only in search scripts
+─────────────────────────────────────────────────────────────────────────────
+✅ search:show_buttons(names, colors, top) → Result buttons, tap calls on_click(idx)
+✅ search:show_lines(lines, colors, top)   → Result lines
+✅ search:show_progress(names, progresses, colors, top) → Progress bars
+✅ search:show_chart(points, format, title, top) → Chart result
+
+📚 BUNDLED LIBRARIES (require)
+─────────────────────────────────────────────────────────────────────────────
+✅ local date = require "date"      → Loaded from Widgets/default/lib (also json, fun, utf8,
+   csv, xml, html, url, fmt, checks, utils, md_colors, misc, eval)
+✅ require "my_module"              → Also looks for my_module.lua next to the script
 
 🔤 STRING/UTILITY FUNCTIONS (Lua standard library)
 ─────────────────────────────────────────────────────────────────────────────
@@ -866,7 +1857,7 @@ Headers format: {"Authorization: Bearer xxx"} or {["Header"] = "value"}
 ═══════════════════════════════════════════════════════════════════════════════
 1. NEVER add functions that don't exist in the list above
 2. NEVER use http:set_headers() - headers go as 2nd param to http:get/post
-3. NEVER use json:decode() - use json.decode() (DOT not COLON)
+3. json.decode() and json:decode() both work - never "fix" one into the other
 4. NEVER invent new APIs - if unsure, DON'T use it
 5. Keep the original script structure - only fix actual errors
 6. If the script works, make MINIMAL changes
@@ -918,7 +1909,7 @@ List actual problems (not theoretical improvements):
 1. ONLY use APIs from the reference above - NEVER invent new ones
 2. If http:set_headers appears - REMOVE IT (doesn't exist)
 3. Headers go as 2nd parameter: http:get(url, {["Auth"]="xxx"}, callback)
-4. Use json.decode() NOT json:decode() (dot, not colon)
+4. json.decode() and json:decode() both work - keep whichever the script uses
 5. If the script already works, make MINIMAL changes
 6. DO NOT restructure working code
 7. DO NOT add features the original didn't have
@@ -1049,7 +2040,7 @@ end
 
 IMPORTANT RULES:
 1. ONLY use APIs from the reference above - NEVER invent new ones
-2. Use json.decode() NOT json:decode() (dot, not colon)
+2. Use json.decode() / json.encode() (json:decode() works too)
 3. Always handle nil/error cases
 4. Use emojis for visual appeal
 5. Include storage for persistence when appropriate
@@ -1237,3 +2228,13 @@ app.listen(PORT, () => {
     console.log(`🚀 Visual Emulator running at http://localhost:${PORT}`);
     console.log(`📱 Open your browser and navigate to the URL above`);
 });
+
+const stubsSetting = process.env.AIO_STUBS;
+if (stubsSetting && stubsSetting !== '0' && stubsSetting !== 'false') {
+    const stubPort = /^\d+$/.test(stubsSetting) && stubsSetting !== '1' ? parseInt(stubsSetting, 10) : DEFAULT_STUB_PORT;
+    startStubThread(stubPort).then(thread => {
+        stubThread = thread;
+    }).catch(error => {
+        console.error(`Stub servers failed to start on port ${stubPort}: ${error.message}`);
+    });
+}
@@ -0,0 +1,163 @@
+// Generic CRUD API Simulator (/crud)
+// JSON collections for widgets that sync their own data (tasks, notes...).
+//   GET    /crud                       collections and their sizes
+//   GET    /crud/<collection>          list: ?page, ?per_page (10, max 100),
+//                                      ?sort=field or -field, other params filter
+//                                      by equality; X-Total-Count and Link headers
+//   GET    /crud/<collection>/<id>     one item
+//   POST   /crud/<collection>          create (201, Location), any new collection
+//   PUT    /crud/<collection>/<id>     replace
+//   PATCH  /crud/<collection>/<id>     merge
+//   DELETE /crud/<collection>/<id>     remove (204)
+// Writes need "Authorization: Bearer crud-stub-token"; reads are open.
+import { Router } from 'express';
+
+export const CRUD_TOKEN = 'crud-stub-token';
+
+const DEFAULT_PER_PAGE = 10;
+const MAX_PER_PAGE = 100;
+
+function seed() {
+    const created = new Date(Date.now() - 7 * 86400000).toISOString();
+    const todos = [
+        'Renew domain', 'Update router firmware', 'Back up NAS config', 'Replace smoke detector battery',
+        'Book dentist', 'Pay electricity bill', 'Water plants', 'Clean Pi-hole blocklists',
+        'Call mom', 'Review pull requests', 'Order printer ink', 'Plan weekend trip'
+    ].map((title, index) => ({
+        id: index + 1, title, done: index % 4 === 0, priority: ['low', 'normal', 'high'][index % 3],
+        createdAt: created, updatedAt: created
+    }));
+    const notes = [
+        { id: 1, title: 'Wi-Fi', text: 'Guest network: Guests-5G', pinned: true, createdAt: created, updatedAt: created },
+        { id: 2, title: 'Shopping', text: 'Milk, eggs, coffee', pinned: false, createdAt: created, updatedAt: created },
+        { id: 3, title: 'Ideas', text: 'Widget for the garage door', pinned: false, createdAt: created, updatedAt: created }
+    ];
+    return { collections: { todos, notes } };
+}
+
+function nextId(list) {
+    return list.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+}
+
+function findItem(list, id) {
+    return list.find(item => String(item.id) === String(id)) || null;
+}
+
+function requireToken(req, res, next) {
+    if (req.method === 'GET' || req.get('authorization') === `Bearer ${CRUD_TOKEN}`) {
+        return next();
+    }
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'Unauthorized', message: `Writes need "Authorization: Bearer ${CRUD_TOKEN}"` });
+}
+
+function requireObject(req, res, next) {
+    if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) {
+        return next();
+    }
+    res.status(400).json({ error: 'Bad Request', message: 'Body must be a JSON object' });
+}
+
+// Query params (strings) against item values of any type
+function matchesFilters(item, filters) {
+    return Object.entries(filters).every(([key, value]) => String(item[key]) === String(value));
+}
+
+function sortItems(list, sort) {
+    if (!sort) return list;
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    return [...list].sort((a, b) => {
+        const order = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+        return descending ? -order : order;
+    });
+}
+
+function linkHeader(req, page, perPage, lastPage) {
+    const url = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+    const link = (pageNumber, rel) => {
+        url.searchParams.set('page', String(pageNumber));
+        url.searchParams.set('per_page', String(perPage));
+        return `<${url.toString()}>; rel="${rel}"`;
+    };
+    const links = [link(1, 'first')];
+    if (page > 1) links.push(link(Math.min(page - 1, lastPage), 'prev'));
+    if (page < lastPage) links.push(link(page + 1, 'next'));
+    links.push(link(lastPage, 'last'));
+    return links.join(', ');
+}
+
+function createRouter(getState) {
+    const router = Router();
+    router.use(requireToken);
+
+    router.get('/', (req, res) => {
+        const { collections } = getState();
+        res.json(Object.entries(collections).map(([name, list]) => ({ name, count: list.length })));
+    });
+
+    router.get('/:collection', (req, res) => {
+        const list = getState().collections[req.params.collection];
+        if (!list) return res.status(404).json({ error: 'Not Found', message: `No collection "${req.params.collection}"` });
+
+        const { page: pageParam, per_page: perPageParam, sort, ...filters } = req.query;
+        const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(perPageParam, 10) || DEFAULT_PER_PAGE));
+        const matching = sortItems(list.filter(item => matchesFilters(item, filters)), sort);
+        const lastPage = Math.max(1, Math.ceil(matching.length / perPage));
+        const page = Math.max(1, parseInt(pageParam, 10) || 1);
+
+        res.set('X-Total-Count', String(matching.length));
+        res.set('Link', linkHeader(req, page, perPage, lastPage));
+        res.json(matching.slice((page - 1) * perPage, page * perPage));
+    });
+
+    router.get('/:collection/:id', (req, res) => {
+        const list = getState().collections[req.params.collection] || [];
+        const item = findItem(list, req.params.id);
+        return item ? res.json(item) : res.status(404).json({ error: 'Not Found' });
+    });
+
+    router.post('/:collection', requireObject, (req, res) => {
+        const { collections } = getState();
+        const list = collections[req.params.collection] || (collections[req.params.collection] = []);
+        const now = new Date().toISOString();
+        const item = { ...req.body, id: nextId(list), createdAt: now, updatedAt: now };
+        list.push(item);
+        res.status(201).location(`${req.baseUrl}/${req.params.collection}/${item.id}`).json(item);
+    });
+
+    router.put('/:collection/:id', requireObject, (req, res) => {
+        const list = getState().collections[req.params.collection] || [];
+        const item = findItem(list, req.params.id);
+        if (!item) return res.status(404).json({ error: 'Not Found' });
+        const replaced = { ...req.body, id: item.id, createdAt: item.createdAt, updatedAt: new Date().toISOString() };
+        list[list.indexOf(item)] = replaced;
+        res.json(replaced);
+    });
+
+    router.patch('/:collection/:id', requireObject, (req, res) => {
+        const list = getState().collections[req.params.collection] || [];
+        const item = findItem(list, req.params.id);
+        if (!item) return res.status(404).json({ error: 'Not Found' });
+        Object.assign(item, req.body, { id: item.id, createdAt: item.createdAt, updatedAt: new Date().toISOString() });
+        res.json(item);
+    });
+
+    router.delete('/:collection/:id', (req, res) => {
+        const list = getState().collections[req.params.collection] || [];
+        const item = findItem(list, req.params.id);
+        if (!item) return res.status(404).json({ error: 'Not Found' });
+        list.splice(list.indexOf(item), 1);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+export default {
+    name: 'crud',
+    description: `Generic JSON CRUD API (writes need Bearer ${CRUD_TOKEN})`,
+    mount: '/crud',
+    seed,
+    createRouter
+};
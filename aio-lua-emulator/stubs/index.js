@@ -0,0 +1,136 @@
+// Local Stub Servers for the Bundled Service Integrations
+// Simulators of the REST APIs the bundled widgets talk to, served on their own
+// port so widgets can be tested end-to-end in real HTTP mode: point the
+// widget's address at localhost:<port> instead of the device. Each simulator
+// keeps seeded state that writes change (disable a firewall rule, enable
+// Pi-hole blocking...) until it is reset.
+//
+// A simulator is { name, description, mount, seed(), createRouter(getState) }:
+// `mount` is the path prefix it answers, seed() builds fresh state and
+// createRouter returns an express.Router reading state through getState (so
+// a reset swaps it without remounting). Register more with registerSimulator.
+import express from 'express';
+import chalk from 'chalk';
+import { Worker } from 'worker_threads';
+import mikrotik from './mikrotik.js';
+import pihole from './pihole.js';
+import synology from './synology.js';
+import crud from './crud.js';
+
+export const DEFAULT_STUB_PORT = 3100;
+
+const simulators = new Map();  // name → { simulator, state }
+let stubServer = null;
+let stubPort = null;
+
+export function registerSimulator(simulator) {
+    simulators.set(simulator.name, { simulator, state: simulator.seed() });
+}
+
+[mikrotik, pihole, synology, crud].forEach(registerSimulator);
+
+// Seeded state again; returns false for unknown simulators
+export function resetSimulator(name) {
+    const entry = simulators.get(name);
+    if (!entry) return false;
+    entry.state = entry.simulator.seed();
+    return true;
+}
+
+export function getSimulatorState(name) {
+    const entry = simulators.get(name);
+    return entry ? entry.state : null;
+}
+
+export function listSimulators() {
+    return [...simulators.values()].map(({ simulator }) => ({
+        name: simulator.name,
+        description: simulator.description,
+        mount: simulator.mount,
+        url: stubPort ? `http://localhost:${stubPort}${simulator.mount}` : null
+    }));
+}
+
+export function createStubApp() {
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+    app.use(express.urlencoded({ extended: false }));
+
+    app.use((req, res, next) => {
+        res.on('finish', () => {
+            console.log(chalk.gray(`   🧪 Stub ${req.method} ${req.originalUrl} → ${res.statusCode}`));
+        });
+        next();
+    });
+
+    simulators.forEach((entry, name) => {
+        app.use(entry.simulator.mount, entry.simulator.createRouter(() => simulators.get(name).state));
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ error: 'No stub simulator for this path', simulators: listSimulators() });
+    });
+    return app;
+}
+
+// Start listening; resolves with the port. Starting twice returns the running port.
+export function startStubServer(port = DEFAULT_STUB_PORT) {
+    if (stubServer) return Promise.resolve(stubPort);
+    return new Promise((resolvePort, reject) => {
+        const server = createStubApp().listen(port, () => {
+            stubServer = server;
+            stubPort = server.address().port;
+            console.log(chalk.cyan(`🧪 Stub servers on http://localhost:${stubPort}: ${[...simulators.keys()].join(', ')}`));
+            resolvePort(stubPort);
+        });
+        server.on('error', reject);
+    });
+}
+
+export function stopStubServer() {
+    if (!stubServer) return Promise.resolve(false);
+    return new Promise(resolveStop => {
+        stubServer.close(() => resolveStop(true));
+        stubServer = null;
+        stubPort = null;
+    });
+}
+
+export function getStubPort() {
+    return stubPort;
+}
+
+// Run the stub server in a worker thread (stubs/worker.js), so it keeps
+// answering while the main thread blocks in a synchronous shttp call.
+// Resolves with { port, request(action, name) }; request asks the thread
+// to 'list' simulators, return a simulator's 'state' or 'reset' it.
+export function startStubThread(port = DEFAULT_STUB_PORT) {
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { workerData: { port } });
+    const waiting = new Map();
+    let nextId = 1;
+
+    return new Promise((resolveThread, reject) => {
+        worker.on('error', reject);
+        worker.on('message', message => {
+            if (message.type === 'started') {
+                resolveThread({
+                    port: message.port,
+                    request(action, name) {
+                        const id = nextId++;
+                        return new Promise(resolveReply => {
+                            waiting.set(id, resolveReply);
+                            worker.postMessage({ id, action, name });
+                        });
+                    }
+                });
+            } else if (message.type === 'failed') {
+                reject(new Error(message.error));
+            } else if (waiting.has(message.id)) {
+                waiting.get(message.id)(message.result);
+                waiting.delete(message.id);
+            }
+        });
+    });
+}
+
+export default startStubServer;
@@ -0,0 +1,274 @@
+// MikroTik RouterOS REST API Simulator (/rest)
+// Follows RouterOS 7 semantics: HTTP Basic auth, every value is a string,
+// items have a ".id" like "*1" and can also be addressed by name.
+//   GET    /rest/<menu>            list (or the object of singleton menus)
+//   GET    /rest/<menu>/<id|name>  one item
+//   PUT    /rest/<menu>            create, answers the new item
+//   PATCH  /rest/<menu>/<id|name>  update
+//   DELETE /rest/<menu>/<id|name>  remove, 204
+//   POST   /rest/<menu>/<command>  add, set, remove, enable, disable, print
+//                                  ({ ".id" } or { numbers }); POST
+//                                  /rest/system/reboot restarts the uptime
+// Seeded user: admin / admin123 (the widgets' defaults).
+import { Router } from 'express';
+
+const USERS = { admin: 'admin123' };
+
+function items(list) {
+    return list.map((item, index) => ({ '.id': `*${(index + 1).toString(16).toUpperCase()}`, ...item }));
+}
+
+function seed() {
+    return {
+        bootedAt: Date.now() - 5 * 86400000 - 3 * 3600000,
+        nextId: 0x100,
+        menus: {
+            'system/resource': {
+                'board-name': 'hAP ax3', 'architecture-name': 'arm64', version: '7.15.2 (stable)',
+                'cpu-count': '4', 'total-memory': '1073741824', 'free-memory': '754974720',
+                'total-hdd-space': '134217728', 'free-hdd-space': '98566144'
+            },
+            'system/identity': { name: 'MikroTik' },
+            'interface': items([
+                { name: 'ether1', type: 'ether', comment: 'WAN', running: 'true', disabled: 'false', 'rx-byte': '48213447512', 'tx-byte': '6120974233' },
+                { name: 'ether2', type: 'ether', running: 'true', disabled: 'false', 'rx-byte': '2150033211', 'tx-byte': '31876120004' },
+                { name: 'ether3', type: 'ether', running: 'false', disabled: 'false', 'rx-byte': '0', 'tx-byte': '0' },
+                { name: 'ether4', type: 'ether', running: 'false', disabled: 'true', 'rx-byte': '0', 'tx-byte': '0' },
+                { name: 'wifi1', type: 'wifi', running: 'true', disabled: 'false', 'rx-byte': '9120334871', 'tx-byte': '20334120871' },
+                { name: 'bridge', type: 'bridge', running: 'true', disabled: 'false', 'rx-byte': '11270368082', 'tx-byte': '52210240875' }
+            ]),
+            'interface/lte': [],
+            'interface/wireguard': items([
+                { name: 'wg0', 'listen-port': '13231', mtu: '1420', 'public-key': 'n8mL2wYb3Qx0VjW1u9dO4YpR5sKcTfXhE6gA7iBzC0k=', running: 'true', disabled: 'false' }
+            ]),
+            'interface/l2tp-server/server': { enabled: 'true', 'use-ipsec': 'required', 'default-profile': 'default-encryption' },
+            'interface/pptp-server/server': { enabled: 'false', 'default-profile': 'default-encryption' },
+            'interface/sstp-server/server': { enabled: 'false', port: '443', 'default-profile': 'default' },
+            'ip/address': items([
+                { address: '192.168.88.1/24', network: '192.168.88.0', interface: 'bridge', disabled: 'false' }
+            ]),
+            'ip/dhcp-server/lease': items([
+                { address: '192.168.88.10', 'mac-address': 'A4:83:E7:11:22:33', 'host-name': 'laptop', status: 'bound', disabled: 'false' },
+                { address: '192.168.88.23', 'mac-address': '3C:22:FB:44:55:66', 'host-name': 'phone', status: 'bound', disabled: 'false' },
+                { address: '192.168.88.40', 'mac-address': 'B8:27:EB:77:88:99', 'host-name': 'pihole', status: 'bound', disabled: 'false' }
+            ]),
+            'ip/hotspot/active': items([
+                { user: 'guest1', address: '10.5.50.12', 'mac-address': '5C:E9:1E:01:02:03', uptime: '1h12m4s', 'bytes-in': '73400320', 'bytes-out': '524288000' },
+                { user: 'guest2', address: '10.5.50.19', 'mac-address': 'F0:18:98:04:05:06', uptime: '23m51s', 'bytes-in': '10485760', 'bytes-out': '157286400' }
+            ]),
+            'ip/firewall/filter': items([
+                { chain: 'input', action: 'accept', 'connection-state': 'established,related,untracked', comment: 'accept established,related,untracked', disabled: 'false', bytes: '1832110231', packets: '2210877' },
+                { chain: 'input', action: 'drop', 'connection-state': 'invalid', comment: 'drop invalid', disabled: 'false', bytes: '120433', packets: '2011' },
+                { chain: 'input', action: 'accept', protocol: 'icmp', comment: 'accept ICMP', disabled: 'false', bytes: '88211', packets: '1203' },
+                { chain: 'input', action: 'drop', 'in-interface-list': '!LAN', comment: 'drop all not coming from LAN', disabled: 'false', bytes: '9921002', packets: '120877' },
+                { chain: 'forward', action: 'fasttrack-connection', 'connection-state': 'established,related', comment: 'fasttrack', disabled: 'false', bytes: '48001220011', packets: '40112332' },
+                { chain: 'forward', action: 'drop', 'src-address-list': 'blocked', comment: 'drop blocked hosts', disabled: 'true', bytes: '0', packets: '0' }
+            ]),
+            'ip/firewall/nat': items([
+                { chain: 'srcnat', action: 'masquerade', 'out-interface-list': 'WAN', comment: 'masquerade', disabled: 'false', bytes: '6120974233', packets: '8120211' },
+                { chain: 'dstnat', action: 'dst-nat', protocol: 'tcp', 'dst-port': '8080', 'to-addresses': '192.168.88.40', 'to-ports': '80', comment: 'pihole web', disabled: 'true', bytes: '0', packets: '0' }
+            ]),
+            'ip/firewall/address-list': items([
+                { list: 'blocked', address: '203.0.113.7', comment: 'scanner', dynamic: 'false', disabled: 'false' },
+                { list: 'blocked', address: '198.51.100.23', comment: 'brute force', dynamic: 'false', disabled: 'false' }
+            ]),
+            'ip/ipsec/active-peers': items([
+                { 'remote-address': '198.51.100.50', state: 'established', uptime: '2d4h10m', side: 'responder', 'rx-bytes': '120334871', 'tx-bytes': '88334120' }
+            ]),
+            'ppp/active': items([
+                { name: 'alice', service: 'l2tp', address: '10.10.10.2', 'caller-id': '198.51.100.50', uptime: '3h21m8s', encoding: 'cbc(aes) + hmac(sha1)', 'bytes-in': '83886080', 'bytes-out': '314572800' },
+                { name: 'bob', service: 'sstp', address: '10.10.10.3', 'caller-id': '203.0.113.99', uptime: '41m2s', encoding: 'AES256-CBC', 'bytes-in': '5242880', 'bytes-out': '20971520' }
+            ]),
+            'queue/simple': items([
+                { name: 'guests', target: '10.5.50.0/24', 'max-limit': '10M/20M', rate: '1203000/8812000', bytes: '88211000/524288000', disabled: 'false' },
+                { name: 'iot', target: '192.168.88.128/25', 'max-limit': '2M/2M', rate: '12000/48000', bytes: '1203311/9912004', disabled: 'false' },
+                { name: 'backup', target: '192.168.88.40', 'max-limit': '50M/50M', rate: '0/0', bytes: '0/0', disabled: 'true' }
+            ]),
+            'queue/tree': items([
+                { name: 'download', parent: 'global', 'packet-mark': 'down', 'max-limit': '100M', rate: '23120000', disabled: 'false' },
+                { name: 'upload', parent: 'global', 'packet-mark': 'up', 'max-limit': '20M', rate: '3110000', disabled: 'false' }
+            ]),
+            'log': items([
+                { time: '08:00:01', topics: 'system,info', message: 'router rebooted' },
+                { time: '08:00:05', topics: 'interface,info', message: 'ether1 link up (speed 1G, full duplex)' },
+                { time: '08:01:12', topics: 'dhcp,info', message: 'defconf assigned 192.168.88.23 for 3C:22:FB:44:55:66 phone' },
+                { time: '09:14:40', topics: 'system,error,critical', message: 'login failure for user root from 203.0.113.7 via ssh' },
+                { time: '09:15:02', topics: 'firewall,info', message: 'input: in:ether1 out:(unknown 0), proto TCP (SYN), 203.0.113.7:51234->192.0.2.10:22' },
+                { time: '10:02:33', topics: 'wireless,info', message: '5C:E9:1E:01:02:03@wifi1 connected, signal strength -61' },
+                { time: '10:20:11', topics: 'l2tp,ppp,info', message: '<l2tp-alice>: connected' },
+                { time: '11:45:09', topics: 'system,info,account', message: 'user admin logged in from 192.168.88.10 via rest-api' }
+            ])
+        }
+    };
+}
+
+function routerOsError(res, status, message, detail) {
+    res.status(status).json(detail ? { error: status, message, detail } : { error: status, message });
+}
+
+function formatUptime(ms) {
+    let seconds = Math.floor(ms / 1000);
+    const units = [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60]];
+    let result = '';
+    units.forEach(([unit, size]) => {
+        if (seconds >= size) {
+            result += `${Math.floor(seconds / size)}${unit}`;
+            seconds %= size;
+        }
+    });
+    return `${result}${seconds}s`;
+}
+
+// Menus that are one object instead of a list (system/resource, the VPN
+// server settings...) answer live values: uptime since the last reboot and a
+// wandering CPU load
+function singleton(state, menu) {
+    const value = { ...state.menus[menu] };
+    if (menu === 'system/resource') {
+        value.uptime = formatUptime(Date.now() - state.bootedAt);
+        value['cpu-load'] = String(5 + Math.floor(Math.random() * 25));
+    }
+    return value;
+}
+
+function findItem(list, key) {
+    return list.find(item => item['.id'] === key || item.name === key) || null;
+}
+
+// RouterOS answers every value as a string
+function stringValues(body) {
+    const result = {};
+    Object.entries(body || {}).forEach(([key, value]) => {
+        if (key !== '.id') result[key] = typeof value === 'string' ? value : String(value);
+    });
+    return result;
+}
+
+function addItem(state, list, body) {
+    const item = { '.id': `*${(state.nextId++).toString(16).toUpperCase()}`, ...stringValues(body) };
+    list.push(item);
+    return item;
+}
+
+// "/rest/ip/firewall/filter/*1" → menu "ip/firewall/filter", rest "*1"
+function splitPath(state, path) {
+    const parts = path.replace(/^\/+|\/+$/g, '').split('/').filter(Boolean);
+    for (let length = parts.length; length > 0; length--) {
+        const menu = parts.slice(0, length).join('/');
+        if (state.menus[menu] !== undefined) {
+            return { menu, rest: parts.slice(length).join('/') };
+        }
+    }
+    return { menu: null, rest: parts.join('/') };
+}
+
+function basicAuth(req, res, next) {
+    const header = req.get('authorization') || '';
+    const [scheme, encoded] = header.split(' ');
+    const [user, ...password] = scheme === 'Basic' && encoded
+        ? Buffer.from(encoded, 'base64').toString('utf8').split(':')
+        : [];
+    if (!user || USERS[user] !== password.join(':')) {
+        res.set('WWW-Authenticate', 'Basic realm="RouterOS"');
+        return routerOsError(res, 401, 'Unauthorized');
+    }
+    next();
+}
+
+function createRouter(getState) {
+    const router = Router();
+    router.use(basicAuth);
+
+    router.post('/system/reboot', (req, res) => {
+        getState().bootedAt = Date.now();
+        res.json([]);
+    });
+
+    router.all('*', (req, res) => {
+        const state = getState();
+        const { menu, rest } = splitPath(state, req.path);
+        if (!menu) {
+            return routerOsError(res, 400, 'Bad Request', `no such command or directory (${rest})`);
+        }
+        const data = state.menus[menu];
+        const isList = Array.isArray(data);
+
+        if (req.method === 'GET') {
+            if (!isList) return res.json(singleton(state, menu));
+            if (!rest) return res.json(data);
+            const item = findItem(data, rest);
+            return item ? res.json(item) : routerOsError(res, 404, 'Not Found', 'no such item');
+        }
+
+        if (!isList) {
+            // Settings menus: PATCH/POST set change the object
+            if (req.method === 'PATCH' || (req.method === 'POST' && rest === 'set')) {
+                Object.assign(data, stringValues(req.body));
+                return res.json(req.method === 'PATCH' ? singleton(state, menu) : []);
+            }
+            return routerOsError(res, 400, 'Bad Request', 'no such command');
+        }
+
+        if (req.method === 'PUT' && !rest) {
+            return res.status(201).json(addItem(state, data, req.body));
+        }
+        if (req.method === 'PATCH' || req.method === 'DELETE') {
+            const item = rest ? findItem(data, rest) : null;
+            if (!item) return routerOsError(res, 404, 'Not Found', 'no such item');
+            if (req.method === 'DELETE') {
+                data.splice(data.indexOf(item), 1);
+                return res.status(204).end();
+            }
+            Object.assign(item, stringValues(req.body));
+            return res.json(item);
+        }
+        if (req.method === 'POST') {
+            return runCommand(state, menu, rest, req.body || {}, res);
+        }
+        return routerOsError(res, 400, 'Bad Request', 'no such command');
+    });
+
+    return router;
+}
+
+// POST /rest/<menu>/<command>
+function runCommand(state, menu, command, body, res) {
+    const data = state.menus[menu];
+    const targets = () => String(body['.id'] || body.numbers || '')
+        .split(',')
+        .filter(Boolean)
+        .map(key => findItem(data, key));
+
+    switch (command) {
+        case 'print':
+            return res.json(data);
+        case 'add':
+            return res.json({ ret: addItem(state, data, body)['.id'] });
+        case 'set':
+        case 'enable':
+        case 'disable':
+        case 'remove': {
+            const found = targets();
+            if (found.length === 0 || found.includes(null)) {
+                return routerOsError(res, 400, 'Bad Request', 'no such item');
+            }
+            const { numbers, ...changes } = body;
+            found.forEach(item => {
+                if (command === 'remove') data.splice(data.indexOf(item), 1);
+                else if (command === 'set') Object.assign(item, stringValues(changes));
+                else item.disabled = command === 'disable' ? 'true' : 'false';
+            });
+            return res.json([]);
+        }
+        default:
+            return routerOsError(res, 400, 'Bad Request', `no such command (${command})`);
+    }
+}
+
+export default {
+    name: 'mikrotik',
+    description: 'MikroTik RouterOS REST API (Basic auth admin / admin123)',
+    mount: '/rest',
+    seed,
+    createRouter
+};
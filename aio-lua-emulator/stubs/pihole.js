@@ -0,0 +1,187 @@
+// Pi-hole api.php Simulator (/admin/api.php)
+// Follows the Pi-hole v5 API: one endpoint, the query string picks the call.
+//   ?summary             formatted numbers ("23,105"), like the real one
+//   ?summaryRaw          the same as numbers
+//   ?status, ?version, ?versions, ?overTimeData10mins
+//   ?topItems[=N]        top domains and blocked domains        (auth)
+//   ?getQuerySources[=N] top clients                            (auth)
+//   ?enable, ?disable[=seconds]                                 (auth)
+// Calls that need auth answer [] without a valid &auth=<token>, as Pi-hole
+// does. Seeded token: pihole-stub-token. Query counters grow over time.
+import { Router } from 'express';
+
+export const PIHOLE_TOKEN = 'pihole-stub-token';
+
+const QUERIES_PER_MINUTE = 24;
+const BLOCKED_SHARE = 0.137;
+
+function seed() {
+    const now = Date.now();
+    return {
+        startedAt: now,
+        baseQueries: 23105,
+        baseBlocked: 3166,  // Blocked before blockedFrom
+        blockedFrom: now,
+        blocking: true,
+        enableAt: null,  // Disabled for N seconds: when blocking comes back
+        domainsBlocked: 117613,
+        clients: 9,
+        gravityUpdated: Math.floor(now / 1000) - 3 * 86400,
+        topQueries: {
+            'connectivitycheck.gstatic.com': 1843, 'www.google.com': 1190, 'api.github.com': 845,
+            'time.android.com': 611, 'graph.instagram.com': 402, 'weather.aio.app': 317
+        },
+        topAds: {
+            'googleads.g.doubleclick.net': 612, 'app-measurement.com': 488, 'ads.youtube.com': 301,
+            'settings-win.data.microsoft.com': 227, 'pixel.facebook.com': 190
+        },
+        topSources: {
+            'laptop|192.168.88.10': 8120, 'phone|192.168.88.23': 6230, 'tv.lan|192.168.88.31': 4410,
+            'pihole|192.168.88.40': 1803, '192.168.88.57': 990
+        }
+    };
+}
+
+function currentStatus(state) {
+    if (!state.blocking && state.enableAt !== null && Date.now() >= state.enableAt) {
+        state.blocking = true;
+        state.blockedFrom = state.enableAt;
+        state.enableAt = null;
+    }
+    return state.blocking ? 'enabled' : 'disabled';
+}
+
+// Blocked queries only grow while blocking is on
+function blockedCount(state) {
+    const minutes = (Date.now() - state.blockedFrom) / 60000;
+    return state.baseBlocked + (state.blocking ? Math.floor(minutes * QUERIES_PER_MINUTE * BLOCKED_SHARE) : 0);
+}
+
+function setBlocking(state, blocking, seconds = 0) {
+    currentStatus(state);
+    if (blocking && !state.blocking) {
+        state.blockedFrom = Date.now();
+    } else if (!blocking && state.blocking) {
+        state.baseBlocked = blockedCount(state);
+    }
+    state.blocking = blocking;
+    state.enableAt = !blocking && seconds > 0 ? Date.now() + seconds * 1000 : null;
+}
+
+function summaryRaw(state) {
+    const age = Math.floor(Date.now() / 1000) - state.gravityUpdated;
+    const status = currentStatus(state);
+    const minutes = (Date.now() - state.startedAt) / 60000;
+    const queries = state.baseQueries + Math.floor(minutes * QUERIES_PER_MINUTE);
+    const blocked = blockedCount(state);
+    return {
+        domains_being_blocked: state.domainsBlocked,
+        dns_queries_today: queries,
+        ads_blocked_today: blocked,
+        ads_percentage_today: Math.round((blocked / queries) * 1000) / 10,
+        unique_domains: 4211,
+        queries_forwarded: Math.floor(queries * 0.52),
+        queries_cached: Math.floor(queries * 0.33),
+        clients_ever_seen: state.clients + 4,
+        unique_clients: state.clients,
+        dns_queries_all_types: queries,
+        reply_UNKNOWN: 0,
+        reply_NODATA: 211,
+        reply_NXDOMAIN: 388,
+        reply_CNAME: 5120,
+        reply_IP: Math.floor(queries * 0.71),
+        privacy_level: 0,
+        status,
+        gravity_last_updated: {
+            file_exists: true,
+            absolute: state.gravityUpdated,
+            relative: { days: Math.floor(age / 86400), hours: Math.floor(age / 3600) % 24, minutes: Math.floor(age / 60) % 60 }
+        }
+    };
+}
+
+// ?summary formats like PHP's number_format: "23,105", percentages "13.7"
+function summaryFormatted(state) {
+    const raw = summaryRaw(state);
+    const formatted = {};
+    Object.entries(raw).forEach(([key, value]) => {
+        if (typeof value !== 'number' || key === 'privacy_level') {
+            formatted[key] = value;
+        } else if (key === 'ads_percentage_today') {
+            formatted[key] = value.toFixed(1);
+        } else {
+            formatted[key] = value.toLocaleString('en-US');
+        }
+    });
+    return formatted;
+}
+
+function top(map, count) {
+    return Object.fromEntries(Object.entries(map).sort((a, b) => b[1] - a[1]).slice(0, count));
+}
+
+function overTime(state) {
+    const domains = {};
+    const ads = {};
+    const now = Math.floor(Date.now() / 600000) * 600;
+    for (let slot = 143; slot >= 0; slot--) {
+        const time = now - slot * 600 + 300;
+        const load = 120 + Math.round(100 * Math.sin((time / 86400) * 2 * Math.PI));
+        domains[time] = load;
+        ads[time] = Math.round(load * BLOCKED_SHARE);
+    }
+    return { domains_over_time: domains, ads_over_time: ads };
+}
+
+function createRouter(getState) {
+    const router = Router();
+
+    router.get('/api.php', (req, res) => {
+        const state = getState();
+        const query = req.query;
+        const authorized = query.auth === PIHOLE_TOKEN;
+        const count = name => Math.max(1, parseInt(query[name], 10) || 10);
+
+        if ('summaryRaw' in query) return res.json(summaryRaw(state));
+        if ('summary' in query) return res.json(summaryFormatted(state));
+        if ('status' in query) return res.json({ status: currentStatus(state) });
+        if ('version' in query) return res.json({ version: 3 });
+        if ('versions' in query) {
+            return res.json({
+                core_update: false, web_update: false, FTL_update: false,
+                core_current: 'v5.18.3', web_current: 'v5.21', FTL_current: 'v5.25.2',
+                core_latest: 'v5.18.3', web_latest: 'v5.21', FTL_latest: 'v5.25.2'
+            });
+        }
+        if ('overTimeData10mins' in query) return res.json(overTime(state));
+
+        // Everything below needs the API token
+        if (!authorized) return res.json([]);
+
+        if ('topItems' in query) {
+            return res.json({ top_queries: top(state.topQueries, count('topItems')), top_ads: top(state.topAds, count('topItems')) });
+        }
+        if ('getQuerySources' in query || 'topClients' in query) {
+            return res.json({ top_sources: top(state.topSources, count('getQuerySources' in query ? 'getQuerySources' : 'topClients')) });
+        }
+        if ('enable' in query) {
+            setBlocking(state, true);
+            return res.json({ status: 'enabled' });
+        }
+        if ('disable' in query) {
+            setBlocking(state, false, parseInt(query.disable, 10));
+            return res.json({ status: 'disabled' });
+        }
+        return res.json([]);
+    });
+
+    return router;
+}
+
+export default {
+    name: 'pihole',
+    description: `Pi-hole v5 api.php (API token ${PIHOLE_TOKEN})`,
+    mount: '/admin',
+    seed,
+    createRouter
+};
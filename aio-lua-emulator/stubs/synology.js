@@ -0,0 +1,275 @@
+// Synology DSM Web API Simulator (/webapi)
+// Follows DSM 7: query.cgi, auth.cgi and entry.cgi take `api`, `version` and
+// `method` (query string or form body) and answer { success, data } or
+// { success: false, error: { code } }. Everything but SYNO.API.Info and
+// SYNO.API.Auth needs the session id from login (`_sid` or the `id` cookie).
+//   SYNO.API.Info           query
+//   SYNO.API.Auth           login (account, passwd), logout
+//   SYNO.Core.System        info, reboot (uptime starts over)
+//   SYNO.Core.System.Utilization  get
+//   SYNO.Storage.CGI.Storage      load_info
+//   SYNO.FileStation.List   list_share, list (folder_path), paged with offset/limit
+//   SYNO.FileStation.CreateFolder  create (folder_path, name)
+//   SYNO.FileStation.Delete        delete (path), synchronous here
+// Seeded account: admin / admin (the widget's defaults). Responses also carry
+// the flatter fields the bundled synology_nas.lua reads (version_string,
+// uptime, total_kb/used_kb, network totals, volume sizes).
+import { Router } from 'express';
+import { randomBytes } from 'crypto';
+
+const ACCOUNTS = { admin: 'admin' };
+
+// Common DSM error codes
+const ERROR = {
+    UNKNOWN: 100, NO_PARAMETER: 101, NO_API: 102, NO_METHOD: 103, VERSION: 104,
+    NO_SESSION: 119, LOGIN: 400, NO_SUCH_FILE: 408, FILE_EXISTS: 414
+};
+
+class SynoError extends Error {
+    constructor(code) {
+        super(`DSM error ${code}`);
+        this.code = code;
+    }
+}
+
+function folder(path, children = []) {
+    return { path, isdir: true, children };
+}
+
+function file(path, size) {
+    return { path, isdir: false, size };
+}
+
+function seed() {
+    return {
+        bootedAt: Date.now() - 10 * 86400000,
+        sessions: new Set(),
+        files: [
+            folder('/docker', [folder('/docker/pihole'), folder('/docker/uptime-kuma')]),
+            folder('/homes'),
+            folder('/music', [file('/music/playlist.m3u', 2048)]),
+            folder('/photo', [folder('/photo/2024'), folder('/photo/2025'), file('/photo/cover.jpg', 482113)]),
+            folder('/video'),
+            folder('/backup', [file('/backup/router-2025-01-01.backup', 91233), file('/backup/router-2025-02-01.backup', 91877)]),
+            folder('/web'),
+            folder('/surveillance')
+        ]
+    };
+}
+
+function findPath(entries, path) {
+    for (const entry of entries) {
+        if (entry.path === path) return entry;
+        if (entry.children && path.startsWith(`${entry.path}/`)) {
+            const found = findPath(entry.children, path);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function describe(entry) {
+    const name = entry.path.split('/').pop();
+    const result = { isdir: entry.isdir, name, path: entry.path };
+    if (!entry.isdir) result.additional = { size: entry.size };
+    return result;
+}
+
+function page(list, params, key) {
+    const offset = Math.max(0, parseInt(params.offset, 10) || 0);
+    const limit = parseInt(params.limit, 10) || 0;  // 0: all, as DSM
+    return {
+        [key]: (limit > 0 ? list.slice(offset, offset + limit) : list.slice(offset)).map(describe),
+        offset,
+        total: list.length
+    };
+}
+
+function volume(id, fsType, total, used) {
+    const number = id.split('_')[1];
+    return {
+        id, vol_path: `/volume${number}`, status: 'normal', fs_type: fsType, size: { total, used },
+        name: `Volume ${number}`, total_size: total, used_size: used
+    };
+}
+
+function utilization(state) {
+    const wave = Math.sin(Date.now() / 60000);
+    const total = 8388608;  // KB
+    const avail = Math.round(total * (0.55 + 0.05 * wave));
+    const rx = Math.round(1048576 * (1.5 + wave));
+    const tx = Math.round(524288 * (1.2 - wave / 2));
+    return {
+        cpu: {
+            '15min_load': 28, '1min_load': Math.round(30 + 20 * wave), '5min_load': 32,
+            device: 'System', other_load: 1, system_load: 4, user_load: Math.round(12 + 8 * wave)
+        },
+        memory: {
+            device: 'Memory', memory_size: total, total_real: total, avail_real: avail,
+            buffer: 102400, cached: 2048000, total_swap: 4194304, avail_swap: 4100000,
+            real_usage: Math.round(((total - avail) / total) * 100), si_disk: 0, so_disk: 0,
+            total_kb: total, used_kb: total - avail
+        },
+        network: { device: 'total', rx, tx },
+        temperature: { cpu: 47 },
+        time: Math.floor(Date.now() / 1000),
+        uptime: Math.floor((Date.now() - state.bootedAt) / 1000)
+    };
+}
+
+function formatUpTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// api → { path, maxVersion, auth, methods: { name(params, context) → data } }
+const APIS = {
+    'SYNO.API.Info': {
+        path: 'query.cgi', maxVersion: 1, auth: false,
+        methods: {
+            query: () => Object.fromEntries(Object.entries(APIS).map(([name, api]) => [
+                name, { path: api.path, minVersion: 1, maxVersion: api.maxVersion }
+            ]))
+        }
+    },
+    'SYNO.API.Auth': {
+        path: 'auth.cgi', maxVersion: 7, auth: false,
+        methods: {
+            login: (params, { state }) => {
+                if (!params.account || ACCOUNTS[params.account] !== params.passwd) {
+                    throw new SynoError(ERROR.LOGIN);
+                }
+                const sid = randomBytes(16).toString('base64url');
+                state.sessions.add(sid);
+                return { sid, did: 'stub-device', is_portal_port: false };
+            },
+            logout: (params, { state, sid }) => {
+                state.sessions.delete(sid);
+                return {};
+            }
+        }
+    },
+    'SYNO.Core.System': {
+        path: 'entry.cgi', maxVersion: 3, auth: true,
+        methods: {
+            info: (params, { state }) => ({
+                model: 'DS920+', serial: '2080SBRXXXXXX', firmware_ver: 'DSM 7.2.1-69057 Update 5',
+                firmware_date: '2024/04/08', cpu_vendor: 'INTEL', cpu_family: 'Celeron', cpu_series: 'J4125',
+                cpu_cores: '4', cpu_clock_speed: 2000, ram_size: 8192, sys_temp: 47, temperature_warn: false,
+                sys_tempwarn: false, time_zone: 'Amsterdam', enabled_ntp: true, ntp_server: 'time.google.com',
+                time: new Date().toISOString().replace('T', ' ').slice(0, 19),
+                up_time: formatUpTime(Math.floor((Date.now() - state.bootedAt) / 1000)),
+                version_string: '7.2.1-69057', uptime: Math.floor((Date.now() - state.bootedAt) / 1000)
+            }),
+            reboot: (params, { state }) => {
+                state.bootedAt = Date.now();
+                state.sessions.clear();
+                return {};
+            }
+        }
+    },
+    'SYNO.Core.System.Utilization': {
+        path: 'entry.cgi', maxVersion: 1, auth: true,
+        methods: { get: (params, { state }) => utilization(state) }
+    },
+    'SYNO.Storage.CGI.Storage': {
+        path: 'entry.cgi', maxVersion: 1, auth: true,
+        methods: {
+            load_info: () => ({
+                volumes: [
+                    volume('volume_1', 'btrfs', '11511093985280', '8207648423936'),
+                    volume('volume_2', 'ext4', '3838852222976', '1254763331584')
+                ],
+                disks: [1, 2, 3, 4].map(slot => ({
+                    id: `sata${slot}`, name: `Drive ${slot}`, model: 'WD40EFRX', status: 'normal', temp: 33 + slot, size_total: '4000787030016'
+                })),
+                storagePools: [{ id: 'reuse_1', status: 'normal', raidType: 'SHR' }]
+            })
+        }
+    },
+    'SYNO.FileStation.List': {
+        path: 'entry.cgi', maxVersion: 2, auth: true,
+        methods: {
+            list_share: (params, { state }) => page(state.files, params, 'shares'),
+            list: (params, { state }) => {
+                if (!params.folder_path) throw new SynoError(ERROR.NO_PARAMETER);
+                const entry = findPath(state.files, params.folder_path);
+                if (!entry || !entry.isdir) throw new SynoError(ERROR.NO_SUCH_FILE);
+                return page(entry.children, params, 'files');
+            }
+        }
+    },
+    'SYNO.FileStation.CreateFolder': {
+        path: 'entry.cgi', maxVersion: 2, auth: true,
+        methods: {
+            create: (params, { state }) => {
+                if (!params.folder_path || !params.name) throw new SynoError(ERROR.NO_PARAMETER);
+                const parent = findPath(state.files, params.folder_path);
+                if (!parent || !parent.isdir) throw new SynoError(ERROR.NO_SUCH_FILE);
+                const path = `${params.folder_path}/${params.name}`;
+                if (findPath(state.files, path)) throw new SynoError(ERROR.FILE_EXISTS);
+                const created = folder(path);
+                parent.children.push(created);
+                return { folders: [describe(created)] };
+            }
+        }
+    },
+    'SYNO.FileStation.Delete': {
+        path: 'entry.cgi', maxVersion: 2, auth: true,
+        methods: {
+            delete: (params, { state }) => {
+                const path = params.path;
+                const parentPath = path ? path.slice(0, path.lastIndexOf('/')) : '';
+                const siblings = parentPath ? (findPath(state.files, parentPath) || {}).children : state.files;
+                const entry = siblings && siblings.find(item => item.path === path);
+                if (!entry) throw new SynoError(ERROR.NO_SUCH_FILE);
+                siblings.splice(siblings.indexOf(entry), 1);
+                return {};
+            }
+        }
+    }
+};
+
+function sessionId(req, params) {
+    if (params._sid) return params._sid;
+    const cookie = (req.get('cookie') || '').split(';').map(part => part.trim().split('=')).find(([name]) => name === 'id');
+    return cookie ? cookie[1] : null;
+}
+
+function handle(req, res, getState) {
+    const params = { ...req.query, ...(req.body || {}) };
+    const reply = code => res.json({ success: false, error: { code } });
+
+    if (!params.api || !params.method || !params.version) return reply(ERROR.NO_PARAMETER);
+    const api = APIS[params.api];
+    if (!api || (api.path !== req.params.cgi && req.params.cgi !== 'entry.cgi')) return reply(ERROR.NO_API);
+    const method = api.methods[params.method];
+    if (!method) return reply(ERROR.NO_METHOD);
+    const version = parseInt(params.version, 10);
+    if (!(version >= 1 && version <= api.maxVersion)) return reply(ERROR.VERSION);
+
+    const state = getState();
+    const sid = sessionId(req, params);
+    if (api.auth && !state.sessions.has(sid)) return reply(ERROR.NO_SESSION);
+
+    try {
+        res.json({ success: true, data: method(params, { state, sid }) });
+    } catch (e) {
+        reply(e instanceof SynoError ? e.code : ERROR.UNKNOWN);
+    }
+}
+
+function createRouter(getState) {
+    const router = Router();
+    router.all('/:cgi(query.cgi|auth.cgi|entry.cgi)', (req, res) => handle(req, res, getState));
+    return router;
+}
+
+export default {
+    name: 'synology',
+    description: 'Synology DSM 7 Web API (account admin / admin)',
+    mount: '/webapi',
+    seed,
+    createRouter
+};
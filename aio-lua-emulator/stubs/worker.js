@@ -0,0 +1,20 @@
+// Stub server thread (see startStubThread in stubs/index.js). Answers
+// { id, action, name } messages with { id, result }.
+import { parentPort, workerData } from 'worker_threads';
+import { startStubServer, listSimulators, getSimulatorState, resetSimulator } from './index.js';
+
+const ACTIONS = {
+    list: () => listSimulators(),
+    state: name => getSimulatorState(name),
+    reset: name => resetSimulator(name)
+};
+
+startStubServer(workerData.port).then(
+    port => parentPort.postMessage({ type: 'started', port }),
+    error => parentPort.postMessage({ type: 'failed', error: error.message })
+);
+
+parentPort.on('message', ({ id, action, name }) => {
+    const handler = ACTIONS[action];
+    parentPort.postMessage({ id, result: handler ? handler(name) : null });
+});